@@ -1,6 +1,6 @@
 const { App } = require('@slack/bolt');
 const { WebClient } = require('@slack/web-api');
-const OpenAI = require('openai');
+const { LLMService, requiredLLMEnvVars } = require('./lib/llm');
 require('dotenv').config();
 
 console.log('🚀 Paper Enterprise - Multi-Workspace Canvas Summarizer');
@@ -12,7 +12,7 @@ const requiredEnvVars = {
   SLACK_CLIENT_SECRET: process.env.SLACK_CLIENT_SECRET,
   SLACK_SIGNING_SECRET: process.env.SLACK_SIGNING_SECRET,
   SLACK_APP_TOKEN: process.env.SLACK_APP_TOKEN,
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY
+  ...Object.fromEntries(requiredLLMEnvVars().map(key => [key, process.env[key]]))
 };
 
 for (const [key, value] of Object.entries(requiredEnvVars)) {
@@ -24,10 +24,8 @@ for (const [key, value] of Object.entries(requiredEnvVars)) {
 
 console.log('✅ Environment variables validated');
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// LLM provider layer (OpenAI / compatible / local / mock) with per-workspace model settings
+const llm = new LLMService();
 
 // Enterprise Installation Store (in-memory for now, easily replaceable with DB)
 class EnterpriseInstallationStore {
@@ -204,7 +202,7 @@ async function getUserNames(userIds, client) {
 }
 
 // Generate AI summary
-async function generateSummary(messages, client) {
+async function generateSummary(messages, client, teamId = null) {
   try {
     console.log(`📝 Generating summary from ${messages.length} messages`);
     
@@ -224,18 +222,15 @@ ${Object.entries(userNames).map(([id, name]) => `${id} = ${name} → use **${nam
 - Complete conversation with ${messages.length} messages
 - Focus on key decisions, action items, and insights`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
+    const summary = await llm.complete(teamId, {
       messages: [
         { role: "system", content: enhancedPrompt },
         { role: "user", content: conversationText }
-      ],
-      max_tokens: 1500,
-      temperature: 0.3
+      ]
     });
 
     return {
-      summary: response.choices[0].message.content,
+      summary,
       userTimezone,
       messageCount: messages.length
     };
@@ -270,20 +265,18 @@ function createCanvasContent(summaryData, userTimezone = 'America/New_York') {
 }
 
 // Generate Canvas title
-async function generateCanvasTitle(summaryData) {
+async function generateCanvasTitle(summaryData, teamId = null) {
   try {
     const titlePrompt = `Based on this conversation summary, generate a SHORT title (max 6 words) that captures the main topic. Return ONLY the title:
 
 ${summaryData.summary.substring(0, 500)}...`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
+    const title = await llm.complete(teamId, {
       messages: [{ role: "user", content: titlePrompt }],
-      max_tokens: 50,
-      temperature: 0.3
+      maxTokens: 50
     });
 
-    return response.choices[0].message.content.trim().replace(/^["']|["']$/g, '');
+    return title.trim().replace(/^["']|["']$/g, '');
   } catch (error) {
     console.error('❌ Error generating title:', error.message);
     return "Conversation Summary";
@@ -320,7 +313,7 @@ async function updateCanvas(teamId, channelId, summaryData) {
 
     const channelData = getChannelData(teamId, channelId);
     const canvasContent = createCanvasContent(summaryData);
-    const canvasTitle = await generateCanvasTitle(summaryData);
+    const canvasTitle = await generateCanvasTitle(summaryData, teamId);
 
     if (!channelData.canvasId) {
       // Create new Canvas
@@ -378,7 +371,7 @@ async function processMessages(teamId, channelId) {
     const client = await getWorkspaceClient(teamId);
     if (!client) return;
 
-    const summaryData = await generateSummary(channelData.messages, client);
+    const summaryData = await generateSummary(channelData.messages, client, teamId);
     await updateCanvas(teamId, channelId, summaryData);
 
     // Clear processed messages
@@ -470,7 +463,7 @@ app.event('app_mention', async ({ event, context, say }) => {
           }));
 
         if (messages.length >= 3) {
-          const summaryData = await generateSummary(messages, client);
+          const summaryData = await generateSummary(messages, client, teamId);
           await updateCanvas(teamId, channelId, summaryData);
           await say(`📄 Canvas updated with summary of ${messages.length} messages!`);
         } else {
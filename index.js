@@ -1,8 +1,33 @@
 const { App } = require('@slack/bolt');
 const { WebClient } = require('@slack/web-api');
-const OpenAI = require('openai');
+const { LLMService, requiredLLMEnvVars } = require('./lib/llm');
 const path = require('path');
 const fs = require('fs');
+const { createStorageAdapter } = require('./lib/storage');
+const { ChannelStateRepository } = require('./lib/channel-state');
+const { JobQueue } = require('./lib/job-queue');
+const {
+  isHumanMessage,
+  attachThreadReplies,
+  hydrateThreadParents,
+  collectUserIds,
+  formatConversation
+} = require('./lib/threads');
+const { parseTimeRange, formatTimeRange } = require('./lib/time-range');
+const { fetchHistory } = require('./lib/history');
+const { chunkConversation, reduceHierarchically } = require('./lib/map-reduce');
+const { MAX_MESSAGE_TOKENS, countTokens, promptBudget, truncateMessages, fitLines } = require('./lib/prompt-budget');
+const { defaultSettings } = require('./lib/settings');
+const {
+  createBuffer,
+  addMessage,
+  editMessage,
+  deleteMessage,
+  toConversation,
+  trimBuffer,
+  bufferSize,
+  countBuffered
+} = require('./lib/message-buffer');
 
 // Debug environment loading
 console.log('🔍 Debug Info:');
@@ -33,7 +58,7 @@ function validateEnvironmentVariables() {
     'SLACK_BOT_TOKEN',
     'SLACK_SIGNING_SECRET', 
     'SLACK_APP_TOKEN',
-    'OPENAI_API_KEY'
+    ...requiredLLMEnvVars()
   ];
   
   // Debug: Show what we actually have
@@ -95,10 +120,8 @@ process.on('unhandledRejection', (reason, promise) => {
   // Don't exit process for unhandled rejections in production
 });
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// LLM provider layer (OpenAI / compatible / local / mock) with per-workspace model settings
+const llm = new LLMService();
 
 // Multi-workspace token storage (MUST be defined before App constructor)
 const installationStore = {
@@ -199,6 +222,62 @@ const channelData = new Map();
 const canvasData = new Map();
 const bootstrappedChannels = new Set(); // Track channels we've already bootstrapped
 
+// Persisted snapshot of the maps above so canvases and bootstrap flags survive restarts
+const STATE_TEAM_KEY = 'local'; // this app keys channels by ID only
+const channelStateRepository = new ChannelStateRepository(createStorageAdapter('legacy-channel-state'));
+
+function saveChannelState(channelId) {
+  const state = channelStateRepository.get(STATE_TEAM_KEY, channelId);
+  const data = channelData.get(channelId);
+  state.messages = data ? data.messages : {};
+  state.lastBatchTime = data ? data.lastBatchTime : Date.now();
+  state.canvasId = canvasData.get(channelId) || null;
+  state.bootstrapped = bootstrappedChannels.has(channelId);
+  channelStateRepository.save(STATE_TEAM_KEY, channelId);
+}
+
+async function restoreChannelState() {
+  await channelStateRepository.restore();
+  for (const { channelId, state } of channelStateRepository.list(STATE_TEAM_KEY)) {
+    channelData.set(channelId, {
+      messages: createBuffer(state.messages || []),
+      lastBatchTime: state.lastBatchTime || Date.now(),
+      pendingUpdate: false
+    });
+    if (state.canvasId) canvasData.set(channelId, state.canvasId);
+    if (state.bootstrapped) bootstrappedChannels.add(channelId);
+  }
+}
+
+function setChannelCanvas(channelId, canvasId) {
+  canvasData.set(channelId, canvasId);
+  saveChannelState(channelId);
+}
+
+function markBootstrapped(channelId) {
+  bootstrappedChannels.add(channelId);
+  saveChannelState(channelId);
+}
+
+// Batch processing and bootstraps run as persistent jobs, one at a time per channel
+const jobQueue = new JobQueue(createStorageAdapter('legacy-jobs'));
+
+function enqueueBatch(channelId, teamId, options = {}) {
+  return jobQueue.enqueue('summary', { channelId, teamId }, { key: channelId, dedupe: 'batch', ...options });
+}
+
+function enqueueBootstrap(channelId, teamId, delay) {
+  return jobQueue.enqueue('bootstrap', { channelId, teamId }, { key: channelId, delay, dedupe: 'bootstrap' });
+}
+
+// Forget everything about a channel (app removed, channel deleted)
+function forgetChannel(channelId) {
+  channelData.delete(channelId);
+  canvasData.delete(channelId);
+  bootstrappedChannels.delete(channelId);
+  channelStateRepository.delete(STATE_TEAM_KEY, channelId);
+}
+
 // Helper function to get the correct Slack client for both OAuth and token modes
 async function getSlackClient(teamId = null) {
   if (isOAuthMode && teamId) {
@@ -271,16 +350,24 @@ function getTeamId(eventOrContext) {
   return null;
 }
 
-// Configuration - Enhanced for multi-day conversations
+// Configuration - Enhanced for multi-day conversations.
+// Thresholds, timezone and bootstrap values are the global defaults from lib/settings.js
+// (PAPER_* environment variables); per-workspace and per-channel overrides are an enterprise feature.
+const SETTINGS = defaultSettings();
 const CONFIG = {
-  BATCH_TIME_WINDOW: 2 * 60 * 1000, // 2 minutes
-  BATCH_MESSAGE_LIMIT: 10,
+  BATCH_TIME_WINDOW: SETTINGS.maxWait * 60 * 1000, // 2 minutes by default
+  BATCH_MESSAGE_LIMIT: SETTINGS.messageThreshold,
   CANVAS_UPDATE_DEBOUNCE: 3 * 60 * 1000, // 3 minutes
   MAX_MESSAGES_FOR_SUMMARY: 500, // Increased for multi-day conversations
-  MAX_CONVERSATION_HISTORY: 1000, // Max fetch from Slack API
-  AI_TOKEN_SAFE_LIMIT: 400, // Safe message count to avoid token limits
-  BOOTSTRAP_DAYS_LOOKBACK: 14, // Days to look back when joining existing channels
-  MIN_MESSAGES_FOR_BOOTSTRAP: 10 // Minimum messages needed to create bootstrap Canvas
+  MAX_CONVERSATION_HISTORY: 1000, // Max fetch from Slack API (paged)
+  HISTORY_FETCH_BUDGET: 60 * 1000, // Max time spent paging history, rate-limit waits included
+  AI_TOKEN_SAFE_LIMIT: 400, // Message count considered a long conversation (welcome messages)
+  PROMPT_MAPPING_SHARE: 0.05, // Share of the model's prompt budget for the user mapping
+  PROMPT_CONTEXT_SHARE: 0.05, // ...and for extracted dates
+  MIN_PART_TOKENS: 1000, // Smallest conversation part worth a request when summarizing in parts
+  BOOTSTRAP_DAYS_LOOKBACK: SETTINGS.bootstrapLookbackDays, // Days to look back when joining existing channels
+  MIN_MESSAGES_FOR_BOOTSTRAP: SETTINGS.bootstrapMinMessages, // Minimum messages needed to create bootstrap Canvas
+  DEFAULT_TIMEZONE: SETTINGS.timezone
 };
 
 // Enhanced Granola-style prompt for Canvas formatting
@@ -341,7 +428,7 @@ Summarize this Slack conversation:
 function initChannelData(channelId) {
   if (!channelData.has(channelId)) {
     channelData.set(channelId, {
-      messages: [],
+      messages: {}, // keyed by ts (see lib/message-buffer.js)
       lastBatchTime: Date.now(),
       pendingUpdate: false
     });
@@ -352,17 +439,37 @@ function initChannelData(channelId) {
 function addMessageToBatch(channelId, message) {
   initChannelData(channelId);
   const data = channelData.get(channelId);
-  
-  data.messages.push({
+  const bufferedMessage = {
     user: message.user,
     text: message.text,
     timestamp: message.ts,
     thread_ts: message.thread_ts
-  });
+  };
+  
+  // Thread replies are grouped under their parent instead of treated as top-level chatter
+  addMessage(data.messages, bufferedMessage);
 
   // Keep only recent messages
-  if (data.messages.length > CONFIG.MAX_MESSAGES_FOR_SUMMARY) {
-    data.messages = data.messages.slice(-CONFIG.MAX_MESSAGES_FOR_SUMMARY);
+  trimBuffer(data.messages, CONFIG.MAX_MESSAGES_FOR_SUMMARY);
+  saveChannelState(channelId);
+}
+
+// Apply an edit or deletion to the batch. Every buffered message is part of the
+// published summary here, so removing one re-summarizes the channel.
+function applyMessageChange(channelId, message, teamId) {
+  const data = channelData.get(channelId);
+  if (!data) return;
+
+  if (message.subtype === 'message_changed') {
+    const edited = message.message || {};
+    if (edited.text !== message.previous_message?.text && editMessage(data.messages, edited.ts, edited.text, edited.thread_ts)) {
+      console.log(`✏️ Updated edited message ${edited.ts} in channel ${channelId}`);
+      saveChannelState(channelId);
+    }
+  } else if (deleteMessage(data.messages, message.deleted_ts, message.previous_message?.thread_ts)) {
+    console.log(`🗑️ Removed deleted message ${message.deleted_ts} from channel ${channelId}, re-summarizing`);
+    saveChannelState(channelId);
+    enqueueBatch(channelId, teamId, { delay: 30 * 1000 });
   }
 }
 
@@ -372,7 +479,7 @@ function shouldProcessBatch(channelId) {
   if (!data) return false;
 
   const timeSinceLastBatch = Date.now() - data.lastBatchTime;
-  const messageCount = data.messages.length;
+  const messageCount = countBuffered(data.messages);
 
   return (
     timeSinceLastBatch >= CONFIG.BATCH_TIME_WINDOW ||
@@ -383,7 +490,7 @@ function shouldProcessBatch(channelId) {
 // Get user display names and timezone info for better participant formatting
 async function getUserDisplayNames(userIds, client = null) {
   const userNames = {};
-  let userTimezone = 'America/New_York'; // Default timezone
+  let userTimezone = null;
   
   // In OAuth mode, we must have a team-specific client
   if (isOAuthMode && !client) {
@@ -392,7 +499,7 @@ async function getUserDisplayNames(userIds, client = null) {
     for (const userId of [...new Set(userIds)]) {
       userNames[userId] = `User ${userId.substring(0,8)}`;
     }
-    return { userNames, userTimezone };
+    return { userNames, userTimezone: CONFIG.DEFAULT_TIMEZONE };
   }
   
   // Use provided client or fall back to app.client (only in token mode)
@@ -404,7 +511,7 @@ async function getUserDisplayNames(userIds, client = null) {
       userNames[userId] = userInfo.user.real_name || userInfo.user.display_name || userInfo.user.name;
       
       // Get timezone from the first user (assuming they're in the same workspace)
-      if (userInfo.user.tz && userTimezone === 'America/New_York') {
+      if (userInfo.user.tz && !userTimezone) {
         userTimezone = userInfo.user.tz;
       }
     } catch (error) {
@@ -413,64 +520,56 @@ async function getUserDisplayNames(userIds, client = null) {
     }
   }
   
-  return { userNames, userTimezone };
+  return { userNames, userTimezone: userTimezone || CONFIG.DEFAULT_TIMEZONE };
 }
 
-// Smart message selection for very long conversations
-function selectMessagesForSummary(messages) {
-  if (messages.length <= CONFIG.AI_TOKEN_SAFE_LIMIT) {
-    return messages; // No need to filter
-  }
-  
-  console.log(`📊 Long conversation detected: ${messages.length} messages, selecting best ${CONFIG.AI_TOKEN_SAFE_LIMIT} for summary`);
-  
-  // For very long conversations, use a smart selection strategy:
-  // 1. Keep the first 50 messages (conversation start context)
-  // 2. Keep the last 300 messages (recent context)  
-  // 3. Sample 50 messages from the middle (continuity)
-  
-  const startMessages = messages.slice(0, 50);
-  const endMessages = messages.slice(-300);
-  
-  if (messages.length > 350) {
-    // Sample from middle section
-    const middleStart = 50;
-    const middleEnd = messages.length - 300;
-    const middleSection = messages.slice(middleStart, middleEnd);
-    
-    // Sample every nth message from middle
-    const sampleRate = Math.ceil(middleSection.length / 50);
-    const middleSample = middleSection.filter((_, index) => index % sampleRate === 0).slice(0, 50);
-    
-    return [...startMessages, ...middleSample, ...endMessages];
-  } else {
-    return [...startMessages, ...endMessages];
-  }
-}
+// Long conversations are summarized in parts first; each part becomes notes that are merged afterwards
+const PART_NOTES_PROMPT = `
+You are taking notes on one part of a longer Slack conversation so the parts can be merged into one summary later.
+Write concise markdown notes covering ONLY this part:
+- Decisions (what was decided, by whom, and why)
+- Action items with owner and any due date
+- Key discussion points and viewpoints, with who raised them
+- Open questions, important dates and standout quotes
+Use the real names from the user mapping. Don't add an introduction or conclusion.
+`;
+
+const MERGE_NOTES_PROMPT = `
+You are combining notes from consecutive parts of ONE Slack conversation, oldest first, into one set of notes.
+- Merge points about the same topic, decision or action item
+- Keep every decision and action item; when a later part reverses or completes one, say so
+- Keep the real names and dates from the notes
+`;
 
 // Generate AI summary with enhanced formatting for multi-day conversations
-async function generateSummary(messages, client = null) {
+async function generateSummary(messages, client = null, teamId = null) {
   try {
-    // Smart selection for very long conversations to avoid token limits
-    const selectedMessages = selectMessagesForSummary(messages);
-    const isFiltered = selectedMessages.length < messages.length;
-    
-    console.log(`📝 Generating summary from ${selectedMessages.length} messages${isFiltered ? ` (filtered from ${messages.length})` : ''}`);
-    
     // Get user display names and timezone
-    const userIds = selectedMessages.map(msg => msg.user);
+    const userIds = collectUserIds(messages);
     const { userNames, userTimezone } = await getUserDisplayNames(userIds, client);
     
-    // Extract links and dates from ALL messages (not just selected ones)
-    const links = extractLinks(messages);
-    const dates = extractDates(messages);
+    // Extract links and dates from all messages and thread replies
+    const allMessages = messages.flatMap(msg => [msg, ...(msg.replies || [])]).filter(msg => msg.text);
+    const links = extractLinks(allMessages);
+    const dates = extractDates(allMessages);
     
-    // Create conversation text with real names and user IDs for mentions
-    const conversationText = selectedMessages.map(msg => 
-      `${userNames[msg.user] || msg.user}: ${msg.text}`
-    ).join('\n');
-
-    const enhancedPrompt = GRANOLA_PROMPT + `
+    // The prompt is sized in tokens to the model's context window, leaving max_tokens for the reply
+    const budget = promptBudget(await llm.getSettings(teamId));
+    const { messages: fitted, truncated } = truncateMessages(messages, Math.min(MAX_MESSAGE_TOKENS, Math.floor(budget.input / 4)));
+    if (truncated > 0) {
+      console.log(`✂️ Truncated ${truncated} oversized message(s) for the prompt`);
+    }
+    
+    // User mapping and extracted context each get a bounded share of the prompt
+    const mapping = fitLines(
+      Object.entries(userNames).map(([id, name]) => `${id} = ${name} → use **${name}**`),
+      Math.floor(budget.input * CONFIG.PROMPT_MAPPING_SHARE)
+    );
+    const userMapping = mapping.lines.join('\n') +
+      (mapping.omitted > 0 ? `\n(${mapping.omitted} more people - use the names shown in the messages)` : '');
+    const mentionedDates = fitLines(dates, Math.floor(budget.input * CONFIG.PROMPT_CONTEXT_SHARE));
+    
+    const buildPrompt = (strategy, partCount) => GRANOLA_PROMPT + `
 
 **IMPORTANT FORMATTING INSTRUCTIONS:**
 - For action items, use interactive checkboxes: "- [ ] Task description"
@@ -482,41 +581,73 @@ async function generateSummary(messages, client = null) {
 - Format ALL participant references with their real names in bold: **Name**
 
 **USER MAPPING FOR NAMES:**
-${Object.entries(userNames).map(([id, name]) => `${id} = ${name} → use **${name}**`).join('\n')}
+${userMapping}
 
 **CONVERSATION CONTEXT:**
-${isFiltered ? `- This is a LONG conversation (${messages.length} total messages) - you're seeing selected key messages from beginning, middle, and recent activity` : `- Complete conversation with ${messages.length} messages`}
-${isFiltered ? '- Focus on capturing the overall flow, key decisions, and current status even though some messages are omitted' : ''}
+- Lines starting with "↳ [thread reply]" are replies in a thread under the message above - treat each thread as one focused discussion
+${strategy === 'map-reduce' ? `- This is a LONG conversation (${messages.length} total messages) - you're given notes on each of its ${partCount} parts, oldest first, instead of the messages` : `- Complete conversation with ${messages.length} messages`}
+${strategy === 'map-reduce' ? '- Capture the overall flow, every decision, and the current status across all parts' : ''}
 
 **EXTRACTED CONTEXT:**
-${dates.length > 0 ? `- Dates/Times mentioned: ${dates.join(', ')}` : ''}
+${mentionedDates.lines.length > 0 ? `- Dates/Times mentioned: ${mentionedDates.lines.join(', ')}${mentionedDates.omitted > 0 ? ` (and ${mentionedDates.omitted} more)` : ''}` : ''}
 ${links.length > 0 ? `- Links shared: ${links.length} links (will be grouped separately)` : ''}`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
+    // Conversation text with real names, thread replies nested under their parent. Conversations
+    // too long for one prompt are split into parts that are summarized separately and merged (map-reduce)
+    const format = (part) => formatConversation(part, userNames);
+    const partPrompt = (index, total) =>
+      `${PART_NOTES_PROMPT}\n**USER MAPPING FOR NAMES:**\n${userMapping}\n\nThis is part ${index} of ${total}.`;
+    const conversationText = format(fitted);
+    const fitsOnce = countTokens(buildPrompt('single')) + countTokens(conversationText) <= budget.input;
+    const chunkBudget = budget.input - countTokens(partPrompt(999, 999));
+    if (!fitsOnce && chunkBudget < CONFIG.MIN_PART_TOKENS) {
+      throw new Error(`Only ${chunkBudget} tokens left for each part in a ${budget.contextWindow} token context window - raise LLM_CONTEXT_WINDOW or lower max tokens`);
+    }
+    const chunks = fitsOnce ? [fitted] : chunkConversation(fitted, format, chunkBudget);
+    const strategy = chunks.length > 1 ? 'map-reduce' : 'single';
+    const enhancedPrompt = buildPrompt(strategy, chunks.length);
+    
+    console.log(`📝 Generating summary from ${messages.length} messages${strategy === 'map-reduce' ? ` in ${chunks.length} parts` : ''} (${budget.input} token prompt budget)`);
+
+    const complete = (system, user) => llm.complete(teamId, {
       messages: [
-        {
-          role: "system",
-          content: enhancedPrompt
-        },
-        {
-          role: "user",
-          content: conversationText
-        }
-      ],
-      max_tokens: 1500,
-      temperature: 0.3
+        { role: "system", content: system },
+        { role: "user", content: user }
+      ]
     });
 
+    let summary;
+    if (strategy === 'single') {
+      summary = await complete(enhancedPrompt, conversationText);
+    } else {
+      const notes = [];
+      for (const [index, chunk] of chunks.entries()) {
+        notes.push(await complete(partPrompt(index + 1, chunks.length), format(chunk)));
+      }
+
+      // Merge the notes (in rounds when they don't fit one prompt); the last merge writes the canvas summary
+      const merged = await reduceHierarchically(notes, {
+        measure: countTokens,
+        budget: budget.input - countTokens(enhancedPrompt),
+        merge: (group, { final }) => complete(
+          final ? enhancedPrompt : MERGE_NOTES_PROMPT,
+          group.map((part, index) => `**PART ${index + 1} NOTES:**\n${part}`).join('\n\n')
+        )
+      });
+      summary = merged.result;
+    }
+
     return {
-      summary: response.choices[0].message.content,
+      summary,
       links: links,
       dates: dates,
       userTimezone: userTimezone,
       messageCount: {
         total: messages.length,
-        processed: selectedMessages.length,
-        isFiltered: isFiltered
+        processed: messages.length,
+        isFiltered: false,
+        strategy,
+        chunks: chunks.length
       }
     };
   } catch (error) {
@@ -525,18 +656,20 @@ ${links.length > 0 ? `- Links shared: ${links.length} links (will be grouped sep
       summary: "❌ Error generating summary. Please try again later.",
       links: [],
       dates: [],
-      userTimezone: 'America/New_York',
+      userTimezone: CONFIG.DEFAULT_TIMEZONE,
       messageCount: {
         total: messages.length,
         processed: 0,
-        isFiltered: false
+        isFiltered: false,
+        strategy: null,
+        chunks: 0
       }
     };
   }
 }
 
 // Create beautiful Canvas with enhanced formatting (no title duplication)
-async function createCanvasContent(summaryData, userTimezone = 'America/New_York') {
+async function createCanvasContent(summaryData, userTimezone = CONFIG.DEFAULT_TIMEZONE) {
   let content = summaryData.summary;
   
   // Add links section if any links were shared  
@@ -556,7 +689,7 @@ async function createCanvasContent(summaryData, userTimezone = 'America/New_York
   const messageStats = messageInfo ? 
     (messageInfo.isFiltered ? 
       `📊 Summarized ${messageInfo.processed} key messages from ${messageInfo.total} total messages` :
-      `📊 Summarized all ${messageInfo.total} messages`) : '';
+      `📊 Summarized all ${messageInfo.total} messages${messageInfo.strategy === 'map-reduce' ? ` in ${messageInfo.chunks} parts` : ''}`) : '';
 
   // Get user timezone-aware timestamp
   const now = new Date();
@@ -574,7 +707,7 @@ async function createCanvasContent(summaryData, userTimezone = 'America/New_York
   content += `\n\n---
 
 *🤖 Auto-generated by Paper • Last updated: ${timeString}*
-${messageStats ? `\n*${messageStats}*` : ''}`;
+${messageStats ? `\n*${messageStats}*` : ''}${summaryData.range ? `\n*🗓️ Covers ${formatTimeRange(summaryData.range)}*` : ''}`;
 
   return content;
 }
@@ -597,9 +730,7 @@ async function getExistingCanvasId(channelId) {
     if (error.data?.error === 'channel_not_found') {
       console.log(`⚠️ Channel ${channelId} not accessible - app may have been removed`);
       // Clean up data for inaccessible channel
-      channelData.delete(channelId);
-      canvasData.delete(channelId);
-      bootstrappedChannels.delete(channelId);
+      forgetChannel(channelId);
       return 'CHANNEL_INACCESSIBLE';
     }
     console.error('Error checking for existing canvas:', error);
@@ -608,25 +739,23 @@ async function getExistingCanvasId(channelId) {
 }
 
 // Generate dynamic canvas title based on conversation content
-async function generateCanvasTitle(summaryData) {
+async function generateCanvasTitle(summaryData, teamId = null) {
   try {
     const titlePrompt = `Based on this conversation summary, generate a SHORT, descriptive title (max 6 words) that captures the main topic or purpose of the discussion. Return ONLY the title, nothing else:
 
 ${summaryData.summary.substring(0, 500)}...`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
+    const completion = await llm.complete(teamId, {
       messages: [
         {
           role: "user",
           content: titlePrompt
         }
       ],
-      max_tokens: 50,
-      temperature: 0.3
+      maxTokens: 50
     });
 
-    const title = response.choices[0].message.content.trim().replace(/^["']|["']$/g, '');
+    const title = completion.trim().replace(/^["']|["']$/g, '');
     return title; // Clean title without emoji
   } catch (error) {
     console.error('Error generating canvas title:', error);
@@ -745,23 +874,22 @@ async function bootstrapChannelCanvasWithClient(channelId, client, teamId, say =
     // Fetch conversation history from last 14 days with better error handling
     let result;
     try {
-      result = await client.conversations.history({
-        channel: channelId,
+      result = await fetchHistory(client, channelId, {
         oldest: fourteenDaysAgo.toString(),
-        limit: CONFIG.MAX_CONVERSATION_HISTORY,
-        exclude_archived: true
+        maxMessages: CONFIG.MAX_CONVERSATION_HISTORY,
+        maxDuration: CONFIG.HISTORY_FETCH_BUDGET
       });
     } catch (historyError) {
       if (historyError.data?.error === 'channel_not_found') {
         console.log(`🚫 Channel ${channelId} not accessible - app may have been removed or channel deleted`);
-        bootstrappedChannels.add(channelId); // Mark as processed to avoid retries
+        markBootstrapped(channelId); // Mark as processed to avoid retries
         if (say) {
           await say(`📄 Hi! I don't have access to this channel's history. Please re-add me to the channel or check my permissions! 🔧`);
         }
         return;
       } else if (historyError.data?.error === 'missing_scope') {
         console.log(`🚫 Missing required scope for channel ${channelId}: ${historyError.data.needed}`);
-        bootstrappedChannels.add(channelId);
+        markBootstrapped(channelId);
         if (say) {
           await say(`📄 I need additional permissions to access this channel. Please check the app configuration! 🔧`);
         }
@@ -771,23 +899,16 @@ async function bootstrapChannelCanvasWithClient(channelId, client, teamId, say =
     }
 
     if (result.messages && result.messages.length > 0) {
-      // Convert and filter messages
-      const conversationMessages = result.messages
-        .filter(msg => !msg.bot_id && !msg.subtype && msg.text && msg.text.trim().length > 0)
-        .reverse() // Slack gives newest first, we want chronological order
-        .map(msg => ({
-          user: msg.user,
-          text: msg.text || '',
-          timestamp: msg.ts,
-          thread_ts: msg.thread_ts
-        }));
+      // Convert and filter messages, pulling in thread replies under their parents
+      const conversationMessages = await attachThreadReplies(client, channelId, result.messages
+        .filter(isHumanMessage)); // fetchHistory returns chronological order
 
       console.log(`📊 Found ${conversationMessages.length} messages from last ${CONFIG.BOOTSTRAP_DAYS_LOOKBACK} days in channel ${channelId}`);
 
       if (conversationMessages.length >= CONFIG.MIN_MESSAGES_FOR_BOOTSTRAP) {
         console.log(`✅ Channel has sufficient history (${conversationMessages.length} messages), creating bootstrap Canvas`);
         
-        const summaryData = await generateSummary(conversationMessages, client);
+        const summaryData = await generateSummary(conversationMessages, client, teamId);
         await updateCanvasWithClient(channelId, summaryData, client, teamId);
         
         // Notify about bootstrap with helpful message
@@ -800,7 +921,7 @@ async function bootstrapChannelCanvasWithClient(channelId, client, teamId, say =
         }
         
         // Mark as bootstrapped
-        bootstrappedChannels.add(channelId);
+        markBootstrapped(channelId);
         
         // Initialize channel data for future messages
         initChannelData(channelId);
@@ -810,7 +931,7 @@ async function bootstrapChannelCanvasWithClient(channelId, client, teamId, say =
         console.log(`📝 Channel has only ${conversationMessages.length} messages (need ${CONFIG.MIN_MESSAGES_FOR_BOOTSTRAP}+), starting fresh`);
         
         // Still mark as "bootstrapped" to avoid checking again, but no Canvas created
-        bootstrappedChannels.add(channelId);
+        markBootstrapped(channelId);
         
         // Optional: Let users know Paper is ready for new conversations
         if (say && conversationMessages.length > 0) {
@@ -819,14 +940,14 @@ async function bootstrapChannelCanvasWithClient(channelId, client, teamId, say =
       }
     } else {
       console.log(`📝 No conversation history found in channel ${channelId}, starting fresh`);
-      bootstrappedChannels.add(channelId);
+      markBootstrapped(channelId);
     }
     
   } catch (error) {
     console.error(`❌ Error bootstrapping channel ${channelId}:`, error);
     
     // Mark as bootstrapped even on error to avoid infinite retries
-    bootstrappedChannels.add(channelId);
+    markBootstrapped(channelId);
     
     // Let user know there was an issue but Paper is still ready
     if (say) {
@@ -852,15 +973,13 @@ async function updateCanvasWithClient(channelId, summaryData, client, teamId) {
         // Check if channel has a canvas in properties
         if (channelInfo.channel.properties && channelInfo.channel.properties.canvas) {
           canvasId = channelInfo.channel.properties.canvas.document_id;
-          canvasData.set(channelId, canvasId);
+          setChannelCanvas(channelId, canvasId);
           console.log('📄 Found existing canvas for channel:', channelId, 'Canvas ID:', canvasId);
         }
       } catch (error) {
         if (error.data?.error === 'channel_not_found') {
           console.log(`⚠️ Channel ${channelId} not accessible - app may have been removed`);
-          channelData.delete(channelId);
-          canvasData.delete(channelId);
-          bootstrappedChannels.delete(channelId);
+          forgetChannel(channelId);
           return;
         }
         console.error('Error checking for existing canvas:', error);
@@ -868,7 +987,7 @@ async function updateCanvasWithClient(channelId, summaryData, client, teamId) {
     }
     
     const canvasContent = await createCanvasContent(summaryData, summaryData.userTimezone);
-    const canvasTitle = await generateCanvasTitle(summaryData);
+    const canvasTitle = await generateCanvasTitle(summaryData, teamId);
     
     if (!canvasId) {
       // Create new channel canvas using the correct API
@@ -885,7 +1004,7 @@ async function updateCanvasWithClient(channelId, summaryData, client, teamId) {
       
       if (response.ok) {
         canvasId = response.canvas_id;
-        canvasData.set(channelId, canvasId);
+        setChannelCanvas(channelId, canvasId);
         console.log('✅ Canvas created successfully:', canvasId);
       } else {
         console.error('❌ Failed to create canvas:', response.error);
@@ -921,11 +1040,10 @@ async function updateCanvasWithClient(channelId, summaryData, client, teamId) {
     if (error.data?.error === 'canvas_not_found') {
       console.log('🗑️ Canvas no longer exists, clearing stored ID');
       canvasData.delete(channelId);
+      saveChannelState(channelId);
     } else if (error.data?.error === 'channel_not_found') {
       console.log(`🚫 Cleaning up inaccessible channel: ${channelId}`);
-      channelData.delete(channelId);
-      canvasData.delete(channelId);
-      bootstrappedChannels.delete(channelId);
+      forgetChannel(channelId);
     }
   }
 }
@@ -946,7 +1064,7 @@ async function updateCanvas(channelId, summaryData) {
         return; // Exit early for inaccessible channels
       }
       if (canvasId) {
-        canvasData.set(channelId, canvasId);
+        setChannelCanvas(channelId, canvasId);
         console.log('📄 Found existing canvas for channel:', channelId, 'Canvas ID:', canvasId);
       }
     }
@@ -970,7 +1088,7 @@ async function updateCanvas(channelId, summaryData) {
       });
       
       canvasId = response.canvas_id;
-      canvasData.set(channelId, canvasId);
+      setChannelCanvas(channelId, canvasId);
       
       console.log(`✅ Channel Canvas created successfully: ${canvasId}`);
       
@@ -1033,9 +1151,7 @@ async function updateCanvas(channelId, summaryData) {
     if (error.data?.error === 'channel_not_found') {
       console.log(`🚫 Channel ${channelId} became inaccessible during Canvas operation`);
       // Clean up data for inaccessible channel
-      channelData.delete(channelId);
-      canvasData.delete(channelId);
-      bootstrappedChannels.delete(channelId);
+      forgetChannel(channelId);
       return;
     }
     
@@ -1079,9 +1195,7 @@ async function updateCanvas(channelId, summaryData) {
     } catch (fallbackError) {
       if (fallbackError.data?.error === 'channel_not_found') {
         console.log(`🚫 Channel ${channelId} inaccessible for fallback message too - cleaning up`);
-        channelData.delete(channelId);
-        canvasData.delete(channelId);
-        bootstrappedChannels.delete(channelId);
+        forgetChannel(channelId);
       } else {
         console.error('❌ Error posting fallback message:', fallbackError);
       }
@@ -1108,23 +1222,22 @@ async function bootstrapChannelCanvas(channelId, say = null) {
     // Fetch conversation history from last 14 days with better error handling
     let result;
     try {
-      result = await client.conversations.history({
-      channel: channelId,
-      oldest: fourteenDaysAgo.toString(),
-      limit: CONFIG.MAX_CONVERSATION_HISTORY,
-      exclude_archived: true
-    });
+      result = await fetchHistory(client, channelId, {
+        oldest: fourteenDaysAgo.toString(),
+        maxMessages: CONFIG.MAX_CONVERSATION_HISTORY,
+        maxDuration: CONFIG.HISTORY_FETCH_BUDGET
+      });
     } catch (historyError) {
       if (historyError.data?.error === 'channel_not_found') {
         console.log(`🚫 Channel ${channelId} not accessible - app may have been removed or channel deleted`);
-        bootstrappedChannels.add(channelId); // Mark as processed to avoid retries
+        markBootstrapped(channelId); // Mark as processed to avoid retries
         if (say) {
           await say(`📄 Hi! I don't have access to this channel's history. Please re-add me to the channel or check my permissions! 🔧`);
         }
         return;
       } else if (historyError.data?.error === 'missing_scope') {
         console.log(`🚫 Missing required scope for channel ${channelId}: ${historyError.data.needed}`);
-        bootstrappedChannels.add(channelId);
+        markBootstrapped(channelId);
         if (say) {
           await say(`📄 I need additional permissions to access this channel. Please check the app configuration! 🔧`);
         }
@@ -1134,16 +1247,9 @@ async function bootstrapChannelCanvas(channelId, say = null) {
     }
 
     if (result.messages && result.messages.length > 0) {
-      // Convert and filter messages
-      const conversationMessages = result.messages
-        .filter(msg => !msg.bot_id && !msg.subtype && msg.text && msg.text.trim().length > 0)
-        .reverse() // Slack gives newest first, we want chronological order
-        .map(msg => ({
-          user: msg.user,
-          text: msg.text || '',
-          timestamp: msg.ts,
-          thread_ts: msg.thread_ts
-        }));
+      // Convert and filter messages, pulling in thread replies under their parents
+      const conversationMessages = await attachThreadReplies(client, channelId, result.messages
+        .filter(isHumanMessage)); // fetchHistory returns chronological order
 
       console.log(`📊 Found ${conversationMessages.length} messages from last ${CONFIG.BOOTSTRAP_DAYS_LOOKBACK} days in channel ${channelId}`);
 
@@ -1163,7 +1269,7 @@ async function bootstrapChannelCanvas(channelId, say = null) {
         }
         
         // Mark as bootstrapped
-        bootstrappedChannels.add(channelId);
+        markBootstrapped(channelId);
         
         // Initialize channel data for future messages
         initChannelData(channelId);
@@ -1173,7 +1279,7 @@ async function bootstrapChannelCanvas(channelId, say = null) {
         console.log(`📝 Channel has only ${conversationMessages.length} messages (need ${CONFIG.MIN_MESSAGES_FOR_BOOTSTRAP}+), starting fresh`);
         
         // Still mark as "bootstrapped" to avoid checking again, but no Canvas created
-        bootstrappedChannels.add(channelId);
+        markBootstrapped(channelId);
         
         // Optional: Let users know Paper is ready for new conversations
         if (say && conversationMessages.length > 0) {
@@ -1182,14 +1288,14 @@ async function bootstrapChannelCanvas(channelId, say = null) {
       }
     } else {
       console.log(`📝 No conversation history found in channel ${channelId}, starting fresh`);
-      bootstrappedChannels.add(channelId);
+      markBootstrapped(channelId);
     }
     
   } catch (error) {
     console.error(`❌ Error bootstrapping channel ${channelId}:`, error);
     
     // Mark as bootstrapped even on error to avoid infinite retries
-    bootstrappedChannels.add(channelId);
+    markBootstrapped(channelId);
     
     // Let user know there was an issue but Paper is still ready
     if (say) {
@@ -1201,12 +1307,12 @@ async function bootstrapChannelCanvas(channelId, say = null) {
 // Process message batch with client support for both OAuth and token modes
 async function processBatchWithClient(channelId, teamId = null) {
   const data = channelData.get(channelId);
-  if (!data || data.messages.length === 0) return;
+  if (!data || bufferSize(data.messages) === 0) return;
 
   data.pendingUpdate = true;
   
   try {
-    console.log(`📝 Processing batch for channel ${channelId} with ${data.messages.length} messages`);
+    console.log(`📝 Processing batch for channel ${channelId} with ${countBuffered(data.messages)} messages`);
     
     const client = await getSlackClient(teamId);
     if (!client) {
@@ -1214,10 +1320,12 @@ async function processBatchWithClient(channelId, teamId = null) {
       return;
     }
     
-    const summaryData = await generateSummary(data.messages, client);
+    const conversation = await hydrateThreadParents(client, channelId, toConversation(data.messages));
+    const summaryData = await generateSummary(conversation, client, teamId);
     await updateCanvasWithClient(channelId, summaryData, client, teamId);
     
     data.lastBatchTime = Date.now();
+    saveChannelState(channelId);
     console.log(`✅ Batch processed successfully for channel ${channelId}`);
   } catch (error) {
     console.error(`❌ Error processing batch for channel ${channelId}:`, error);
@@ -1225,46 +1333,12 @@ async function processBatchWithClient(channelId, teamId = null) {
     // Handle specific channel access errors
     if (error.data?.error === 'channel_not_found') {
       console.log(`🚫 Cleaning up inaccessible channel: ${channelId}`);
-      channelData.delete(channelId);
-      canvasData.delete(channelId);
-      bootstrappedChannels.delete(channelId);
+      forgetChannel(channelId);
     } else if (error.data?.error === 'missing_scope') {
       console.log(`🚫 Missing scope for channel ${channelId}, marking as processed`);
-      bootstrappedChannels.add(channelId);
-    }
-  } finally {
-    data.pendingUpdate = false;
-  }
-}
-
-// Process message batch (legacy function for backward compatibility)
-async function processBatch(channelId) {
-  const data = channelData.get(channelId);
-  if (!data || data.messages.length === 0) return;
-
-  data.pendingUpdate = true;
-  
-  try {
-    console.log(`📝 Processing batch for channel ${channelId} with ${data.messages.length} messages`);
-    
-    const summaryData = await generateSummary(data.messages);
-    await updateCanvas(channelId, summaryData);
-    
-    data.lastBatchTime = Date.now();
-    console.log(`✅ Batch processed successfully for channel ${channelId}`);
-  } catch (error) {
-    console.error(`❌ Error processing batch for channel ${channelId}:`, error);
-    
-    // Handle specific channel access errors
-    if (error.data?.error === 'channel_not_found') {
-      console.log(`🚫 Cleaning up inaccessible channel: ${channelId}`);
-      channelData.delete(channelId);
-      canvasData.delete(channelId);
-      bootstrappedChannels.delete(channelId);
-    } else if (error.data?.error === 'missing_scope') {
-      console.log(`🚫 Missing scope for channel ${channelId}, marking as processed`);
-      bootstrappedChannels.add(channelId);
+      markBootstrapped(channelId);
     }
+    throw error; // let the job queue retry or dead-letter it
   } finally {
     data.pendingUpdate = false;
   }
@@ -1300,9 +1374,7 @@ app.event('member_joined_channel', async ({ event, say, client, context }) => {
       console.log(`🎯 Paper bot added to channel: ${event.channel}, starting bootstrap...`);
       
       // Small delay to ensure permissions are fully set up
-      setTimeout(async () => {
-        await bootstrapChannelCanvasWithClient(event.channel, workspaceClient, teamId, say);
-      }, 2000);
+      await enqueueBootstrap(event.channel, teamId, 2000);
     }
   } catch (error) {
     console.error('Error handling member_joined_channel event:', error);
@@ -1312,7 +1384,11 @@ app.event('member_joined_channel', async ({ event, say, client, context }) => {
 // Listen to all messages
 app.message(async ({ message, say, context }) => {
   try {
-  // Skip bot messages and system messages
+  // Edits and deletions update the batch; other bot and system messages are skipped
+  if (message.subtype === 'message_changed' || message.subtype === 'message_deleted') {
+    applyMessageChange(message.channel, message, getTeamId(context));
+    return;
+  }
   if (message.subtype || message.bot_id) return;
     
     console.log(`💬 Message event received in channel ${message.channel}`);
@@ -1331,16 +1407,7 @@ app.message(async ({ message, say, context }) => {
     console.log(`🎯 First message detected in unboostrapped channel ${channelId}, starting bootstrap...`);
     
     // Bootstrap in background, don't block message processing
-    setTimeout(async () => {
-      try {
-        const client = await getSlackClient(teamId);
-        if (client) {
-          await bootstrapChannelCanvasWithClient(channelId, client, teamId, say);
-        }
-      } catch (error) {
-        console.error(`❌ Error bootstrapping channel ${channelId}:`, error);
-      }
-    }, 1000);
+    await enqueueBootstrap(channelId, teamId, 1000);
   }
   
   // Add message to batch
@@ -1349,7 +1416,7 @@ app.message(async ({ message, say, context }) => {
   // Check if we should process the batch
   if (shouldProcessBatch(channelId)) {
     // Add small delay to avoid rate limits
-    setTimeout(() => processBatchWithClient(channelId, teamId), 1000);
+    await enqueueBatch(channelId, teamId, { delay: 1000 });
   }
   } catch (error) {
     console.error('🚨 Error in message handler:', error.message);
@@ -1386,16 +1453,29 @@ app.event('app_mention', async ({ event, say, context }) => {
         return; // Bootstrap will create the Canvas
       }
       
+      // Optional time window after the keyword: "summary since yesterday", "summary last 7 days"
+      const rangeText = (event.text.split(/\b(?:summary|update)\b/i)[1] || '').trim();
+      let range = null;
+      if (rangeText) {
+        const userInfo = await client.users.info({ user: event.user }).catch(() => null);
+        range = parseTimeRange(rangeText, { timeZone: userInfo?.user?.tz || 'UTC' });
+        if (!range) {
+          await say(`📅 I couldn't understand "${rangeText}". Try \`summary since yesterday\`, \`summary last 7 days\` or \`summary 2026-10-01 to 2026-10-05\`.`);
+          return;
+        }
+      }
+
       // Fetch recent conversation history from Slack  
-      console.log('Fetching conversation history for channel:', channelId);
+      console.log('Fetching conversation history for channel:', channelId, range ? `(${formatTimeRange(range)})` : '');
       
       let result;
       try {
-        result = await client.conversations.history({
-        channel: channelId,
-        limit: CONFIG.MAX_CONVERSATION_HISTORY,
-        exclude_archived: true
-      });
+        result = await fetchHistory(client, channelId, {
+          maxMessages: CONFIG.MAX_CONVERSATION_HISTORY,
+          maxDuration: CONFIG.HISTORY_FETCH_BUDGET,
+          ...(range?.oldest ? { oldest: range.oldest } : {}),
+          ...(range?.latest ? { latest: range.latest, inclusive: true } : {})
+        });
       } catch (historyError) {
         if (historyError.data?.error === 'channel_not_found') {
           console.log(`🚫 Channel ${channelId} not accessible during manual summary request`);
@@ -1410,21 +1490,15 @@ app.event('app_mention', async ({ event, say, context }) => {
       }
       
       if (result.messages && result.messages.length > 0) {
-        // Convert messages to our format and filter out bot messages
-        const conversationMessages = result.messages
-          .filter(msg => !msg.bot_id && !msg.subtype)
-          .reverse() // Slack gives newest first, we want chronological order
-          .map(msg => ({
-            user: msg.user,
-            text: msg.text || '',
-            timestamp: msg.ts,
-            thread_ts: msg.thread_ts
-          }));
+        // Convert messages to our format and filter out bot messages, pulling in thread replies
+        const conversationMessages = await attachThreadReplies(client, channelId, result.messages
+          .filter(msg => !msg.bot_id && !msg.subtype));
         
         console.log(`Found ${conversationMessages.length} messages to summarize`);
         
         if (conversationMessages.length >= 3) {
-          const summaryData = await generateSummary(conversationMessages, client);
+          const summaryData = await generateSummary(conversationMessages, client, teamId);
+          summaryData.range = range; // stated in the canvas footer
           await updateCanvasWithClient(channelId, summaryData, client, teamId);
           
           // Provide feedback for very long conversations
@@ -1512,46 +1586,51 @@ app.event('app_home_opened', async ({ event, client }) => {
   }
 });
 
-// Auto-update canvases periodically for active channels
+// Auto-update canvases periodically for active channels - a self-rescheduling job, so the
+// schedule survives restarts and each channel's update is queued like any other batch
+const AUTO_UPDATE_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
 async function autoUpdateCanvases() {
   console.log('🔄 Running automatic canvas updates...');
   
-  for (const [channelId, data] of channelData.entries()) {
-    // Only update if there are recent messages and enough time has passed
-    const timeSinceLastUpdate = Date.now() - data.lastBatchTime;
-    const hasRecentActivity = data.messages.length > 0;
-    const shouldUpdate = timeSinceLastUpdate >= (15 * 60 * 1000); // 15 minutes
-    
-    if (hasRecentActivity && shouldUpdate && !data.pendingUpdate) {
-      console.log(`🔄 Auto-updating canvas for channel: ${channelId}`);
-      try {
-        await processBatch(channelId);
-      } catch (error) {
-        if (error.message && error.message.includes('channel_not_found')) {
-          console.log(`🚫 Cleaning up inaccessible channel: ${channelId}`);
-          channelData.delete(channelId);
-          canvasData.delete(channelId);
-          bootstrappedChannels.delete(channelId);
-        } else {
-          console.error(`Error auto-updating canvas for ${channelId}:`, error);
-        }
+  try {
+    for (const [channelId, data] of channelData.entries()) {
+      // Only update if there are recent messages and enough time has passed
+      const timeSinceLastUpdate = Date.now() - data.lastBatchTime;
+      const hasRecentActivity = bufferSize(data.messages) > 0;
+      const shouldUpdate = timeSinceLastUpdate >= (15 * 60 * 1000); // 15 minutes
+      
+      if (hasRecentActivity && shouldUpdate && !data.pendingUpdate) {
+        console.log(`🔄 Auto-updating canvas for channel: ${channelId}`);
+        await enqueueBatch(channelId, null);
       }
     }
+  } finally {
+    await jobQueue.enqueue('auto-update', {}, { delay: AUTO_UPDATE_INTERVAL, dedupe: 'auto-update' });
   }
 }
 
-// Run auto-updates every 10 minutes
-setInterval(autoUpdateCanvases, 10 * 60 * 1000);
+jobQueue
+  .register('summary', ({ channelId, teamId }) => processBatchWithClient(channelId, teamId))
+  .register('bootstrap', async ({ channelId, teamId }) => {
+    const client = await getSlackClient(teamId);
+    if (!client) {
+      throw new Error(`Could not get Slack client for team ${teamId}`);
+    }
+    const say = (text) => client.chat.postMessage({ channel: channelId, text });
+    await bootstrapChannelCanvasWithClient(channelId, client, teamId, say);
+  })
+  .register('auto-update', autoUpdateCanvases);
 
 // Cleanup old data periodically  
 setInterval(() => {
   const oneHourAgo = Date.now() - (60 * 60 * 1000);
   
   for (const [channelId, data] of channelData.entries()) {
-    if (data.lastBatchTime < oneHourAgo && data.messages.length === 0) {
+    if (data.lastBatchTime < oneHourAgo && bufferSize(data.messages) === 0) {
+      // Drop only the message buffer - canvas and bootstrap flags stay persisted
       channelData.delete(channelId);
-      canvasData.delete(channelId);
-      bootstrappedChannels.delete(channelId);
+      saveChannelState(channelId);
       console.log(`🧹 Cleaned up inactive channel data: ${channelId}`);
     }
   }
@@ -1599,6 +1678,22 @@ app.error((error) => {
     const port = process.env.PORT || 10000;
     
     console.log('🚀 Starting Paper Slack App...');
+    
+    // Restore canvases, buffers and bootstrap flags from the last run
+    await restoreChannelState();
+
+    // Resume queued batches/bootstraps and make sure the auto-update schedule exists
+    await jobQueue.start();
+    await jobQueue.enqueue('auto-update', {}, { delay: AUTO_UPDATE_INTERVAL, dedupe: 'auto-update' });
+
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.once(signal, async () => {
+        console.log(`🛑 ${signal} received - saving channel state`);
+        jobQueue.stop();
+        await channelStateRepository.flush();
+        process.exit(0);
+      });
+    }
     console.log(`📡 Socket Mode: Handles real-time Slack events (main functionality)`);
     console.log(`🌐 HTTP Server: Provides debug/status endpoints (monitoring only)`);
     
@@ -1694,13 +1789,14 @@ app.error((error) => {
     });
 
     // Quick status endpoint
-    httpApp.get('/status', (req, res) => {
+    httpApp.get('/status', async (req, res) => {
       res.json({
         app: 'Paper for Slack',
         status: 'running',
         mode: isOAuthMode ? 'OAuth' : 'Token',
         installations: isOAuthMode ? installationStore.installations.size : 1,
         teamIds: isOAuthMode ? Array.from(installationStore.installations.keys()) : ['TOKEN_MODE'],
+        jobs: await jobQueue.stats(),
         timestamp: new Date().toISOString(),
         socketMode: true,
         healthy: true
@@ -0,0 +1,68 @@
+// Channel pace - recent message arrival times, turned into trigger thresholds.
+// A busy incident channel waits for more messages (and a shorter lull) before summarizing;
+// a slow planning channel summarizes after fewer messages once it has gone quiet for longer.
+
+const VELOCITY_WINDOW = 15 * 60 * 1000; // messages/minute is measured over the last 15 minutes
+const MAX_TRACKED = 100; // arrival times kept per channel
+
+// Base thresholds in ms - channels pass their own from lib/settings.js
+const DEFAULT_TRIGGERS = {
+  messageThreshold: 10, // buffered messages (thread replies included) that trigger an update
+  maxWait: 2 * 60 * 1000, // a new message this long after the last update triggers one too
+  lullPeriod: 3 * 60 * 1000 // quiet time before the lull trigger fires
+};
+
+// Checked top to bottom; multipliers apply to DEFAULT_TRIGGERS (or the caller's base)
+const PACES = [
+  { name: 'busy', minVelocity: 3, messages: 2.5, wait: 2.5, lull: 0.5 },
+  { name: 'active', minVelocity: 0.5, messages: 1, wait: 1, lull: 1 },
+  { name: 'slow', minVelocity: 0, messages: 0.5, wait: 5, lull: 3 }
+];
+
+function createActivity() {
+  return { messageTimes: [] };
+}
+
+// Record a message arrival (ms); returns the activity object
+function recordActivity(activity, at = Date.now()) {
+  activity.messageTimes = [...(activity.messageTimes || []), at]
+    .filter(time => at - time <= VELOCITY_WINDOW)
+    .slice(-MAX_TRACKED);
+  return activity;
+}
+
+function lastMessageAt(activity) {
+  const times = activity?.messageTimes || [];
+  return times.length > 0 ? times[times.length - 1] : null;
+}
+
+// Messages per minute over the velocity window
+function channelVelocity(activity, now = Date.now()) {
+  const recent = (activity?.messageTimes || []).filter(time => now - time <= VELOCITY_WINDOW);
+  return recent.length / (VELOCITY_WINDOW / 60000);
+}
+
+// { pace, velocity, messageThreshold, maxWait, lullPeriod } for the channel's current pace.
+// adaptive: false keeps the base thresholds whatever the pace
+function triggerSettings(activity, base = DEFAULT_TRIGGERS, { adaptive = true, now = Date.now() } = {}) {
+  const velocity = channelVelocity(activity, now);
+  const pace = adaptive
+    ? PACES.find(candidate => velocity >= candidate.minVelocity)
+    : { name: 'fixed', messages: 1, wait: 1, lull: 1 };
+  return {
+    pace: pace.name,
+    velocity: Math.round(velocity * 10) / 10,
+    messageThreshold: Math.max(3, Math.round(base.messageThreshold * pace.messages)),
+    maxWait: Math.round(base.maxWait * pace.wait),
+    lullPeriod: Math.round(base.lullPeriod * pace.lull)
+  };
+}
+
+module.exports = {
+  DEFAULT_TRIGGERS,
+  createActivity,
+  recordActivity,
+  lastMessageAt,
+  channelVelocity,
+  triggerSettings
+};
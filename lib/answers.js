@@ -0,0 +1,98 @@
+// Question answering over a channel's history. Retrieved messages and summary items become
+// numbered sources; the model answers citing them as [n] and the citations are turned into
+// links back to Slack before the answer is posted.
+
+const MAX_SOURCE_LENGTH = 600; // characters of each source shown to the model
+const MAX_ANSWER_LENGTH = 2900; // section text limit is 3000 chars
+
+// Structured summary -> searchable items, one per decision / action item / topic / insight / question
+function summaryDocuments(structured, { canvasId = null, version = null } = {}) {
+  if (!structured) return [];
+  const label = version ? `canvas summary #${version}` : 'canvas summary';
+  const items = [
+    ...structured.decisions.map(decision => ({
+      kind: 'decision',
+      text: `Decision (${decision.status}): ${decision.text}${decision.rationale ? ` - ${decision.rationale}` : ''}${decision.owner ? ` (${decision.owner})` : ''}`
+    })),
+    ...structured.action_items.map(item => ({
+      kind: 'action item',
+      text: `Action item (${item.status}): ${item.task}${item.owner ? ` - ${item.owner}` : ''}${item.due_date ? `, due ${item.due_date}` : ''}`
+    })),
+    ...structured.topics.map(topic => ({ kind: 'topic', text: `${topic.title}: ${topic.details.join('; ')}` })),
+    ...structured.insights.map(insight => ({ kind: 'insight', text: insight.text })),
+    ...structured.open_questions.map(question => ({ kind: 'open question', text: `Open question: ${question.text}` }))
+  ];
+
+  return items.map((item, index) => ({
+    id: `summary:${version || 'current'}:${index}`,
+    type: 'summary',
+    text: item.text,
+    label: `${label} – ${item.kind}`,
+    link: canvasId ? `https://slack.com/canvas/${canvasId}` : null
+  }));
+}
+
+// Numbered source lines for the prompt. sources: [{ type, text, user, ts, label }]
+function formatSources(sources, userNames = {}, timeZone = 'UTC') {
+  return sources.map((source, index) => {
+    const text = source.text.replace(/\s+/g, ' ').substring(0, MAX_SOURCE_LENGTH);
+    if (source.type === 'summary') {
+      return `[${index + 1}] (${source.label}) ${text}`;
+    }
+    const day = new Date(parseFloat(source.ts) * 1000).toLocaleDateString('en-CA', { timeZone });
+    return `[${index + 1}] ${day} ${userNames[source.user] || source.user}: ${text}`;
+  }).join('\n');
+}
+
+// Replace [n] / [n, m] citations with links to the sources; unknown numbers are dropped.
+// Returns { text, cited } where cited holds the source indexes (0-based) in first-cited order.
+function linkCitations(answer, sources) {
+  const cited = [];
+  const text = answer.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, numbers) => {
+    const links = numbers.split(',')
+      .map(number => parseInt(number.trim(), 10) - 1)
+      .filter(index => index >= 0 && index < sources.length)
+      .map(index => {
+        if (!cited.includes(index)) cited.push(index);
+        const link = sources[index].permalink || sources[index].link;
+        return link ? `<${link}|[${index + 1}]>` : `[${index + 1}]`;
+      });
+    return links.join('');
+  });
+  return { text: text.replace(/ +([.,;:!?])/g, '$1').trim(), cited };
+}
+
+// Block Kit answer: the question, the answer with linked citations, and the cited sources
+function renderAnswerBlocks({ question, answer, sources }) {
+  const { text, cited } = linkCitations(answer, sources);
+  const blocks = [
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `❓ _${question.substring(0, 280)}_` }] },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: text.length > MAX_ANSWER_LENGTH ? `${text.substring(0, MAX_ANSWER_LENGTH - 1)}…` : text }
+    }
+  ];
+
+  if (cited.length > 0) {
+    const lines = cited.map(index => {
+      const source = sources[index];
+      if (source.type === 'summary') {
+        return `[${index + 1}] ${source.link ? `<${source.link}|${source.label}>` : source.label}`;
+      }
+      const posted = `<@${source.user}>, <!date^${Math.floor(parseFloat(source.ts))}^{date_short}|${source.ts}>`;
+      return `[${index + 1}] ${source.permalink ? `<${source.permalink}|message>` : 'message'} – ${posted}`;
+    });
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `*Sources:* ${lines.join('  •  ')}`.substring(0, 3000) }] });
+  } else {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: '_No messages cited - treat this answer with care._' }] });
+  }
+
+  return { blocks, text: text.substring(0, 3000) };
+}
+
+module.exports = {
+  summaryDocuments,
+  formatSources,
+  linkCitations,
+  renderAnswerBlocks
+};
@@ -0,0 +1,56 @@
+// Dated archive canvases. With archiving on, each day or week gets a standalone canvas with a
+// summary of just that period's messages, refreshed while the period runs; once it is over
+// nothing writes to it again. The live canvas lists the archives in its own Paper-owned section.
+
+const ARCHIVE_INDEX_TITLE = '🗄️ Paper Archive';
+const MAX_INDEXED = 30; // archive links listed on the live canvas, newest first
+
+function dateParts(day) {
+  return day.split('-').map(part => parseInt(part, 10));
+}
+
+function formatDay(day) {
+  const [year, month, date] = dateParts(day);
+  return new Date(Date.UTC(year, month - 1, date)).toLocaleDateString('en-US', {
+    timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric'
+  });
+}
+
+// Period a moment falls in for a cadence ('daily' | 'weekly'), in the channel's timezone:
+// { id: '2026-10-19' | 'week-2026-10-19', title: 'Oct 19, 2026' | 'Week of Oct 19, 2026' }.
+// Weeks start on Monday.
+function archivePeriod(cadence, timeZone, date = new Date()) {
+  const day = date.toLocaleDateString('en-CA', { timeZone });
+  if (cadence !== 'weekly') {
+    return { id: day, title: formatDay(day) };
+  }
+
+  const [year, month, dayOfMonth] = dateParts(day);
+  const local = new Date(Date.UTC(year, month - 1, dayOfMonth));
+  local.setUTCDate(local.getUTCDate() - ((local.getUTCDay() + 6) % 7));
+  const monday = local.toISOString().slice(0, 10);
+  return { id: `week-${monday}`, title: `Week of ${formatDay(monday)}` };
+}
+
+// First and last day (YYYY-MM-DD) of a period id
+function periodDays(periodId) {
+  const first = periodId.replace(/^week-/, '');
+  if (first === periodId) return { first, last: first };
+  const [year, month, day] = dateParts(first);
+  return { first, last: new Date(Date.UTC(year, month - 1, day + 6)).toISOString().slice(0, 10) };
+}
+
+// Markdown for the live canvas index. archives: [{ title, canvasId }] oldest first
+function renderArchiveIndex(archives) {
+  const links = archives.slice(-MAX_INDEXED).reverse()
+    .map(archive => `- [${archive.title}](https://slack.com/canvas/${archive.canvasId})`);
+  const more = archives.length > MAX_INDEXED ? [`- _…and ${archives.length - MAX_INDEXED} older archives_`] : [];
+  return ['Frozen summaries of earlier periods:', '', ...links, ...more].join('\n');
+}
+
+module.exports = {
+  ARCHIVE_INDEX_TITLE,
+  archivePeriod,
+  periodDays,
+  renderArchiveIndex
+};
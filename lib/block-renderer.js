@@ -0,0 +1,62 @@
+const { SECTIONS } = require('./canvas-renderer');
+
+// Block Kit renderer - the same structured summary as the canvas, shaped for a Slack message
+
+const MAX_TEXT_LENGTH = 2900; // section text limit is 3000 chars
+const MAX_BLOCKS = 50;
+
+// Canvas markdown line -> Slack mrkdwn
+function toMrkdwn(line) {
+  return line
+    .replace(/\[([^\]]+)\]\((https?:[^)\s]+)\)/g, '<$2|$1>')
+    .replace(/^## (.*)$/, (_, title) => `*${title.replace(/\*\*/g, '')}*`)
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/~~(.+?)~~/g, '~$1~')
+    .replace(/^(\s*)- \[x\] /, '$1☑️ ')
+    .replace(/^(\s*)- \[ \] /, '$1☐ ')
+    .replace(/^(\s*)- /, '$1• ');
+}
+
+// Split long text on line boundaries so each chunk fits in one section block
+function chunkLines(lines) {
+  const chunks = [];
+  let current = '';
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > MAX_TEXT_LENGTH) {
+      chunks.push(current);
+      current = '';
+    }
+    current += (current ? '\n' : '') + line.substring(0, MAX_TEXT_LENGTH);
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Structured summary -> Block Kit blocks (header, one section per summary section, context footer).
+// permalinks ({ ts: url }) adds source links, as in the canvas. maxBlocks leaves room for blocks the
+// caller adds after these; sections are cut to fit, the footer always stays.
+function renderSummaryBlocks(summary, { title = 'Summary', footer = null, permalinks = null, maxBlocks = MAX_BLOCKS } = {}) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: title.substring(0, 150), emoji: true } }
+  ];
+
+  for (const section of SECTIONS) {
+    const items = summary[section.key];
+    if (!items || items.length === 0) continue;
+
+    const lines = [section.title, ...section.render(items, permalinks)].map(toMrkdwn);
+    for (const text of chunkLines(lines)) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
+    }
+  }
+
+  const body = blocks.slice(0, maxBlocks - (footer ? 1 : 0));
+  return footer
+    ? [...body, { type: 'context', elements: [{ type: 'mrkdwn', text: footer }] }]
+    : body;
+}
+
+module.exports = {
+  toMrkdwn,
+  renderSummaryBlocks
+};
@@ -0,0 +1,72 @@
+const { createStorageAdapter } = require('./storage');
+
+// Every summary Paper publishes to a channel canvas, kept as a numbered version so an older one
+// can be put back without generating it again. Records are keyed "teamId/channelId" and hold
+// { nextNumber, versions } with the oldest version first.
+
+const MAX_VERSIONS = 30; // per channel; numbers keep counting up after old versions are dropped
+
+class CanvasHistory {
+  constructor(adapter = createStorageAdapter('canvas-history'), { maxVersions = MAX_VERSIONS } = {}) {
+    this.adapter = adapter;
+    this.maxVersions = maxVersions;
+  }
+
+  key(teamId, channelId) {
+    return `${teamId}/${channelId}`;
+  }
+
+  async load(teamId, channelId) {
+    return (await this.adapter.get(this.key(teamId, channelId))) || { nextNumber: 1, versions: [] };
+  }
+
+  // Store a published summary; returns it with its version number.
+  // version: { content, region, summary, structured, messageCount, userTimezone, source, model, kind, restoredFrom }
+  // where content is what was written and region the whole of Paper's section afterwards
+  // (they differ in append mode; null when the earlier section content wasn't known)
+  async record(teamId, channelId, version) {
+    const history = await this.load(teamId, channelId);
+    const saved = { ...version, number: history.nextNumber, createdAt: Date.now() };
+
+    history.versions = [...history.versions, saved].slice(-this.maxVersions);
+    history.nextNumber += 1;
+    await this.adapter.set(this.key(teamId, channelId), history);
+    return saved;
+  }
+
+  // Versions newest first
+  async list(teamId, channelId, limit = this.maxVersions) {
+    const { versions } = await this.load(teamId, channelId);
+    return versions.slice().reverse().slice(0, limit);
+  }
+
+  async get(teamId, channelId, number) {
+    const { versions } = await this.load(teamId, channelId);
+    return versions.find(version => version.number === number) || null;
+  }
+
+  async latest(teamId, channelId) {
+    const { versions } = await this.load(teamId, channelId);
+    return versions[versions.length - 1] || null;
+  }
+}
+
+// What a rollback puts back in Paper's section, or null when the version doesn't say - an
+// append-mode update recorded before whole sections were kept only holds what it appended
+function restorableContent(version, { appendMode = false } = {}) {
+  if (version.region !== undefined) return version.region;
+  return appendMode && version.kind !== 'rollback' ? null : version.content;
+}
+
+// Oldest/latest ts and message count of the conversation a summary was built from
+function sourceRange(timestamps) {
+  if (timestamps.length === 0) return null;
+  const sorted = timestamps.slice().sort((a, b) => parseFloat(a) - parseFloat(b));
+  return { oldest: sorted[0], latest: sorted[sorted.length - 1], messages: sorted.length };
+}
+
+module.exports = {
+  CanvasHistory,
+  restorableContent,
+  sourceRange
+};
@@ -0,0 +1,57 @@
+// Paper's region of a channel canvas. Paper writes its summary under one top-level heading and
+// only ever edits that section, so notes teammates add under their own headings survive updates.
+// Other Paper-owned sections (the archive index) pass their own heading as `title`.
+// In a canvas a heading section runs until the next heading of the same or higher level, which
+// is why the summary itself only uses "##" headings.
+
+const REGION_TITLE = '📄 Paper Summary';
+
+// Summary markdown wrapped in Paper's heading
+function renderRegion(content, title = REGION_TITLE) {
+  return `# ${title}\n\n${content}`;
+}
+
+function markdown(text) {
+  return { type: 'markdown', markdown: text };
+}
+
+// Section id of Paper's heading, or null when the canvas has none
+async function findRegion(client, canvasId, title = REGION_TITLE) {
+  const response = await client.apiCall('canvases.sections.lookup', {
+    canvas_id: canvasId,
+    criteria: { section_types: ['h1'], contains_text: title }
+  });
+  return response.sections?.[0]?.id || null;
+}
+
+// Write the summary into Paper's region.
+// mode 'replace' swaps the region, 'append' adds the update at the end of it.
+// legacy: the canvas predates regions - the region is added at the start once and the older
+// content is left alone (teammates may have written in it too). Without a region (a teammate
+// deleted it, or it's new) it is added at `position` ('start' or 'end'). Returns the operation used.
+async function writeRegion(client, canvasId, content, { mode = 'replace', legacy = false, title = REGION_TITLE, position = 'start' } = {}) {
+  const sectionId = legacy ? null : await findRegion(client, canvasId, title);
+  const region = markdown(renderRegion(content, title));
+  let change;
+
+  if (sectionId && mode === 'append') {
+    change = { operation: 'insert_after', section_id: sectionId, document_content: markdown(`\n---\n\n${content}`) };
+  } else if (sectionId) {
+    change = { operation: 'replace', section_id: sectionId, document_content: region };
+  } else {
+    change = { operation: position === 'end' && !legacy ? 'insert_at_end' : 'insert_at_start', document_content: region };
+  }
+
+  const response = await client.apiCall('canvases.edit', { canvas_id: canvasId, changes: [change] });
+  if (!response.ok) {
+    throw new Error(response.error || 'canvases.edit failed');
+  }
+  return change.operation;
+}
+
+module.exports = {
+  REGION_TITLE,
+  renderRegion,
+  findRegion,
+  writeRegion
+};
@@ -0,0 +1,85 @@
+const { itemSources } = require('./summary-schema');
+
+// Canvas renderer - turns a structured summary (see summary-schema.js) into Granola-style markdown
+
+const MAX_CITATIONS = 3; // source links shown per bullet
+
+// Source links for a bullet. permalinks: { ts: url } - without it the summary renders uncited;
+// with it, bullets that point at no message are flagged so readers know not to trust them blindly.
+function cite(item, permalinks) {
+  if (!permalinks) return '';
+  const sources = itemSources(item);
+  if (sources.length === 0) return ' _(⚠️ no source)_';
+  const links = sources.map(ts => permalinks[ts]).filter(Boolean).slice(0, MAX_CITATIONS);
+  return links.map(url => ` [↗](${url})`).join('');
+}
+
+function strike(text, status, reason) {
+  return status === 'superseded' || status === 'cancelled'
+    ? `~~${text}~~ _(${reason})_`
+    : text;
+}
+
+// People known by user ID render as clickable <@USER_ID> mentions, others by name
+function person(name, userId) {
+  return userId ? `<@${userId}>` : `**${name}**`;
+}
+
+function renderParticipants(participants) {
+  return participants.map(p =>
+    `- ${person(p.name, p.user_id)}${p.contribution ? `: ${p.contribution}` : ''}`
+  );
+}
+
+function renderTopics(topics, permalinks) {
+  return topics.flatMap(topic => [
+    `- **${topic.title}**${topic.details.length === 1 ? `: ${topic.details[0]}` : ''}${cite(topic, permalinks)}`,
+    ...(topic.details.length > 1 ? topic.details.map(detail => `  - ${detail}`) : [])
+  ]);
+}
+
+function renderDecisions(decisions, permalinks) {
+  return decisions.map(d => {
+    const text = `**${d.text}**${d.rationale ? ` - ${d.rationale}` : ''}${d.owner ? ` _(owner: ${d.owner})_` : ''}`;
+    return `- ${strike(text, d.status, 'no longer relevant')}${cite(d, permalinks)}`;
+  });
+}
+
+function renderActionItems(actionItems, permalinks) {
+  return actionItems.map(a => {
+    const checkbox = a.status === 'done' ? '[x]' : '[ ]';
+    const text = `${a.owner || a.owner_id ? `${person(a.owner, a.owner_id)}: ` : ''}${a.task}${a.due_date ? ` _(due ${a.due_date})_` : ''}`;
+    return `- ${checkbox} ${strike(text, a.status, 'cancelled')}${cite(a, permalinks)}`;
+  });
+}
+
+function renderInsights(insights, permalinks) {
+  return insights.flatMap(i => [
+    ...(i.quote ? [`> ${i.quote}${i.text ? '' : cite(i, permalinks)}`] : []),
+    ...(i.text ? [`- ${i.text}${cite(i, permalinks)}`] : [])
+  ]);
+}
+
+const SECTIONS = [
+  { key: 'participants', title: '## 🗣️ **Key Participants**', render: renderParticipants },
+  { key: 'topics', title: '## 💬 **Main Discussion Points**', render: renderTopics },
+  { key: 'decisions', title: '## ✅ **Decisions & Agreements**', render: renderDecisions },
+  { key: 'action_items', title: '## 🎯 **Action Items & Next Steps**', render: renderActionItems },
+  { key: 'insights', title: '## 📌 **Key Insights & Resources**', render: renderInsights },
+  { key: 'open_questions', title: '## ❓ **Open Questions**', render: (items, permalinks) => items.map(q => `- ${q.text}${cite(q, permalinks)}`) },
+  { key: 'context', title: '## 🔍 **Context & Background**', render: items => items.map(c => `- ${c}`) }
+];
+
+// Structured summary -> canvas markdown; empty sections are left out.
+// permalinks ({ ts: url }) turns on source citations for each bullet.
+function renderSummaryMarkdown(summary, { permalinks = null } = {}) {
+  return SECTIONS
+    .filter(section => summary[section.key]?.length > 0)
+    .map(section => [section.title, ...section.render(summary[section.key], permalinks)].join('\n'))
+    .join('\n\n');
+}
+
+module.exports = {
+  SECTIONS,
+  renderSummaryMarkdown
+};
@@ -0,0 +1,126 @@
+const { taskSimilarity } = require('./task-store');
+
+// "What did I miss" - personal recaps across channels for one user. The summaries themselves
+// come from generateSummary() with the personal prompt; this module picks the channels out of
+// the command, finds messages that mention the user and renders the recap as Block Kit.
+
+const MAX_TEXT_LENGTH = 2900; // section text limit is 3000 chars
+const MAX_LISTED = 5; // mentions / decisions / topics shown per channel
+
+// ["<#C123|launch>", "since", "monday", "dm"] -> { channelIds: ["C123"], rangeText: "since monday", dm: true }
+function parseCatchupArgs(args) {
+  const channelIds = [];
+  const rest = [];
+  let dm = false;
+
+  for (const arg of args) {
+    const mention = arg.match(/^<#([CG][A-Z0-9]+)(\|[^>]*)?>$/);
+    if (mention) {
+      channelIds.push(mention[1]);
+    } else if (/^(dm|private)$/i.test(arg)) {
+      dm = true;
+    } else {
+      rest.push(arg);
+    }
+  }
+
+  return { channelIds: [...new Set(channelIds)], rangeText: rest.join(' ') || null, dm };
+}
+
+// Messages and thread replies that mention the user, oldest first
+// (<@U123> or <@U123|name> - not <@U1234>, whose ID merely starts with the user's)
+function findMentions(conversation, userId) {
+  const tag = new RegExp(`<@${userId}(\\|[^>]*)?>`);
+  return conversation
+    .flatMap(message => [message, ...(message.replies || [])])
+    .filter(message => message.user !== userId && tag.test(message.text || ''));
+}
+
+function truncate(text, length) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.substring(0, length - 1)}…` : clean;
+}
+
+// Open action items for the user: the ones the recap found, plus tracked tasks it didn't repeat
+function assignedItems(structured, userId, trackedTasks = []) {
+  const fromSummary = (structured?.action_items || [])
+    .filter(item => item.owner_id === userId && item.status === 'open')
+    .map(item => ({ task: item.task, dueDate: item.due_date, permalink: null }));
+  const tracked = trackedTasks
+    .filter(task => !fromSummary.some(item => taskSimilarity(item.task, task.task) >= 0.6))
+    .map(task => ({ task: task.task, dueDate: task.dueDate, permalink: task.permalink }));
+  return [...fromSummary, ...tracked];
+}
+
+// One section's worth of mrkdwn for a channel
+function renderChannelRecap({ channelId, messageCount, structured, mentions = [], tasks = [] }, userId) {
+  const lines = [`*<#${channelId}>* – ${messageCount} message${messageCount === 1 ? '' : 's'}`];
+
+  if (mentions.length > 0) {
+    lines.push('', `🔔 *Mentions you* (${mentions.length})`);
+    mentions.slice(0, MAX_LISTED).forEach(mention => {
+      const quote = truncate(mention.text.replace(new RegExp(`<@${userId}(\\|[^>]*)?>`, 'g'), '@you'), 120);
+      lines.push(`• <@${mention.user}>: ${mention.permalink ? `<${mention.permalink}|${quote}>` : quote}`);
+    });
+  }
+
+  const assigned = assignedItems(structured, userId, tasks);
+  if (assigned.length > 0) {
+    lines.push('', '🎯 *Assigned to you*');
+    assigned.forEach(item => {
+      const due = item.dueDate ? ` – due ${item.dueDate}` : '';
+      lines.push(`• ${item.permalink ? `<${item.permalink}|${item.task}>` : item.task}${due}`);
+    });
+  }
+
+  const decisions = (structured?.decisions || []).filter(decision => decision.status === 'active');
+  if (decisions.length > 0) {
+    lines.push('', '✅ *Decided while you were away*');
+    decisions.slice(0, MAX_LISTED).forEach(decision => {
+      lines.push(`• ${decision.text}${decision.owner ? ` _(${decision.owner})_` : ''}`);
+    });
+  }
+
+  const topics = structured?.topics || [];
+  if (topics.length > 0) {
+    lines.push('', '💬 *Also discussed*');
+    topics.slice(0, MAX_LISTED).forEach(topic => {
+      lines.push(`• *${topic.title}*${topic.details[0] ? ` – ${truncate(topic.details[0], 160)}` : ''}`);
+    });
+  }
+
+  const text = lines.join('\n');
+  return text.length > MAX_TEXT_LENGTH ? `${text.substring(0, MAX_TEXT_LENGTH - 1)}…` : text;
+}
+
+// recaps: [{ channelId, messageCount, structured, mentions, tasks }]; quiet: channel IDs with nothing
+// new, skipped: channels the user isn't in, failed: channels that couldn't be summarized
+function renderCatchupBlocks({ userId, window, recaps, quiet = [], skipped = [], failed = [] }) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: '👋 Welcome back - here\'s what you missed', emoji: true } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `For <@${userId}> • ${window}` }] }
+  ];
+
+  for (const recap of recaps) {
+    blocks.push({ type: 'divider' }, { type: 'section', text: { type: 'mrkdwn', text: renderChannelRecap(recap, userId) } });
+  }
+
+  const notes = [
+    quiet.length > 0 ? `Nothing new in ${quiet.map(id => `<#${id}>`).join(', ')}.` : null,
+    skipped.length > 0 ? `Skipped ${skipped.map(id => `<#${id}>`).join(', ')} - you (or I) aren't a member.` : null,
+    failed.length > 0 ? `Couldn't summarize ${failed.map(id => `<#${id}>`).join(', ')} right now.` : null
+  ].filter(Boolean);
+  if (notes.length > 0) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: notes.join(' ') }] });
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  parseCatchupArgs,
+  findMentions,
+  assignedItems,
+  renderChannelRecap,
+  renderCatchupBlocks
+};
@@ -0,0 +1,131 @@
+const { createStorageAdapter } = require('./storage');
+
+// Channel state repository - buffered messages, canvas IDs, last update and bootstrap flags
+// that must survive a restart. Live state objects are kept in memory and snapshotted to the
+// storage adapter (debounced) whenever a caller marks them as changed.
+class ChannelStateRepository {
+  constructor(adapter = createStorageAdapter('channel-state'), options = {}) {
+    this.adapter = adapter;
+    this.defaults = options.defaults || (() => ({}));
+    this.transientFields = options.transientFields || [];
+    this.flushDelay = options.flushDelay ?? 1000;
+    this.channels = new Map(); // "teamId/channelId" -> live state
+    this.dirty = new Set();
+    this.deleted = new Set();
+    this.flushTimer = null;
+  }
+
+  key(teamId, channelId) {
+    return `${teamId}/${channelId}`;
+  }
+
+  // Load every persisted channel into memory (call once on startup)
+  async restore() {
+    const entries = await this.adapter.entries();
+    for (const [key, saved] of entries) {
+      this.channels.set(key, { ...this.defaults(), ...saved });
+    }
+    console.log(`♻️ Restored state for ${entries.length} channels`);
+    return entries.length;
+  }
+
+  has(teamId, channelId) {
+    return this.channels.has(this.key(teamId, channelId));
+  }
+
+  // Live state for a channel, created from defaults on first use
+  get(teamId, channelId) {
+    const key = this.key(teamId, channelId);
+    if (!this.channels.has(key)) {
+      this.channels.set(key, this.defaults());
+      this.deleted.delete(key);
+      console.log(`📺 Initialized channel data: ${key}`);
+    }
+    return this.channels.get(key);
+  }
+
+  // All channels for a team (or every channel when teamId is omitted)
+  list(teamId = null) {
+    return Array.from(this.channels.entries())
+      .map(([key, state]) => {
+        const [stateTeamId, channelId] = key.split('/');
+        return { teamId: stateTeamId, channelId, state };
+      })
+      .filter(entry => !teamId || entry.teamId === teamId);
+  }
+
+  delete(teamId, channelId) {
+    const key = this.key(teamId, channelId);
+    this.channels.delete(key);
+    this.dirty.delete(key);
+    this.deleted.add(key);
+    this.scheduleFlush();
+  }
+
+  // Persistable copy of one channel's state (transient flags stripped)
+  snapshot(teamId, channelId) {
+    const state = this.channels.get(this.key(teamId, channelId));
+    if (!state) return null;
+
+    const copy = { ...state };
+    for (const field of this.transientFields) {
+      delete copy[field];
+    }
+    return JSON.parse(JSON.stringify(copy));
+  }
+
+  // Mark a channel as changed; the snapshot is written on the next flush
+  save(teamId, channelId) {
+    this.dirty.add(this.key(teamId, channelId));
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => console.error('❌ Channel state flush failed:', error.message));
+    }, this.flushDelay);
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const dirtyKeys = Array.from(this.dirty);
+    const deletedKeys = Array.from(this.deleted);
+    this.dirty.clear();
+    this.deleted.clear();
+
+    // Keys that fail to write are marked again so the next flush retries them
+    let failure = null;
+    for (const key of deletedKeys) {
+      try {
+        await this.adapter.delete(key);
+      } catch (error) {
+        if (!this.channels.has(key)) this.deleted.add(key);
+        failure = failure || error;
+      }
+    }
+    for (const key of dirtyKeys) {
+      const [teamId, channelId] = key.split('/');
+      const snapshot = this.snapshot(teamId, channelId);
+      if (!snapshot) continue;
+      try {
+        await this.adapter.set(key, snapshot);
+      } catch (error) {
+        this.dirty.add(key);
+        failure = failure || error;
+      }
+    }
+
+    if (failure) {
+      this.scheduleFlush();
+      throw failure;
+    }
+  }
+}
+
+module.exports = { ChannelStateRepository };
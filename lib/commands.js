@@ -0,0 +1,211 @@
+// Command parsing and dispatch shared by the /paper slash command and @Paper mentions.
+// The first word picks the subcommand, so "@Paper what's the update?" no longer
+// triggers a full summary just because it contains the word "update" - it's a question.
+
+const COMMANDS = {
+  summary: {
+    aliases: ['update', 'summarize', 'summarise'],
+    usage: 'summary [since yesterday | last 7 days | 2026-10-01 to 2026-10-05]',
+    description: 'Summarize recent messages (or a time window) into the channel canvas'
+  },
+  since: {
+    aliases: [],
+    usage: 'since <yesterday | monday | 2026-10-01>',
+    description: 'Summarize everything posted since a day'
+  },
+  thread: {
+    aliases: [],
+    usage: 'summarize thread [canvas]',
+    description: 'Summarize the current thread (mention inside a thread)',
+    mentionOnly: true
+  },
+  ask: {
+    aliases: ['question', 'q'],
+    usage: 'ask <question>',
+    description: 'Answer a question from the channel history, citing the messages (mentions can just ask: "@Paper what did we decide about pricing?")'
+  },
+  search: {
+    aliases: ['find'],
+    usage: 'search <terms> [in:#channel] [from:@user] [after:<day>] [before:<day>]',
+    description: 'Search messages and summaries Paper has seen in your channels'
+  },
+  catchup: {
+    aliases: ['missed', 'recap'],
+    usage: 'catchup [#channel ...] [since monday | last 3 days] [dm]',
+    description: 'Personal recap of what you missed across channels: mentions, your items and decisions'
+  },
+  status: {
+    aliases: ['debug'],
+    usage: 'status',
+    description: 'Show installation and channel status'
+  },
+  pause: {
+    aliases: ['stop'],
+    usage: 'pause',
+    description: 'Stop automatic summaries in this channel'
+  },
+  resume: {
+    aliases: ['start', 'unpause'],
+    usage: 'resume',
+    description: 'Turn automatic summaries back on'
+  },
+  config: {
+    aliases: ['llm', 'settings'],
+    usage: 'config [workspace] [threshold=<n>] [lull=<seconds>] [template=<granola|brief|detailed>] [tz=<zone>] [model=<name>] ...',
+    description: 'Show or change settings for this channel (or, with workspace, every channel)'
+  },
+  history: {
+    aliases: ['versions'],
+    usage: 'history',
+    description: 'List recent versions of the canvas summary'
+  },
+  rollback: {
+    aliases: ['restore', 'revert'],
+    usage: 'rollback <version>',
+    description: 'Put an earlier canvas summary back without regenerating it'
+  },
+  tasks: {
+    aliases: ['todo', 'todos', 'actions'],
+    usage: 'tasks [mine]',
+    description: 'List open action items across channels (or just yours)'
+  },
+  help: {
+    aliases: ['?'],
+    usage: 'help',
+    description: 'Show this help'
+  }
+};
+
+const ALIASES = Object.entries(COMMANDS).reduce((map, [name, spec]) => {
+  map[name] = name;
+  spec.aliases.forEach(alias => { map[alias] = name; });
+  return map;
+}, {});
+
+// First words that make an unrecognized command a question for "ask"
+const QUESTION_WORDS = new Set([
+  'what', "what's", 'whats', 'who', "who's", 'whom', 'whose', 'when', 'where', 'why', 'how', 'which',
+  'did', 'do', 'does', 'is', 'are', 'was', 'were', 'can', 'could', 'should', 'has', 'have', 'had', 'any'
+]);
+
+function isQuestion(tokens) {
+  const first = (tokens[0] || '').toLowerCase().replace(/[’]/g, "'");
+  return QUESTION_WORDS.has(first) || /\?\s*$/.test(tokens.join(' '));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Leading mention(s), the bot's own mention wherever it appears and surrounding whitespace
+// are not part of the command. When a known command follows the bot's mention, anything
+// before it is chatter: "hey @Paper summary" is "summary".
+function stripMentions(text, botUserId = null) {
+  let body = (text || '').replace(/^\s*(<@[A-Z0-9]+(\|[^>]*)?>\s*)+/i, '');
+  if (!botUserId) return body.trim();
+
+  const botMention = new RegExp(`<@${escapeRegExp(botUserId)}(\\|[^>]*)?>`, 'gi');
+  const parts = body.split(botMention).filter((part, index) => index % 2 === 0); // drop capture groups
+  const addressed = parts.slice(1).find(part => {
+    const first = (part.trim().split(/\s+/)[0] || '').toLowerCase();
+    return /^[a-z]/.test(first) && ALIASES[first];
+  });
+  body = addressed ?? parts.join(' ');
+  return body.replace(/\s+/g, ' ').trim();
+}
+
+// Split on whitespace, keeping "quoted values" together
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /(\S+=)?"([^"]*)"|\S+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[2] !== undefined ? `${match[1] || ''}${match[2]}` : match[0]);
+  }
+  return tokens;
+}
+
+// "summary", "since 2026-10-01", "config model=gpt-4o" -> { name, args, text }
+// name is null when the first word is not a known command (unknown holds that word).
+// botUserId lets the bot's mention be dropped from anywhere in the text.
+function parseCommand(text, { botUserId = null } = {}) {
+  const body = stripMentions(text, botUserId);
+  const tokens = tokenize(body);
+  const first = (tokens[0] || '').toLowerCase();
+
+  // "summarize thread" / "summarize this thread" is its own command
+  if (/^summari[sz]e$/.test(first) && /^(this\s+)?thread\b/i.test(tokens.slice(1).join(' '))) {
+    const rest = tokens.slice(tokens[1].toLowerCase() === 'this' ? 3 : 2);
+    return { name: 'thread', args: rest, text: body };
+  }
+
+  if (!first) {
+    return { name: 'help', args: [], text: body };
+  }
+
+  // "what did we decide about X?" - a question rather than a command
+  if (!ALIASES[first] && isQuestion(tokens)) {
+    return { name: 'ask', args: tokens, text: body };
+  }
+
+  return {
+    name: ALIASES[first] || null,
+    unknown: ALIASES[first] ? null : tokens[0],
+    args: tokens.slice(1),
+    text: body
+  };
+}
+
+// ["model=gpt-4o", "verbose"] -> { model: 'gpt-4o', verbose: true }
+function parseKeyValueArgs(args) {
+  return args.reduce((options, arg) => {
+    const index = arg.indexOf('=');
+    if (index === -1) {
+      options[arg.toLowerCase()] = true;
+    } else {
+      options[arg.slice(0, index).toLowerCase()] = arg.slice(index + 1);
+    }
+    return options;
+  }, {});
+}
+
+function helpText(prefix = '/paper') {
+  const lines = Object.values(COMMANDS)
+    .filter(spec => prefix !== '/paper' || !spec.mentionOnly)
+    .map(spec => `• \`${prefix} ${spec.usage}\` – ${spec.description}`);
+  return `📄 *Paper commands*\n\n${lines.join('\n')}`;
+}
+
+// Routes parsed commands to handlers. Each handler gets
+// { command, args, teamId, channelId, userId, threadTs, messageTs, source, reply } where
+// reply(message, { ephemeral }) answers in the right place for the source. context.botUserId,
+// when given, is the bot's own user ID so its mention is ignored anywhere in the text.
+class CommandDispatcher {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  register(name, handler) {
+    if (!COMMANDS[name]) {
+      throw new Error(`Unknown command: ${name}`);
+    }
+    this.handlers.set(name, handler);
+    return this;
+  }
+
+  async dispatch(text, context) {
+    const command = parseCommand(text, { botUserId: context.botUserId });
+    const handler = this.handlers.get(command.name) || this.handlers.get('help');
+    console.log(`⌨️ Command (${context.source}): ${command.name || `unknown "${command.unknown}"`} ${command.args.join(' ')}`);
+    return handler({ ...context, command, args: command.args });
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  parseCommand,
+  parseKeyValueArgs,
+  stripMentions,
+  helpText,
+  CommandDispatcher
+};
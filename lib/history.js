@@ -0,0 +1,120 @@
+// Channel history iterator - follows response_metadata.next_cursor page by page within a
+// message/time budget, and waits out rate limits (Retry-After) instead of failing the fetch.
+// Bootstrap, manual summaries and range summaries all read history through here.
+
+const DEFAULT_PAGE_SIZE = 200; // Slack's recommended maximum page size
+const DEFAULT_MAX_MESSAGES = 1000;
+const DEFAULT_MAX_PAGES = 20;
+const DEFAULT_MAX_DURATION = 60 * 1000; // wall-clock budget for one fetch, rate-limit waits included
+const DEFAULT_MAX_RETRIES = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Seconds to wait before retrying, or null when the error isn't a rate limit.
+// WebClients built with rejectRateLimitedCalls throw slack_webapi_rate_limited_error with
+// retryAfter; raw "ratelimited" platform errors carry the Retry-After header instead.
+function getRetryAfter(error) {
+  if (error.code === 'slack_webapi_rate_limited_error') {
+    return error.retryAfter ?? 1;
+  }
+  if (error.data?.error === 'ratelimited' || error.data?.error === 'rate_limited') {
+    const header = error.data?.response_metadata?.retry_after ?? error.headers?.['retry-after'];
+    return parseInt(header || '1', 10);
+  }
+  return null;
+}
+
+// Run a Slack call, retrying after the Retry-After delay when rate limited.
+// deadline (epoch ms) stops retrying when the wait would overrun the caller's time budget.
+async function withRateLimitRetry(call, { maxRetries = DEFAULT_MAX_RETRIES, deadline = Infinity, label = 'Slack API' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter === null || attempt >= maxRetries || Date.now() + retryAfter * 1000 > deadline) {
+        throw error;
+      }
+      console.log(`⏳ Rate limited on ${label} - retrying in ${retryAfter}s (attempt ${attempt + 1}/${maxRetries})`);
+      await sleep(retryAfter * 1000);
+    }
+  }
+}
+
+// Yields history messages newest first, one page at a time.
+// Options: oldest / latest / inclusive (passed to conversations.history), filter (only matching
+// messages are yielded and count toward maxMessages), maxMessages, maxPages, maxDuration (ms), pageSize.
+// The iterator's return value is { pages, truncated } - truncated means a budget ran out
+// while Slack still had more messages.
+async function* iterateHistory(client, channelId, options = {}) {
+  const {
+    oldest,
+    latest,
+    inclusive,
+    filter = () => true,
+    maxMessages = DEFAULT_MAX_MESSAGES,
+    maxPages = DEFAULT_MAX_PAGES,
+    maxDuration = DEFAULT_MAX_DURATION,
+    pageSize = DEFAULT_PAGE_SIZE
+  } = options;
+
+  const deadline = Date.now() + maxDuration;
+  let yielded = 0;
+  let pages = 0;
+  let cursor;
+
+  do {
+    if (pages >= maxPages || Date.now() >= deadline) {
+      return { pages, truncated: true };
+    }
+
+    const result = await withRateLimitRetry(() => client.conversations.history({
+      channel: channelId,
+      limit: pageSize,
+      ...(oldest ? { oldest } : {}),
+      ...(latest ? { latest } : {}),
+      ...(inclusive ? { inclusive } : {}),
+      ...(cursor ? { cursor } : {})
+    }), { deadline, label: `conversations.history ${channelId}` });
+    pages++;
+
+    for (const message of result.messages || []) {
+      if (!filter(message)) continue;
+      yield message;
+      if (++yielded >= maxMessages) {
+        return { pages, truncated: !!result.has_more || !!result.response_metadata?.next_cursor };
+      }
+    }
+
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor);
+
+  return { pages, truncated: false };
+}
+
+// Collect history into an array in chronological order (oldest first).
+// Returns { messages, pages, truncated }
+async function fetchHistory(client, channelId, options = {}) {
+  const iterator = iterateHistory(client, channelId, options);
+  const messages = [];
+  let step = await iterator.next();
+
+  while (!step.done) {
+    messages.push(step.value);
+    step = await iterator.next();
+  }
+
+  const { pages, truncated } = step.value;
+  if (truncated) {
+    console.log(`⚠️ History for ${channelId} truncated at ${messages.length} messages (${pages} pages) - budget reached`);
+  }
+
+  return { messages: messages.reverse(), pages, truncated };
+}
+
+module.exports = {
+  iterateHistory,
+  fetchHistory,
+  withRateLimitRetry,
+  getRetryAfter
+};
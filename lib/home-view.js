@@ -0,0 +1,209 @@
+const { SETTINGS, settingName, formatSettingValue, parseSettingValue } = require('./settings');
+
+// App Home tab and channel settings modal (Block Kit). Action and callback IDs are shared with
+// the handlers in paper-enterprise.js through HOME_ACTIONS / SETTINGS_MODAL_ID.
+
+const HOME_ACTIONS = {
+  togglePause: 'home_toggle_pause',
+  summarize: 'home_summarize',
+  settings: 'home_open_settings',
+  refresh: 'home_refresh'
+};
+const SETTINGS_MODAL_ID = 'channel_settings';
+const INHERIT = '__inherit'; // select option that removes the channel override
+const MAX_HOME_CHANNELS = 25; // 3 blocks each - a home tab holds at most 100 blocks
+
+function slackDate(ms, format = '{date_short_pretty} {time}') {
+  const seconds = Math.floor(ms / 1000);
+  return `<!date^${seconds}^${format}|${new Date(ms).toISOString()}>`;
+}
+
+// channels: [{ channelId, paused, canvasId, lastUpdate, summarizedMessageCount, bufferedCount, pendingJobs }]
+// most recently updated first
+function renderHomeView({ channels = [], notice = null } = {}) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: '📄 Paper', emoji: true } },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: channels.length > 0
+          ? `I'm keeping canvas summaries for *${channels.length}* channel${channels.length === 1 ? '' : 's'} in this workspace.`
+          : "I'm not active in any channels yet. Invite me with `/invite @Paper` and I'll start a canvas summary as people chat."
+      },
+      accessory: {
+        type: 'button',
+        action_id: HOME_ACTIONS.refresh,
+        text: { type: 'plain_text', text: '🔄 Refresh', emoji: true }
+      }
+    }
+  ];
+
+  if (notice) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: notice }] });
+  }
+
+  for (const channel of channels.slice(0, MAX_HOME_CHANNELS)) {
+    const status = channel.paused ? '⏸️ Paused' : '▶️ Active';
+    const canvas = channel.canvasId ? `<https://slack.com/canvas/${channel.canvasId}|Open canvas>` : '_No canvas yet_';
+    const jobs = channel.pendingJobs > 0 ? ` • ⏳ ${channel.pendingJobs} queued` : '';
+
+    blocks.push(
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*<#${channel.channelId}>*  ${status}\n${canvas}${jobs}`
+        },
+        fields: [
+          { type: 'mrkdwn', text: `*Last summary*\n${channel.lastUpdate ? slackDate(channel.lastUpdate) : 'Never'}` },
+          { type: 'mrkdwn', text: `*Messages*\n${channel.summarizedMessageCount || 0} summarized • ${channel.bufferedCount || 0} waiting` }
+        ]
+      },
+      {
+        type: 'actions',
+        block_id: `channel_${channel.channelId}`,
+        elements: [
+          {
+            type: 'button',
+            action_id: HOME_ACTIONS.togglePause,
+            text: { type: 'plain_text', text: channel.paused ? '▶️ Resume' : '⏸️ Pause', emoji: true },
+            value: channel.channelId
+          },
+          {
+            type: 'button',
+            action_id: HOME_ACTIONS.summarize,
+            text: { type: 'plain_text', text: '📝 Summarize now', emoji: true },
+            value: channel.channelId
+          },
+          {
+            type: 'button',
+            action_id: HOME_ACTIONS.settings,
+            text: { type: 'plain_text', text: '⚙️ Settings', emoji: true },
+            value: channel.channelId
+          }
+        ]
+      }
+    );
+  }
+
+  if (channels.length > MAX_HOME_CHANNELS) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `…and ${channels.length - MAX_HOME_CHANNELS} more channels. Use \`/paper status\` in a channel to manage it.` }]
+    });
+  }
+
+  return { type: 'home', blocks };
+}
+
+function option(text, value) {
+  return { text: { type: 'plain_text', text: text.substring(0, 75) }, value };
+}
+
+// One input block per setting. Channel overrides are pre-filled; empty inputs (or the
+// "Inherit" option) fall back to the workspace / global value shown in the hint.
+function settingInput(key, overrides, inherited) {
+  const spec = SETTINGS[key];
+  const hasOverride = key in overrides;
+  const inheritedText = `Inherit (${formatSettingValue(key, inherited[key])})`;
+  let element;
+
+  if (spec.type === 'boolean' || spec.type === 'enum') {
+    const values = spec.type === 'boolean' ? ['on', 'off'] : spec.values;
+    const options = [option(inheritedText, INHERIT), ...values.map(value => option(value, value))];
+    const current = !hasOverride ? INHERIT
+      : spec.type === 'boolean' ? (overrides[key] ? 'on' : 'off')
+        : overrides[key];
+    element = {
+      type: 'static_select',
+      action_id: 'value',
+      options,
+      initial_option: options.find(candidate => candidate.value === current) || options[0]
+    };
+  } else if (spec.type === 'integer') {
+    element = {
+      type: 'number_input',
+      action_id: 'value',
+      is_decimal_allowed: false,
+      min_value: String(spec.min),
+      max_value: String(spec.max),
+      placeholder: { type: 'plain_text', text: inheritedText.substring(0, 150) },
+      ...(hasOverride ? { initial_value: String(overrides[key]) } : {})
+    };
+  } else {
+    element = {
+      type: 'plain_text_input',
+      action_id: 'value',
+      placeholder: { type: 'plain_text', text: inheritedText.substring(0, 150) },
+      ...(hasOverride ? { initial_value: String(overrides[key]) } : {})
+    };
+  }
+
+  return {
+    type: 'input',
+    block_id: key,
+    optional: true,
+    label: { type: 'plain_text', text: `${settingName(key)}${spec.unit ? ` (${spec.unit})` : ''}` },
+    hint: { type: 'plain_text', text: spec.description.substring(0, 150) },
+    element
+  };
+}
+
+// Modal for one channel's overrides. inherited: the workspace/global values the channel falls back to
+function renderSettingsModal({ channelId, channelName = null, overrides = {}, inherited }) {
+  return {
+    type: 'modal',
+    callback_id: SETTINGS_MODAL_ID,
+    private_metadata: JSON.stringify({ channelId }),
+    title: { type: 'plain_text', text: 'Channel settings' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `Settings for *${channelName ? `#${channelName}` : `<#${channelId}>`}*. Leave a field empty (or pick _Inherit_) to use the workspace default. Workspace defaults are changed with \`/paper config workspace key=value\`.`
+        }
+      },
+      ...Object.keys(SETTINGS).map(key => settingInput(key, overrides, inherited))
+    ]
+  };
+}
+
+// view.state.values -> { patch, errors } - patch values of null clear the override;
+// errors are keyed by block_id for response_action: 'errors'
+function parseSettingsSubmission(values) {
+  const patch = {};
+  const errors = {};
+
+  for (const key of Object.keys(SETTINGS)) {
+    const input = values[key]?.value;
+    if (!input) continue;
+    const raw = input.selected_option ? input.selected_option.value : input.value;
+
+    if (raw === undefined || raw === null || raw === '' || raw === INHERIT) {
+      patch[key] = null;
+      continue;
+    }
+
+    const { value, error } = parseSettingValue(key, raw);
+    if (error) {
+      errors[key] = error;
+    } else {
+      patch[key] = value;
+    }
+  }
+
+  return { patch, errors };
+}
+
+module.exports = {
+  HOME_ACTIONS,
+  SETTINGS_MODAL_ID,
+  renderHomeView,
+  renderSettingsModal,
+  parseSettingsSubmission
+};
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { createStorageAdapter } = require('./storage');
+
+// Persistent job queue - typed jobs (summary, bootstrap, canvas-write...) stored through a
+// storage adapter so pending work survives restarts. Jobs sharing a key (one channel) run
+// one at a time in order; failures retry with exponential backoff and end up dead-lettered.
+// Dead jobs are kept for a while for /status and the logs, then pruned.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_BACKOFF = 5 * 1000;
+const DEFAULT_MAX_BACKOFF = 5 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL = 1000;
+const DEFAULT_CONCURRENCY = 4; // keys (channels) processed in parallel
+const DEAD_JOB_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const MAX_DEAD_JOBS = 200; // newest dead jobs kept when more fail within the retention period
+
+// Slack errors that won't fix themselves by retrying - dead-letter straight away
+const NON_RETRYABLE_ERRORS = new Set([
+  'channel_not_found',
+  'not_in_channel',
+  'is_archived',
+  'missing_scope',
+  'invalid_auth',
+  'account_inactive',
+  'token_revoked'
+]);
+
+function isRetryable(error) {
+  if (error.retryable === false) return false;
+  return !NON_RETRYABLE_ERRORS.has(error.data?.error);
+}
+
+class JobQueue {
+  constructor(adapter = createStorageAdapter('jobs'), options = {}) {
+    this.adapter = adapter;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.baseBackoff = options.baseBackoff || DEFAULT_BASE_BACKOFF;
+    this.maxBackoff = options.maxBackoff || DEFAULT_MAX_BACKOFF;
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.handlers = new Map(); // type -> { handler, priority }
+    this.runningKeys = new Set();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // handler(payload, job) does the work; lower priority runs first among a key's pending jobs
+  register(type, handler, { priority = 1 } = {}) {
+    this.handlers.set(type, { handler, priority });
+    return this;
+  }
+
+  // Add a job. options: key (serialization key, e.g. "T123/C456"), delay (ms),
+  // dedupe (skip if a pending job with the same type, key and dedupe value exists - its id is
+  // returned instead), maxAttempts
+  async enqueue(type, payload, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const key = options.key || type;
+    if (options.dedupe) {
+      const existing = (await this.list({ status: 'pending' }))
+        .find(job => job.type === type && job.key === key && job.dedupe === options.dedupe);
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      key,
+      payload,
+      status: 'pending',
+      priority: this.handlers.get(type).priority,
+      dedupe: options.dedupe || null,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      runAt: now + (options.delay || 0),
+      createdAt: now,
+      updatedAt: now,
+      lastError: null
+    };
+
+    await this.adapter.set(job.id, job);
+    console.log(`📥 Queued ${type} job ${job.id.substring(0, 8)} for ${key}${options.delay ? ` (in ${Math.round(options.delay / 1000)}s)` : ''}`);
+    return job;
+  }
+
+  async list({ status = null, key = null } = {}) {
+    return (await this.adapter.entries())
+      .map(([, job]) => job)
+      .filter(job => (!status || job.status === status) && (!key || job.key === key))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Counts by status and type - for /status and "/paper status"
+  async stats(key = null) {
+    const jobs = await this.list({ key });
+    const stats = { pending: 0, running: 0, dead: 0, byType: {} };
+    for (const job of jobs) {
+      stats[job.status] = (stats[job.status] || 0) + 1;
+      stats.byType[job.type] = stats.byType[job.type] || { pending: 0, running: 0, dead: 0 };
+      stats.byType[job.type][job.status]++;
+    }
+    return stats;
+  }
+
+  // Drop dead jobs past the retention period, and the oldest beyond MAX_DEAD_JOBS, in one write
+  async pruneDead() {
+    const cutoff = Date.now() - DEAD_JOB_RETENTION;
+    const dead = (await this.list({ status: 'dead' })).sort((a, b) => b.updatedAt - a.updatedAt);
+    const expired = dead.filter((job, index) => job.updatedAt < cutoff || index >= MAX_DEAD_JOBS);
+    if (expired.length > 0) {
+      await this.adapter.setMany(expired.map(job => [job.id, null]));
+    }
+    return expired.length;
+  }
+
+  // Recover jobs that were running when the process died, then start polling
+  async start() {
+    const interrupted = await this.list({ status: 'running' });
+    for (const job of interrupted) {
+      Object.assign(job, { status: 'pending', runAt: Date.now(), updatedAt: Date.now() });
+      await this.adapter.set(job.id, job);
+    }
+
+    const pruned = await this.pruneDead();
+    const pending = await this.list({ status: 'pending' });
+    console.log(`📋 Job queue started: ${pending.length} pending (${interrupted.length} recovered after restart, ${pruned} expired dead jobs removed)`);
+
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Start the next due job for every idle key, up to the concurrency limit
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = Date.now();
+      const heads = new Map(); // key -> first pending job in priority/creation order
+      const pending = (await this.list({ status: 'pending' }))
+        .sort((a, b) => a.priority - b.priority || a.createdAt - b.createdAt);
+
+      for (const job of pending) {
+        // A job scheduled for later (e.g. a lull check) doesn't hold up the key - one backing off does
+        if (job.runAt > now && job.attempts === 0) continue;
+        if (!heads.has(job.key)) heads.set(job.key, job);
+      }
+
+      for (const job of heads.values()) {
+        if (this.runningKeys.size >= this.concurrency) break;
+        // A key waiting on a backoff blocks the jobs behind it, keeping per-channel order
+        if (this.runningKeys.has(job.key) || job.runAt > now) continue;
+        this.run(job);
+      }
+    } catch (error) {
+      console.error('❌ Job queue tick error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async run(job) {
+    this.runningKeys.add(job.key);
+    const { handler } = this.handlers.get(job.type) || {};
+
+    try {
+      Object.assign(job, { status: 'running', attempts: job.attempts + 1, updatedAt: Date.now() });
+      await this.adapter.set(job.id, job);
+
+      if (!handler) {
+        throw Object.assign(new Error(`No handler registered for job type: ${job.type}`), { retryable: false });
+      }
+
+      await handler(job.payload, job);
+      // The work is done even if the store can't record it - don't run the handler again
+      await this.adapter.delete(job.id)
+        .catch(error => console.error(`❌ Could not remove finished ${job.type} job ${job.id.substring(0, 8)}:`, error.message));
+    } catch (error) {
+      await this.fail(job, error)
+        .catch(storeError => console.error(`❌ Could not record failure of ${job.type} job ${job.id.substring(0, 8)}:`, storeError.message));
+    } finally {
+      this.runningKeys.delete(job.key);
+    }
+  }
+
+  async fail(job, error) {
+    const message = error.data?.error || error.message;
+    job.lastError = message;
+    job.updatedAt = Date.now();
+
+    if (job.attempts >= job.maxAttempts || !isRetryable(error)) {
+      job.status = 'dead';
+      await this.adapter.set(job.id, job);
+      console.error(`💀 ${job.type} job ${job.id.substring(0, 8)} for ${job.key} dead-lettered after ${job.attempts} attempt(s): ${message}`);
+      await this.pruneDead();
+      return;
+    }
+
+    const backoff = Math.min(this.maxBackoff, this.baseBackoff * 2 ** (job.attempts - 1));
+    job.status = 'pending';
+    job.runAt = Date.now() + backoff + Math.floor(Math.random() * 1000);
+    await this.adapter.set(job.id, job);
+    console.log(`🔁 ${job.type} job ${job.id.substring(0, 8)} for ${job.key} failed (attempt ${job.attempts}/${job.maxAttempts}): ${message} - retrying in ${Math.round(backoff / 1000)}s`);
+  }
+}
+
+module.exports = {
+  JobQueue
+};
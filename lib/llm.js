@@ -0,0 +1,244 @@
+const OpenAI = require('openai');
+const { createStorageAdapter } = require('./storage');
+
+// LLM provider layer - every summary/title call goes through provider.complete()
+// so Paper can run against OpenAI, any OpenAI-compatible server, a local Ollama, or a mock.
+
+// OpenAI and OpenAI-compatible endpoints (llama.cpp server, vLLM, LM Studio...) via baseURL
+class OpenAIProvider {
+  constructor({ apiKey, baseURL } = {}) {
+    this.name = 'openai';
+    this.client = new OpenAI({
+      apiKey: apiKey || process.env.OPENAI_API_KEY || 'not-needed',
+      ...(baseURL ? { baseURL } : {})
+    });
+  }
+
+  // Older chat models reject response_format, so JSON mode is only requested where supported
+  static supportsJsonMode(model) {
+    return /^(gpt-4o|gpt-4-turbo|gpt-4\.1|gpt-4-1106|gpt-4-0125|gpt-3\.5-turbo|o\d)/.test(model || '');
+  }
+
+  async complete({ model, messages, temperature, maxTokens, json = false }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json && OpenAIProvider.supportsJsonMode(model) ? { response_format: { type: 'json_object' } } : {})
+    });
+    return response.choices[0].message.content;
+  }
+}
+
+// Local model server speaking the Ollama chat API (POST /api/chat)
+class LocalProvider {
+  constructor({ baseURL } = {}) {
+    this.name = 'local';
+    this.baseURL = (baseURL || 'http://localhost:11434').replace(/\/$/, '');
+  }
+
+  async complete({ model, messages, temperature, maxTokens, json = false }) {
+    const response = await fetch(`${this.baseURL}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages,
+        stream: false,
+        ...(json ? { format: 'json' } : {}),
+        options: { temperature, num_predict: maxTokens }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Local model server returned ${response.status}: ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    return data.message?.content || '';
+  }
+}
+
+// Deterministic provider for tests and offline runs - same input, same output, no network
+class MockProvider {
+  constructor({ respond } = {}) {
+    this.name = 'mock';
+    this.respond = respond || MockProvider.defaultResponse;
+    this.calls = [];
+  }
+
+  static defaultResponse({ messages, maxTokens, json }) {
+    const input = messages[messages.length - 1]?.content || '';
+    const lines = input.split('\n').filter(line => line.trim());
+
+    // Short completions are title requests
+    if (maxTokens && maxTokens <= 50) {
+      return 'Mock Conversation Summary';
+    }
+
+    if (json) {
+      return JSON.stringify({
+        participants: [{ name: 'Mock Summary', user_id: null, contribution: `${lines.length} lines of conversation` }],
+        topics: lines.slice(0, 5).map(line => ({ title: line.substring(0, 60), details: [] })),
+        decisions: [],
+        action_items: [],
+        insights: [],
+        open_questions: [],
+        context: []
+      });
+    }
+
+    return [
+      '## 🗣️ **Key Participants**',
+      `- **Mock Summary**: ${lines.length} lines of conversation`,
+      '',
+      '## 💬 **Main Discussion Points**',
+      ...lines.slice(0, 5).map(line => `- ${line.substring(0, 120)}`)
+    ].join('\n');
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+    return this.respond(request);
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+// Model used when a workspace switches provider without naming one
+const DEFAULT_MODELS = {
+  openai: 'gpt-4',
+  local: 'llama3',
+  mock: 'mock'
+};
+
+// Model names OpenAI itself serves; OpenAI-compatible servers (baseURL) and local ones accept anything
+const OPENAI_MODEL_PATTERN = /^(gpt-|chatgpt-|o\d)/;
+
+function createProvider(settings = {}) {
+  const Provider = PROVIDERS[settings.provider || 'openai'];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${settings.provider}`);
+  }
+  return new Provider(settings);
+}
+
+// The mock provider replaces real summaries with canned output, so workspaces may only pick it
+// when the deployment opts in (LLM_ALLOW_MOCK) or already runs on it
+function mockProviderAllowed(env = process.env) {
+  return env.LLM_PROVIDER === 'mock' || /^(1|true|yes|on)$/i.test(env.LLM_ALLOW_MOCK || '');
+}
+
+// Global defaults from the environment. baseURL is global only: a workspace switched to
+// provider=local talks to the same LLM_BASE_URL (or localhost) server.
+function defaultLLMSettings() {
+  const provider = process.env.LLM_PROVIDER || 'openai';
+  return {
+    provider,
+    model: process.env.LLM_MODEL || DEFAULT_MODELS[provider] || DEFAULT_MODELS.openai,
+    temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.3'),
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '1500', 10),
+    contextWindow: parseInt(process.env.LLM_CONTEXT_WINDOW || '0', 10) || null, // null: known size for the model
+    baseURL: process.env.LLM_BASE_URL || null
+  };
+}
+
+// Per-workspace LLM selection layered over the global defaults
+class LLMService {
+  constructor(adapter = createStorageAdapter('llm-settings'), defaults = defaultLLMSettings(), { allowMock = mockProviderAllowed() } = {}) {
+    this.adapter = adapter;
+    this.defaults = defaults;
+    this.allowMock = allowMock;
+    this.providers = new Map(); // "provider|baseURL" -> provider instance
+  }
+
+  async getSettings(teamId = null) {
+    const overrides = (teamId ? await this.adapter.get(teamId) : null) || {};
+    // A mock override saved where mock isn't allowed (e.g. copied from a test setup) is ignored
+    if (overrides.provider === 'mock' && !this.allowMock) {
+      const { provider, model, ...rest } = overrides;
+      return { ...this.defaults, ...rest };
+    }
+    return { ...this.defaults, ...overrides };
+  }
+
+  async updateSettings(teamId, patch) {
+    const current = (await this.adapter.get(teamId)) || {};
+    const next = { ...current, ...patch };
+    await this.adapter.set(teamId, next);
+    console.log(`🧠 LLM settings updated for ${teamId}:`, next);
+    return this.getSettings(teamId);
+  }
+
+  getProvider(settings) {
+    const key = `${settings.provider}|${settings.baseURL || ''}`;
+    if (!this.providers.has(key)) {
+      this.providers.set(key, createProvider(settings));
+    }
+    return this.providers.get(key);
+  }
+
+  // Run a chat completion with the workspace's model; per-call options win over settings.
+  // json: true asks the provider for a JSON object reply where it supports that
+  async complete(teamId, { messages, model, temperature, maxTokens, json = false }) {
+    const settings = await this.getSettings(teamId);
+    const provider = this.getProvider(settings);
+    return provider.complete({
+      model: model || settings.model,
+      messages,
+      temperature: temperature ?? settings.temperature,
+      maxTokens: maxTokens ?? settings.maxTokens,
+      json
+    });
+  }
+}
+
+// Check a settings change against the current settings: switching provider without a model
+// resets the model to that provider's default, OpenAI only gets model names it serves and
+// mock needs the deployment to allow it. Returns { patch, errors }.
+function validateLLMPatch(current, patch, { allowMock = mockProviderAllowed() } = {}) {
+  const next = { ...patch };
+  const errors = [];
+  const provider = next.provider || current.provider;
+
+  if (next.provider === 'mock' && !allowMock) {
+    errors.push('provider=mock is only available when the server sets LLM_ALLOW_MOCK');
+  }
+
+  if (next.provider && next.provider !== current.provider && !next.model) {
+    next.model = DEFAULT_MODELS[provider];
+  }
+
+  const model = next.model || current.model;
+  const baseURL = next.baseURL !== undefined ? next.baseURL : current.baseURL;
+  const changesModel = next.model !== undefined || next.provider !== undefined;
+  if (changesModel && provider === 'openai' && !baseURL && !OPENAI_MODEL_PATTERN.test(model || '')) {
+    errors.push(`"${model}" isn't an OpenAI model - use one like gpt-4o, or provider=local for a local model`);
+  }
+
+  return { patch: next, errors };
+}
+
+// Env vars the configured default provider needs
+function requiredLLMEnvVars() {
+  const { provider, baseURL } = defaultLLMSettings();
+  return provider === 'openai' && !baseURL ? ['OPENAI_API_KEY'] : [];
+}
+
+module.exports = {
+  OpenAIProvider,
+  LocalProvider,
+  MockProvider,
+  LLMService,
+  DEFAULT_MODELS,
+  createProvider,
+  defaultLLMSettings,
+  mockProviderAllowed,
+  validateLLMPatch,
+  requiredLLMEnvVars
+};
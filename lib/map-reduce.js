@@ -0,0 +1,79 @@
+// Hierarchical (map-reduce) summarization for conversations too long for one prompt.
+// The conversation is split into chunks that fit a token budget, each chunk is summarized on
+// its own (map), and the chunk summaries are merged - in rounds, if even they don't fit - into
+// the final summary (reduce). Nothing is sampled away, so decisions anywhere in the channel survive.
+
+const { countTokens } = require('./prompt-budget');
+
+// Greedy split of items into consecutive groups of at most `budget` tokens each.
+// An item bigger than the budget gets a group of its own; minSize keeps groups from
+// being smaller than that (so merge rounds always make progress).
+function packByBudget(items, measure, budget, { minSize = 1 } = {}) {
+  const groups = [];
+  let current = [];
+  let used = 0;
+
+  for (const item of items) {
+    const size = measure(item);
+    if (current.length >= minSize && used + size > budget) {
+      groups.push(current);
+      current = [];
+      used = 0;
+    }
+    current.push(item);
+    used += size;
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+// A thread too big for one chunk is split into runs of replies; the runs after the first
+// repeat the parent as context only (summarizedParent) so each part still knows the topic
+function splitThread(message, format, budget) {
+  if (!message.replies?.length || countTokens(format([message])) <= budget) return [message];
+
+  const parentTokens = countTokens(format([{ ...message, replies: [] }]));
+  const runs = packByBudget(message.replies, reply => countTokens(reply.text) + 10, Math.max(1, budget - parentTokens));
+  return runs.map((replies, index) => index === 0
+    ? { ...message, replies }
+    : { ...message, summarizedParent: true, replies });
+}
+
+// Conversation entries (a top-level message with its thread replies) -> chunks of at most
+// `budget` tokens as rendered by format(messages); a thread only spans chunks when it alone is too big
+function chunkConversation(messages, format, budget) {
+  const entries = messages.flatMap(message => splitThread(message, format, budget));
+  return packByBudget(entries, entry => countTokens(format([entry])), budget);
+}
+
+// Merge partial results until one is left. merge(group, { final }) combines a group of parts;
+// final is true for the last merge, whose output is the answer. Every merge needs at least two
+// parts, so when two don't fit in the budget together this throws rather than overflow the prompt.
+async function reduceHierarchically(parts, { measure, budget, merge }) {
+  let level = parts;
+  let rounds = 0;
+
+  while (true) {
+    const groups = packByBudget(level, measure, budget, { minSize: 2 });
+    const oversized = groups.find(group => group.length > 1 && group.reduce((sum, part) => sum + measure(part), 0) > budget);
+    if (oversized) {
+      throw new Error(`Partial summaries don't fit a ${budget} token merge prompt - the model's context window is too small`);
+    }
+    if (groups.length === 1) {
+      return { result: await merge(groups[0], { final: true }), rounds: rounds + 1 };
+    }
+
+    const merged = [];
+    for (const group of groups) {
+      merged.push(group.length === 1 ? group[0] : await merge(group, { final: false }));
+    }
+    level = merged;
+    rounds++;
+  }
+}
+
+module.exports = {
+  packByBudget,
+  chunkConversation,
+  reduceHierarchically
+};
@@ -0,0 +1,167 @@
+// Channel message buffer keyed by message ts, so edits (message_changed) and deletions
+// (message_deleted) can find the stored entry. Thread replies are keyed by ts under
+// their parent. toConversation() turns the buffer into the ordered array shape that
+// the summary pipeline (threads.js helpers, generateSummary) works with.
+
+const { countMessages } = require('./threads');
+
+const byTs = (a, b) => parseFloat(a.timestamp) - parseFloat(b.timestamp);
+
+function toEntry(message) {
+  return {
+    user: message.user,
+    text: message.text,
+    timestamp: message.timestamp,
+    thread_ts: message.thread_ts,
+    ...(message.placeholder ? { placeholder: true } : {}),
+    ...(message.summarizedParent ? { summarizedParent: true } : {}),
+    replies: Object.fromEntries((message.replies || []).map(reply => [reply.timestamp, { ...reply }]))
+  };
+}
+
+// New buffer, optionally from a conversation array (also migrates array-shaped saved state)
+function createBuffer(messages = []) {
+  if (!Array.isArray(messages)) return messages || {};
+  return Object.fromEntries(messages.map(message => [message.timestamp, toEntry(message)]));
+}
+
+// Add a buffered message ({ user, text, timestamp, thread_ts }). Replies whose parent isn't
+// buffered get a placeholder parent, hydrated before summarizing.
+function addMessage(buffer, message) {
+  const isReply = message.thread_ts && message.thread_ts !== message.timestamp;
+  if (!isReply) {
+    buffer[message.timestamp] = { ...toEntry(message), replies: buffer[message.timestamp]?.replies || {} };
+    return buffer[message.timestamp];
+  }
+
+  const parent = buffer[message.thread_ts] || (buffer[message.thread_ts] = {
+    user: null,
+    text: null,
+    timestamp: message.thread_ts,
+    thread_ts: message.thread_ts,
+    placeholder: true,
+    replies: {}
+  });
+  parent.replies[message.timestamp] = { ...message };
+  return parent;
+}
+
+// Stored entry for a ts (top-level message or thread reply), or null
+function findMessage(buffer, ts, threadTs = null) {
+  if (buffer[ts]) return buffer[ts];
+  if (threadTs && buffer[threadTs]?.replies[ts]) return buffer[threadTs].replies[ts];
+  for (const entry of Object.values(buffer)) {
+    if (entry.replies[ts]) return entry.replies[ts];
+  }
+  return null;
+}
+
+// Replace the text of an edited message; returns true when it was buffered
+function editMessage(buffer, ts, text, threadTs = null) {
+  const entry = findMessage(buffer, ts, threadTs);
+  if (!entry) return false;
+  entry.text = text;
+  entry.edited = true;
+  return true;
+}
+
+// Remove a deleted message; returns true when it was buffered.
+// A deleted thread parent with buffered replies stays as context without its text.
+function deleteMessage(buffer, ts, threadTs = null) {
+  const entry = buffer[ts];
+  if (entry) {
+    if (Object.keys(entry.replies).length > 0) {
+      entry.text = null;
+      entry.user = null;
+      entry.deleted = true;
+      delete entry.placeholder; // nothing to hydrate - the parent is gone
+    } else {
+      delete buffer[ts];
+    }
+    return true;
+  }
+
+  const parents = threadTs && buffer[threadTs] ? [buffer[threadTs]] : Object.values(buffer);
+  const parent = parents.find(candidate => candidate.replies[ts]);
+  if (!parent) return false;
+
+  delete parent.replies[ts];
+  if (!parent.text && Object.keys(parent.replies).length === 0) {
+    delete buffer[parent.timestamp];
+  }
+  return true;
+}
+
+// Ordered conversation array (deep copy) - [{ ..., replies: [...] }] oldest first
+function toConversation(buffer) {
+  return Object.values(buffer)
+    .map(entry => ({ ...entry, replies: Object.values(entry.replies).map(reply => ({ ...reply })).sort(byTs) }))
+    .sort(byTs);
+}
+
+// Drop what a summary already covered. Parents stay (as context only) when replies
+// arrived after the conversation snapshot was taken.
+function removeSummarized(buffer, conversation) {
+  for (const message of conversation) {
+    const entry = buffer[message.timestamp];
+    if (!entry) continue;
+
+    for (const reply of message.replies || []) {
+      delete entry.replies[reply.timestamp];
+    }
+    if (Object.keys(entry.replies).length === 0) {
+      delete buffer[message.timestamp];
+    } else {
+      entry.summarizedParent = true;
+      delete entry.placeholder;
+    }
+  }
+  return buffer;
+}
+
+// Every ts (messages and replies) in a conversation array
+function conversationTimestamps(conversation) {
+  return conversation.flatMap(message => [
+    ...(message.text && !message.summarizedParent ? [message.timestamp] : []),
+    ...(message.replies || []).map(reply => reply.timestamp)
+  ]);
+}
+
+// Timestamps-only copy of a conversation - all removeSummarized() needs, without the text
+function conversationSkeleton(conversation) {
+  return conversation.map(message => ({
+    timestamp: message.timestamp,
+    replies: (message.replies || []).map(reply => ({ timestamp: reply.timestamp }))
+  }));
+}
+
+// Keep the newest `max` top-level entries; returns how many were removed
+function trimBuffer(buffer, max) {
+  const entries = Object.values(buffer).sort(byTs);
+  const excess = entries.slice(0, Math.max(0, entries.length - max));
+  excess.forEach(entry => { delete buffer[entry.timestamp]; });
+  return excess.length;
+}
+
+function bufferSize(buffer) {
+  return Object.keys(buffer).length;
+}
+
+function countBuffered(buffer) {
+  return countMessages(toConversation(buffer));
+}
+
+module.exports = {
+  createBuffer,
+  addMessage,
+  findMessage,
+  editMessage,
+  deleteMessage,
+  toConversation,
+  removeSummarized,
+  conversationTimestamps,
+  conversationSkeleton,
+  trimBuffer,
+  bufferSize,
+  countBuffered
+};
@@ -0,0 +1,109 @@
+// Prompt budgeting - sizes what goes into a prompt by tokens rather than message counts, so pasted
+// logs can't overflow the model's context and short chat doesn't leave most of it unused.
+//
+// Tokens are counted with the cl100k tokenizer (js-tiktoken). That is exact for GPT-4 and close
+// for the newer OpenAI and Llama 3 tokenizers; the safety margin covers the difference.
+
+const { getEncoding } = require('js-tiktoken');
+
+const PROMPT_OVERHEAD = 50; // chat message framing per request
+const RETRY_NOTE_TOKENS = 100; // kept free for the correction a retried request adds
+const SAFETY_MARGIN = 0.1; // share of the window kept free for other models' tokenizers
+const DEFAULT_CONTEXT_WINDOW = 8192;
+const MAX_MESSAGE_TOKENS = 1500; // a single message (pasted logs, stack traces) is cut down to this
+
+// Context windows by model name prefix - most specific first. LLM settings can set contextWindow
+// for models that aren't listed (or servers started with a different context size).
+const MODEL_CONTEXT_WINDOWS = [
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-4o/, 128000],
+  [/^gpt-4-turbo|^gpt-4-(1106|0125)/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo/, 16385],
+  [/^o\d/, 200000],
+  [/^llama-?3\.[1-3]/, 128000],
+  [/^llama-?3/, 8192],
+  [/^(mistral|mixtral)/, 32768],
+  [/^(qwen|gemma)/, 32768]
+];
+
+let encoding = null; // loaded on first use - the ranks take a moment to parse
+
+// Special-token text ("<|endoftext|>") in a message is counted as plain text, not rejected
+function encode(text) {
+  encoding = encoding || getEncoding('cl100k_base');
+  return encoding.encode(text, [], []);
+}
+
+function countTokens(text) {
+  return text ? encode(text).length : 0;
+}
+
+function contextWindowFor(model) {
+  const match = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test((model || '').toLowerCase()));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// LLM settings -> { contextWindow, maxTokens, input } where input is what the prompt may use
+// after max_tokens of output, the safety margin, message framing and a retry note are set aside
+function promptBudget({ model, maxTokens = 0, contextWindow = null }) {
+  const window = contextWindow || contextWindowFor(model);
+  const input = Math.floor(window * (1 - SAFETY_MARGIN)) - maxTokens - PROMPT_OVERHEAD - RETRY_NOTE_TOKENS;
+  return { contextWindow: window, maxTokens, input: Math.max(0, input) };
+}
+
+// Cut text to maxTokens, marking how much was left out
+function truncateText(text, maxTokens) {
+  const tokens = encode(text || '');
+  if (tokens.length <= maxTokens) return text;
+
+  const kept = encoding.decode(tokens.slice(0, maxTokens)).replace(/\uFFFD+$/, ''); // a split multi-byte character
+  return `${kept.trimEnd()} … [truncated, ~${tokens.length - maxTokens} more tokens]`;
+}
+
+// Conversation entries with each message (and thread reply) cut to maxTokens.
+// Returns { messages, truncated } - the originals are left untouched.
+function truncateMessages(messages, maxTokens = MAX_MESSAGE_TOKENS) {
+  let truncated = 0;
+  const fit = (message) => {
+    if (!message.text) return message;
+    const text = truncateText(message.text, maxTokens);
+    if (text === message.text) return message;
+    truncated++;
+    return { ...message, text };
+  };
+
+  return {
+    messages: messages.map(message => ({
+      ...fit(message),
+      ...(message.replies ? { replies: message.replies.map(fit) } : {})
+    })),
+    truncated
+  };
+}
+
+// Keep lines (user mapping, extracted dates...) in order until maxTokens is used up.
+// Returns { lines, omitted } so the prompt can say something was left out.
+function fitLines(lines, maxTokens) {
+  const kept = [];
+  let used = 0;
+  for (const line of lines) {
+    const size = countTokens(line) + 1;
+    if (used + size > maxTokens) break;
+    kept.push(line);
+    used += size;
+  }
+  return { lines: kept, omitted: lines.length - kept.length };
+}
+
+module.exports = {
+  MAX_MESSAGE_TOKENS,
+  RETRY_NOTE_TOKENS,
+  countTokens,
+  contextWindowFor,
+  promptBudget,
+  truncateText,
+  truncateMessages,
+  fitLines
+};
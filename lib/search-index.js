@@ -0,0 +1,127 @@
+// Lexical (BM25) ranking over Slack messages and summary items. Documents are
+// { id, text, ...fields }; fields ride along untouched so callers can render results.
+
+const K1 = 1.2; // term frequency saturation
+const B = 0.75; // length normalization
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me',
+  'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your', 'about', 'any', 'just', 'should'
+]);
+
+// Slack markup -> plain words: <@U123> and <#C123|name> are dropped, <url|label> keeps the label
+function stripMarkup(text) {
+  return (text || '')
+    .replace(/<[@#!][^>]*>/g, ' ')
+    .replace(/<([^>|]+)\|([^>]+)>/g, '$2')
+    .replace(/<([^>]+)>/g, '$1');
+}
+
+// Light suffix stripping so "decided" / "decision" / "decide" and plurals meet
+function stem(word) {
+  return word
+    .replace(/ision$/, 'id')
+    .replace(/(ies)$/, 'y')
+    .replace(/(ing|ed|ions?|es|s|e)$/, '')
+    .replace(/(.)\1$/, '$1');
+}
+
+function tokenize(text) {
+  return stripMarkup(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => (word.length > 3 ? stem(word) : word));
+}
+
+class SearchIndex {
+  constructor() {
+    this.docs = new Map(); // id -> { doc, terms: Map(term -> count), length }
+    this.docFreq = new Map(); // term -> documents containing it
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  add(doc) {
+    if (this.docs.has(doc.id)) this.remove(doc.id);
+
+    const terms = new Map();
+    const words = tokenize(doc.text);
+    words.forEach(word => terms.set(word, (terms.get(word) || 0) + 1));
+    terms.forEach((count, term) => this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1));
+
+    this.docs.set(doc.id, { doc, terms, length: words.length });
+    this.totalLength += words.length;
+    return this;
+  }
+
+  get(id) {
+    return this.docs.get(id)?.doc || null;
+  }
+
+  // Every document (optionally filtered), in insertion order
+  documents(filter = null) {
+    const docs = Array.from(this.docs.values(), entry => entry.doc);
+    return filter ? docs.filter(filter) : docs;
+  }
+
+  addAll(docs) {
+    docs.forEach(doc => this.add(doc));
+    return this;
+  }
+
+  remove(id) {
+    const entry = this.docs.get(id);
+    if (!entry) return false;
+
+    entry.terms.forEach((count, term) => {
+      const remaining = this.docFreq.get(term) - 1;
+      if (remaining > 0) {
+        this.docFreq.set(term, remaining);
+      } else {
+        this.docFreq.delete(term);
+      }
+    });
+    this.totalLength -= entry.length;
+    this.docs.delete(id);
+    return true;
+  }
+
+  // Best matches first: [{ doc, score }]. filter(doc) narrows the candidates.
+  search(query, { limit = 10, filter = null } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.docs.size === 0) return [];
+
+    const averageLength = this.totalLength / this.docs.size || 1;
+    const idf = new Map(queryTerms.map(term => {
+      const frequency = this.docFreq.get(term) || 0;
+      return [term, Math.log(1 + (this.docs.size - frequency + 0.5) / (frequency + 0.5))];
+    }));
+
+    const results = [];
+    for (const { doc, terms, length } of this.docs.values()) {
+      if (filter && !filter(doc)) continue;
+
+      let score = 0;
+      for (const term of queryTerms) {
+        const count = terms.get(term);
+        if (!count) continue;
+        score += idf.get(term) * (count * (K1 + 1)) / (count + K1 * (1 - B + B * length / averageLength));
+      }
+      if (score > 0) results.push({ doc, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize
+};
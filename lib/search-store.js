@@ -0,0 +1,173 @@
+const { createStorageAdapter } = require('./storage');
+const { SearchIndex } = require('./search-index');
+
+// Per-workspace full-text index over ingested messages, thread replies and published summary
+// items. Each workspace has its own store on disk ("search-<teamId>", one record per channel
+// holding that channel's documents); the BM25 index is rebuilt in memory on first use and
+// changes are written back in debounced batches - one write per workspace.
+//
+// Documents: { id, type: 'message' | 'summary', channelId, user, ts, threadTs, text, label, link }
+
+const MAX_DOCS = 20000; // per workspace - the oldest messages are dropped beyond this
+
+function messageDocId(channelId, ts) {
+  return `msg:${channelId}:${ts}`;
+}
+
+// Buffered Slack message (or thread reply) -> indexed message
+function messageDoc(channelId, message) {
+  return {
+    id: messageDocId(channelId, message.timestamp),
+    type: 'message',
+    channelId,
+    user: message.user,
+    ts: message.timestamp,
+    threadTs: message.thread_ts && message.thread_ts !== message.timestamp ? message.thread_ts : null,
+    text: message.text
+  };
+}
+
+class SearchStore {
+  constructor({ adapterFor = (teamId) => createStorageAdapter(`search-${teamId}`), maxDocs = MAX_DOCS, flushDelay = 5000 } = {}) {
+    this.adapterFor = adapterFor;
+    this.maxDocs = maxDocs;
+    this.flushDelay = flushDelay;
+    this.workspaces = new Map(); // teamId -> Promise<{ adapter, index, dirty: Set<channelId> }>
+    this.flushTimer = null;
+  }
+
+  workspace(teamId) {
+    if (!this.workspaces.has(teamId)) {
+      this.workspaces.set(teamId, this.load(teamId));
+    }
+    return this.workspaces.get(teamId);
+  }
+
+  async load(teamId) {
+    const adapter = this.adapterFor(teamId);
+    const index = new SearchIndex();
+    for (const [, docs] of await adapter.entries()) {
+      index.addAll(docs);
+    }
+    if (index.size > 0) {
+      console.log(`🔎 Loaded search index for ${teamId}: ${index.size} documents`);
+    }
+    return { adapter, index, dirty: new Set() };
+  }
+
+  // Add or replace documents
+  async add(teamId, docs) {
+    const workspace = await this.workspace(teamId);
+    for (const doc of docs) {
+      if (!doc.text || !doc.text.trim()) continue;
+      workspace.index.add(doc);
+      workspace.dirty.add(doc.channelId);
+    }
+    this.scheduleFlush();
+  }
+
+  async addMessage(teamId, channelId, message) {
+    return this.add(teamId, [messageDoc(channelId, message)]);
+  }
+
+  // A whole conversation (parents and replies), e.g. history fetched for a summary
+  async addConversation(teamId, channelId, conversation) {
+    const messages = conversation.flatMap(message => [
+      ...(message.text && !message.summarizedParent ? [message] : []),
+      ...(message.replies || []).map(reply => ({ ...reply, thread_ts: reply.thread_ts || message.timestamp }))
+    ]);
+    await this.add(teamId, messages.map(message => messageDoc(channelId, message)));
+    return messages.length;
+  }
+
+  async removeMessage(teamId, channelId, ts) {
+    const workspace = await this.workspace(teamId);
+    if (workspace.index.remove(messageDocId(channelId, ts))) {
+      workspace.dirty.add(channelId);
+      this.scheduleFlush();
+    }
+  }
+
+  // Swap a channel's summary items for the latest published summary
+  async replaceSummary(teamId, channelId, docs) {
+    const workspace = await this.workspace(teamId);
+    workspace.index.documents(doc => doc.channelId === channelId && doc.type === 'summary')
+      .forEach(doc => workspace.index.remove(doc.id));
+    workspace.dirty.add(channelId);
+    await this.add(teamId, docs.map(doc => ({ ...doc, id: `${channelId}:${doc.id}`, channelId })));
+  }
+
+  // Indexed messages for a channel
+  async count(teamId, channelId) {
+    const workspace = await this.workspace(teamId);
+    return workspace.index.documents(doc => doc.channelId === channelId && doc.type === 'message').length;
+  }
+
+  // Ranked matches: [{ doc, score }]. Filters: channelIds (allowed channels), userId, type,
+  // after / before (ms, inclusive / exclusive)
+  async search(teamId, query, { channelIds = null, userId = null, type = null, after = null, before = null, limit = 10 } = {}) {
+    const workspace = await this.workspace(teamId);
+    const allowed = channelIds ? new Set(channelIds) : null;
+    return workspace.index.search(query, {
+      limit,
+      filter: doc => {
+        const at = parseFloat(doc.ts) * 1000;
+        return (!allowed || allowed.has(doc.channelId)) &&
+          (!userId || doc.user === userId) &&
+          (!type || doc.type === type) &&
+          (after === null || at >= after) &&
+          (before === null || at < before);
+      }
+    });
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => console.error('❌ Search index flush failed:', error.message));
+    }, this.flushDelay);
+  }
+
+  // Drop the oldest messages over the cap, then write every changed channel in one batch.
+  // Channels whose write failed stay dirty for the next flush.
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    for (const pending of this.workspaces.values()) {
+      const workspace = await pending;
+      const excess = workspace.index.size - this.maxDocs;
+      if (excess > 0) {
+        workspace.index.documents(doc => doc.type === 'message')
+          .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
+          .slice(0, excess)
+          .forEach(doc => {
+            workspace.index.remove(doc.id);
+            workspace.dirty.add(doc.channelId);
+          });
+      }
+
+      const dirty = Array.from(workspace.dirty);
+      workspace.dirty.clear();
+      const entries = dirty.map(channelId => {
+        const docs = workspace.index.documents(doc => doc.channelId === channelId);
+        return [channelId, docs.length > 0 ? docs : null];
+      });
+      try {
+        await workspace.adapter.setMany(entries);
+      } catch (error) {
+        dirty.forEach(channelId => workspace.dirty.add(channelId));
+        this.scheduleFlush();
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  SearchStore,
+  messageDocId
+};
@@ -0,0 +1,114 @@
+const { parseTimeRange } = require('./time-range');
+
+// "/paper search" - query filters and Block Kit results
+
+const MAX_SNIPPET_LENGTH = 300;
+
+// ["deploy", "in:<#C1|ops>", "from:<@U1>", "after:monday"] ->
+// { terms, channelIds, userId, type, after, before, filters, errors }. Filters:
+// in:#channel (or a bare #channel), from:@user / from:me (or a bare @user),
+// after:<day>, before:<day>, on:<day> (days like 2026-10-01, yesterday, monday - in timeZone),
+// is:message / is:summary
+function parseSearchQuery(args, { userId = null, timeZone = 'UTC', now = new Date() } = {}) {
+  const query = { terms: [], channelIds: [], userId: null, type: null, after: null, before: null, filters: [], errors: [] };
+
+  const day = (text, name) => {
+    const range = parseTimeRange(text, { timeZone, now });
+    if (!range || !range.allDay) {
+      query.errors.push(`\`${name}:${text}\` needs a day like 2026-10-01, yesterday or monday`);
+      return null;
+    }
+    return range;
+  };
+
+  for (const arg of args) {
+    const [, filter, value] = arg.match(/^(in|from|after|before|on|during|is):(.+)$/i) || [null, null, arg];
+    const channel = value.match(/^<#([CG][A-Z0-9]+)(\|[^>]*)?>$/);
+    const user = value.match(/^<@([UW][A-Z0-9]+)(\|[^>]*)?>$/);
+    if (filter || channel || user) query.filters.push(arg);
+
+    if (channel && (!filter || filter.toLowerCase() === 'in')) {
+      query.channelIds.push(channel[1]);
+    } else if (user && (!filter || filter.toLowerCase() === 'from')) {
+      query.userId = user[1];
+    } else if (filter && filter.toLowerCase() === 'from' && value.toLowerCase() === 'me') {
+      query.userId = userId;
+    } else if (filter && filter.toLowerCase() === 'after') {
+      const range = day(value, 'after');
+      if (range) query.after = new Date(range.end || now).getTime();
+    } else if (filter && filter.toLowerCase() === 'before') {
+      const range = day(value, 'before');
+      if (range) query.before = new Date(range.start).getTime();
+    } else if (filter && /^(on|during)$/i.test(filter)) {
+      const range = day(value, filter.toLowerCase());
+      if (range) {
+        query.after = new Date(range.start).getTime();
+        query.before = range.end ? new Date(range.end).getTime() : null;
+      }
+    } else if (filter && filter.toLowerCase() === 'is' && /^(message|summary)$/i.test(value)) {
+      query.type = value.toLowerCase();
+    } else if (filter) {
+      query.errors.push(`I don't know the filter \`${arg}\``);
+    } else {
+      query.terms.push(arg);
+    }
+  }
+
+  return query;
+}
+
+function snippet(text) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_SNIPPET_LENGTH ? `${clean.substring(0, MAX_SNIPPET_LENGTH - 1)}…` : clean;
+}
+
+function slackDate(ts) {
+  const seconds = Math.floor(parseFloat(ts));
+  return `<!date^${seconds}^{date_short_pretty} {time}|${new Date(seconds * 1000).toISOString()}>`;
+}
+
+// results: [{ doc, permalink }] best first; filters: mrkdwn description of the filters used
+function renderSearchResults({ terms, results, filters = null, total = results.length }) {
+  const blocks = [{
+    type: 'section',
+    text: { type: 'mrkdwn', text: `🔍 *${total === 0 ? 'No' : total} result${total === 1 ? '' : 's'}* for “${terms}”` }
+  }];
+  if (filters) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: filters }] });
+  }
+
+  for (const { doc, permalink } of results) {
+    const where = doc.type === 'summary'
+      ? `*<#${doc.channelId}>* • 📄 ${doc.label || 'canvas summary'} • ${slackDate(doc.ts)}`
+      : `*<#${doc.channelId}>* • <@${doc.user}>${doc.threadTs ? ' • 🧵 in a thread' : ''} • ${slackDate(doc.ts)}`;
+    const link = permalink || doc.link;
+
+    blocks.push({ type: 'divider' }, {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${where}\n${snippet(doc.text)}` },
+      ...(link ? {
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: doc.type === 'summary' ? 'Open canvas' : 'View message' },
+          url: link
+        }
+      } : {})
+    });
+  }
+
+  if (total > results.length) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `Showing the best ${results.length} - add words or filters to narrow it down.` }] });
+  } else if (total === 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: 'Only messages Paper has seen are searchable. Try fewer words, or drop a filter.' }]
+    });
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  parseSearchQuery,
+  renderSearchResults
+};
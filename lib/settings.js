@@ -0,0 +1,255 @@
+const { createStorageAdapter } = require('./storage');
+
+// Layered Paper settings: global defaults (environment) → workspace overrides → channel overrides.
+// Channel overrides live in channel state (channelData.settings); workspace overrides have their
+// own store, like the per-workspace LLM settings. Only overridden keys are stored at each layer.
+
+const SETTINGS = {
+  messageThreshold: {
+    type: 'integer', min: 3, max: 500, default: 10, env: 'PAPER_MESSAGE_THRESHOLD',
+    aliases: ['threshold', 'messages'],
+    description: 'Buffered messages that trigger an update'
+  },
+  maxWait: {
+    type: 'integer', min: 1, max: 1440, default: 2, unit: 'min', env: 'PAPER_MAX_WAIT',
+    aliases: ['wait'],
+    description: 'A new message this long after the last update triggers one'
+  },
+  lullPeriod: {
+    type: 'integer', min: 30, max: 24 * 60 * 60, default: 180, unit: 's', env: 'PAPER_LULL_PERIOD',
+    aliases: ['lull'],
+    description: 'Quiet time before buffered messages are summarized'
+  },
+  adaptive: {
+    type: 'boolean', default: true, env: 'PAPER_ADAPTIVE',
+    aliases: ['pace'],
+    description: 'Scale the thresholds above to the channel pace'
+  },
+  minMessages: {
+    type: 'integer', min: 1, max: 100, default: 3, env: 'PAPER_MIN_MESSAGES',
+    aliases: ['min'],
+    description: 'Fewest buffered messages worth summarizing'
+  },
+  template: {
+    type: 'enum', values: ['granola', 'brief', 'detailed'], default: 'granola', env: 'PAPER_TEMPLATE',
+    aliases: [],
+    description: 'Summary style'
+  },
+  language: {
+    type: 'string', maxLength: 40, default: 'English', env: 'PAPER_LANGUAGE',
+    aliases: ['lang'],
+    description: 'Language the summary is written in'
+  },
+  timezone: {
+    type: 'timezone', default: 'America/New_York', env: 'PAPER_TIMEZONE',
+    aliases: ['tz'],
+    description: 'Timezone for canvas timestamps and day ranges (default: first participant\'s)'
+  },
+  bootstrap: {
+    type: 'boolean', default: true, env: 'PAPER_BOOTSTRAP',
+    aliases: [],
+    description: 'Summarize existing history when Paper first sees a channel'
+  },
+  bootstrapLookbackDays: {
+    type: 'integer', min: 1, max: 90, default: 14, unit: 'days', env: 'PAPER_BOOTSTRAP_DAYS',
+    aliases: ['lookback'],
+    description: 'How far back the bootstrap summary reads'
+  },
+  bootstrapMinMessages: {
+    type: 'integer', min: 1, max: 1000, default: 10, env: 'PAPER_BOOTSTRAP_MIN_MESSAGES',
+    aliases: ['bootstrap_min'],
+    description: 'Messages needed before a bootstrap summary is created'
+  },
+  welcome: {
+    type: 'boolean', default: true, env: 'PAPER_WELCOME',
+    aliases: [],
+    description: 'Post a welcome message after the bootstrap summary'
+  },
+  canvasMode: {
+    type: 'enum', values: ['replace', 'append'], default: 'replace', env: 'PAPER_CANVAS_MODE',
+    aliases: ['mode'],
+    description: 'replace: one rolling summary; append: add each update below the last'
+  },
+  archive: {
+    type: 'enum', values: ['off', 'daily', 'weekly'], default: 'off', env: 'PAPER_ARCHIVE',
+    aliases: ['archives', 'digest'],
+    description: 'Also keep a dated archive canvas per day or week'
+  }
+};
+
+// "message_threshold", "messagethreshold", "threshold" -> "messageThreshold"
+const SETTING_NAMES = Object.entries(SETTINGS).reduce((map, [key, spec]) => {
+  map[key.toLowerCase()] = key;
+  spec.aliases.forEach(alias => { map[alias.replace(/[_-]/g, '')] = key; });
+  return map;
+}, {});
+
+function settingKey(name) {
+  return SETTING_NAMES[String(name).toLowerCase().replace(/[_-]/g, '')] || null;
+}
+
+function isTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parse a raw (string) value for a setting; returns { value } or { error }
+function parseSettingValue(key, raw) {
+  const spec = SETTINGS[key];
+  const text = String(raw).trim();
+
+  switch (spec.type) {
+    case 'integer': {
+      const value = parseInt(text, 10);
+      if (!/^\d+$/.test(text) || value < spec.min || value > spec.max) {
+        return { error: `${settingName(key)} must be a whole number from ${spec.min} to ${spec.max}` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (/^(on|true|yes|1|enabled?)$/i.test(text)) return { value: true };
+      if (/^(off|false|no|0|disabled?)$/i.test(text)) return { value: false };
+      return { error: `${settingName(key)} must be on or off` };
+    }
+    case 'enum': {
+      const value = text.toLowerCase();
+      return spec.values.includes(value) ? { value } : { error: `${settingName(key)} must be one of ${spec.values.join(', ')}` };
+    }
+    case 'timezone':
+      return isTimezone(text) ? { value: text } : { error: `${settingName(key)} must be an IANA timezone like Europe/Berlin` };
+    default:
+      return text && text.length <= spec.maxLength ? { value: text } : { error: `${settingName(key)} must be 1-${spec.maxLength} characters` };
+  }
+}
+
+// Global defaults, overridable through PAPER_* environment variables
+function defaultSettings(env = process.env) {
+  return Object.fromEntries(Object.entries(SETTINGS).map(([key, spec]) => {
+    if (env[spec.env] === undefined) return [key, spec.default];
+    const { value, error } = parseSettingValue(key, env[spec.env]);
+    if (error) {
+      console.error(`❌ Ignoring ${spec.env}: ${error}`);
+      return [key, spec.default];
+    }
+    return [key, value];
+  }));
+}
+
+// { threshold: '15', tz: 'Europe/Berlin', lull: 'default' } -> { patch, errors, ignored }
+// "default" (or "reset") clears the override at that layer - the patch value is null
+function parseSettingsPatch(options) {
+  const patch = {};
+  const errors = [];
+  const ignored = [];
+
+  for (const [name, raw] of Object.entries(options)) {
+    const key = settingKey(name);
+    if (!key || typeof raw !== 'string') {
+      ignored.push(name);
+      continue;
+    }
+    if (/^(default|reset|inherit)$/i.test(raw.trim())) {
+      patch[key] = null;
+      continue;
+    }
+    const { value, error } = parseSettingValue(key, raw);
+    if (error) {
+      errors.push(error);
+    } else {
+      patch[key] = value;
+    }
+  }
+
+  return { patch, errors, ignored };
+}
+
+// Apply a patch to one layer's overrides (null removes an override)
+function applyPatch(overrides, patch) {
+  const next = { ...(overrides || {}) };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete next[key];
+    } else {
+      next[key] = value;
+    }
+  }
+  return next;
+}
+
+// "15 min", "on", "Europe/Berlin"
+function formatSettingValue(key, value) {
+  const spec = SETTINGS[key];
+  if (spec.type === 'boolean') return value ? 'on' : 'off';
+  return spec.unit ? `${value} ${spec.unit}` : String(value);
+}
+
+// "messageThreshold" -> "message_threshold", the form commands and help text use
+function settingName(key) {
+  return key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+// One mrkdwn line per setting, marking where the value comes from
+function describeSettings(settings, sources = {}) {
+  return Object.entries(SETTINGS).map(([key, spec]) => {
+    const source = sources[key] && sources[key] !== 'global' ? ` _(${sources[key]})_` : '';
+    return `• \`${settingName(key)}\`: *${formatSettingValue(key, settings[key])}*${source} – ${spec.description}`;
+  });
+}
+
+class SettingsService {
+  constructor(adapter = createStorageAdapter('workspace-settings'), defaults = defaultSettings()) {
+    this.adapter = adapter;
+    this.defaults = defaults;
+  }
+
+  async getWorkspaceOverrides(teamId) {
+    return (await this.adapter.get(teamId)) || {};
+  }
+
+  async updateWorkspace(teamId, patch) {
+    const next = applyPatch(await this.getWorkspaceOverrides(teamId), patch);
+    await this.adapter.set(teamId, next);
+    console.log(`⚙️ Workspace settings updated for ${teamId}:`, next);
+    return next;
+  }
+
+  // Effective settings for a channel plus where each value came from:
+  // { settings, sources: { key: 'global' | 'workspace' | 'channel' } }
+  async resolve(teamId, channelOverrides = {}) {
+    const workspace = teamId ? await this.getWorkspaceOverrides(teamId) : {};
+    const settings = {};
+    const sources = {};
+
+    for (const key of Object.keys(SETTINGS)) {
+      if (channelOverrides && key in channelOverrides) {
+        settings[key] = channelOverrides[key];
+        sources[key] = 'channel';
+      } else if (key in workspace) {
+        settings[key] = workspace[key];
+        sources[key] = 'workspace';
+      } else {
+        settings[key] = this.defaults[key];
+        sources[key] = 'global';
+      }
+    }
+
+    return { settings, sources };
+  }
+}
+
+module.exports = {
+  SETTINGS,
+  SettingsService,
+  defaultSettings,
+  settingKey,
+  parseSettingValue,
+  parseSettingsPatch,
+  applyPatch,
+  formatSettingValue,
+  settingName,
+  describeSettings
+};
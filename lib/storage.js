@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage adapters - the small async key/value interface every persistent store sits on.
+// Any adapter must implement get / set / setMany / delete / keys / entries; set, setMany and
+// delete reject when the change could not be stored. setMany([[key, value], ...]) stores a
+// batch in one write - a null value deletes that key.
+
+// In-memory adapter (tests, local experiments - nothing survives a restart)
+class MemoryStorageAdapter {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.data.set(key, value);
+    return value;
+  }
+
+  async setMany(entries) {
+    for (const [key, value] of entries) {
+      if (value === null) this.data.delete(key);
+      else this.data.set(key, value);
+    }
+  }
+
+  async delete(key) {
+    return this.data.delete(key);
+  }
+
+  async keys() {
+    return Array.from(this.data.keys());
+  }
+
+  async entries() {
+    return Array.from(this.data.entries());
+  }
+}
+
+// File-backed adapter - one JSON document per store, rewritten atomically on every change
+class FileStorageAdapter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  load() {
+    if (this.data) return this.data;
+
+    this.data = new Map();
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        const parsed = raw.trim() ? JSON.parse(raw) : {};
+        for (const [key, value] of Object.entries(parsed)) {
+          this.data.set(key, value);
+        }
+        console.log(`💾 Loaded ${this.data.size} records from ${this.filePath}`);
+      }
+    } catch (error) {
+      console.error(`❌ Could not read ${this.filePath}, starting empty:`, error.message);
+    }
+    return this.data;
+  }
+
+  // Serialize writes so concurrent updates never interleave on disk. The returned promise
+  // rejects when this write fails (later writes still run and may succeed).
+  persist() {
+    const snapshot = JSON.stringify(Object.fromEntries(this.load()), null, 2);
+    const write = this.writeChain.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, snapshot, 'utf8');
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+    this.writeChain = write.catch(() => {});
+    return write.catch(error => {
+      console.error(`❌ Could not write ${this.filePath}:`, error.message);
+      throw error;
+    });
+  }
+
+  async get(key) {
+    const data = this.load();
+    return data.has(key) ? data.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.load().set(key, value);
+    await this.persist();
+    return value;
+  }
+
+  async setMany(entries) {
+    const data = this.load();
+    for (const [key, value] of entries) {
+      if (value === null) data.delete(key);
+      else data.set(key, value);
+    }
+    if (entries.length > 0) await this.persist();
+  }
+
+  async delete(key) {
+    const deleted = this.load().delete(key);
+    if (deleted) await this.persist();
+    return deleted;
+  }
+
+  async keys() {
+    return Array.from(this.load().keys());
+  }
+
+  async entries() {
+    return Array.from(this.load().entries());
+  }
+}
+
+// Pick an adapter from the environment: PAPER_STORAGE=memory|file, PAPER_DATA_DIR=./data
+function createStorageAdapter(name, options = {}) {
+  const backend = options.backend || process.env.PAPER_STORAGE || 'file';
+  const dataDir = options.dataDir || process.env.PAPER_DATA_DIR || path.join(process.cwd(), 'data');
+
+  if (backend === 'memory') {
+    return new MemoryStorageAdapter();
+  }
+  if (backend === 'file') {
+    return new FileStorageAdapter(path.join(dataDir, `${name}.json`));
+  }
+  throw new Error(`Unknown storage backend: ${backend}`);
+}
+
+module.exports = {
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  createStorageAdapter
+};
@@ -0,0 +1,202 @@
+// Structured summary schema - the data model behind every canvas.
+// The LLM returns JSON in this shape; normalizeSummary() validates and coerces it so
+// renderers, reminders, exports and diffs can rely on the fields being there.
+
+const ITEM_STATUSES = ['active', 'superseded'];
+const ACTION_STATUSES = ['open', 'done', 'cancelled'];
+
+const SUMMARY_JSON_INSTRUCTIONS = `
+**Respond with ONLY a JSON object (no markdown, no code fences) in exactly this shape:**
+{
+  "participants": [{ "name": "Real Name", "user_id": "U123", "contribution": "their key contributions and role" }],
+  "topics": [{ "title": "Topic", "details": ["key insight or viewpoint"], "sources": ["1712345678.123456"] }],
+  "decisions": [{ "text": "what was decided", "rationale": "why", "owner": "Real Name or null", "status": "active", "sources": ["1712345678.123456"] }],
+  "action_items": [{ "task": "specific task", "owner": "Real Name or null", "owner_id": "U123 or null", "due_date": "YYYY-MM-DD or null", "status": "open", "source_ts": "1712345678.123456 or null" }],
+  "insights": [{ "text": "key insight or takeaway", "quote": "standout quote or null", "sources": ["1712345678.123456"] }],
+  "open_questions": [{ "text": "unresolved question", "sources": ["1712345678.123456"] }],
+  "context": ["why this conversation happened / background"]
+}
+
+**Field rules:**
+- "status" for decisions is "active" or "superseded" (no longer relevant)
+- "status" for action items is "open", "done" or "cancelled"
+- Use user IDs from the USER MAPPING for "user_id" / "owner_id" when you know them, otherwise null
+- "source_ts" is the [timestamp] of the message an action item came from, when messages carry one - otherwise null
+- "sources" lists the [timestamp]s of the messages a topic, decision, insight or open question is based on
+  (1-3, the most telling first). Copy them exactly from the conversation - never invent one. Keep the
+  sources of items carried over from a previous summary
+- Use empty arrays for sections with nothing to report - never omit a key
+`;
+
+function asString(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+}
+
+function asArray(value) {
+  if (Array.isArray(value)) return value;
+  if (value === null || value === undefined) return [];
+  return [value];
+}
+
+function asDate(value) {
+  const text = asString(value);
+  return text && /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : null;
+}
+
+function asTs(value) {
+  const text = asString(value);
+  return text && /^\d+\.\d+$/.test(text) ? text : null;
+}
+
+function asTsList(value) {
+  return [...new Set(asArray(value).map(asTs).filter(Boolean))];
+}
+
+function oneOf(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+// Coerce a parsed LLM reply into the schema; returns { summary, errors }
+function normalizeSummary(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { summary: null, errors: ['Summary must be a JSON object'] };
+  }
+
+  const section = (key) => {
+    if (!(key in raw)) errors.push(`Missing "${key}"`);
+    return asArray(raw[key]);
+  };
+
+  const summary = {
+    participants: section('participants')
+      .map(p => typeof p === 'string' ? { name: p } : p || {})
+      .map(p => ({
+        name: asString(p.name),
+        user_id: asString(p.user_id),
+        contribution: asString(p.contribution)
+      }))
+      .filter(p => p.name || p.user_id),
+    topics: section('topics')
+      .map(t => typeof t === 'string' ? { title: t } : t || {})
+      .map(t => ({
+        title: asString(t.title),
+        details: asArray(t.details).map(asString).filter(Boolean),
+        sources: asTsList(t.sources)
+      }))
+      .filter(t => t.title),
+    decisions: section('decisions')
+      .map(d => typeof d === 'string' ? { text: d } : d || {})
+      .map(d => ({
+        text: asString(d.text),
+        rationale: asString(d.rationale),
+        owner: asString(d.owner),
+        status: oneOf(d.status, ITEM_STATUSES, 'active'),
+        sources: asTsList(d.sources)
+      }))
+      .filter(d => d.text),
+    action_items: section('action_items')
+      .map(a => typeof a === 'string' ? { task: a } : a || {})
+      .map(a => ({
+        task: asString(a.task),
+        owner: asString(a.owner),
+        owner_id: asString(a.owner_id),
+        due_date: asDate(a.due_date),
+        status: oneOf(a.status, ACTION_STATUSES, 'open'),
+        source_ts: asTs(a.source_ts)
+      }))
+      .filter(a => a.task),
+    insights: section('insights')
+      .map(i => typeof i === 'string' ? { text: i } : i || {})
+      .map(i => ({ text: asString(i.text), quote: asString(i.quote), sources: asTsList(i.sources) }))
+      .filter(i => i.text || i.quote),
+    open_questions: section('open_questions')
+      .map(q => typeof q === 'string' ? { text: q } : q || {})
+      .map(q => ({ text: asString(q.text), sources: asTsList(q.sources) }))
+      .filter(q => q.text),
+    context: section('context').map(c => asString(typeof c === 'object' && c ? c.text : c)).filter(Boolean)
+  };
+
+  const isEmpty = Object.values(summary).every(items => items.length === 0);
+  if (isEmpty) errors.push('Summary has no content');
+
+  return { summary: isEmpty ? null : summary, errors };
+}
+
+// Message timestamps an item points at (action items carry a single source_ts)
+function itemSources(item) {
+  if (item.source_ts !== undefined) return item.source_ts ? [item.source_ts] : [];
+  return item.sources || [];
+}
+
+const SOURCED_SECTIONS = ['topics', 'decisions', 'action_items', 'insights', 'open_questions'];
+
+// Drop source references that aren't real messages. knownTs: Set of timestamps the model was
+// shown (plus ones already validated in earlier summaries). Returns { summary, invalid, unsourced }
+// with the counts of dropped references and of items left without any source.
+function validateSources(summary, knownTs) {
+  let invalid = 0;
+  let unsourced = 0;
+  const validated = { ...summary };
+
+  for (const key of SOURCED_SECTIONS) {
+    validated[key] = summary[key].map(item => {
+      const sources = itemSources(item);
+      const valid = sources.filter(ts => knownTs.has(ts));
+      invalid += sources.length - valid.length;
+      if (valid.length === 0) unsourced++;
+      return key === 'action_items' ? { ...item, source_ts: valid[0] || null } : { ...item, sources: valid };
+    });
+  }
+
+  return { summary: validated, invalid, unsourced };
+}
+
+// Every message timestamp a summary cites
+function citedTimestamps(summary) {
+  return [...new Set(SOURCED_SECTIONS.flatMap(key => (summary?.[key] || []).flatMap(itemSources)))];
+}
+
+// Pull the JSON object out of an LLM reply (tolerates code fences and chatter around it)
+function parseSummaryJSON(text) {
+  if (!text) return { summary: null, errors: ['Empty response'] };
+
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { summary: null, errors: ['No JSON object found in response'] };
+  }
+
+  try {
+    return normalizeSummary(JSON.parse(unfenced.slice(start, end + 1)));
+  } catch (error) {
+    return { summary: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+}
+
+function emptySummary() {
+  return {
+    participants: [],
+    topics: [],
+    decisions: [],
+    action_items: [],
+    insights: [],
+    open_questions: [],
+    context: []
+  };
+}
+
+module.exports = {
+  SUMMARY_JSON_INSTRUCTIONS,
+  ITEM_STATUSES,
+  ACTION_STATUSES,
+  normalizeSummary,
+  parseSummaryJSON,
+  itemSources,
+  validateSources,
+  citedTimestamps,
+  emptySummary
+};
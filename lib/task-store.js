@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { createStorageAdapter } = require('./storage');
+
+// Per-workspace action item tracker. Summaries carry action items forward from update to
+// update, so each one is matched to the task it already created (same channel, similar task
+// text) instead of creating a duplicate. Only open tasks and tasks the last summary still
+// listed are matched, so a recurring item ("send the weekly report") isn't folded into a task
+// finished weeks ago. Records are keyed "teamId/taskId".
+
+const MATCH_THRESHOLD = 0.6; // word overlap needed to treat reworded task text as the same task
+const REMINDER_LEAD_DAYS = 1; // remind owners this many days before the due date
+
+function normalizeTask(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Jaccard overlap of the words in two task descriptions (0..1)
+function taskSimilarity(a, b) {
+  const wordsA = new Set(normalizeTask(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeTask(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// Whole days from `today` to a YYYY-MM-DD due date (negative once overdue)
+function daysUntil(dueDate, today) {
+  const toUTC = (day) => Date.UTC(...day.split('-').map((part, index) => parseInt(part, 10) - (index === 1 ? 1 : 0)));
+  return Math.round((toUTC(dueDate) - toUTC(today)) / (24 * 60 * 60 * 1000));
+}
+
+class TaskStore {
+  constructor(adapter = createStorageAdapter('tasks')) {
+    this.adapter = adapter;
+  }
+
+  key(teamId, taskId) {
+    return `${teamId}/${taskId}`;
+  }
+
+  async get(teamId, taskId) {
+    return this.adapter.get(this.key(teamId, taskId));
+  }
+
+  async save(task) {
+    task.updatedAt = Date.now();
+    await this.adapter.set(this.key(task.teamId, task.id), task);
+    return task;
+  }
+
+  // Tasks for a workspace, oldest first. Filters: status, channelId, ownerId
+  async list(teamId, { status = null, channelId = null, ownerId = null } = {}) {
+    return (await this.adapter.entries())
+      .filter(([key]) => key.startsWith(`${teamId}/`))
+      .map(([, task]) => task)
+      .filter(task => (!status || task.status === status) &&
+        (!channelId || task.channelId === channelId) &&
+        (!ownerId || task.ownerId === ownerId))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Merge a published summary's action items into the store.
+  // validSourceTs: message ts the summary was built from - source_ts outside it is ignored.
+  // Returns { created, reassigned, closed } so the caller can notify owners.
+  async syncActionItems(teamId, channelId, actionItems, { validSourceTs = new Set() } = {}) {
+    const existing = await this.list(teamId, { channelId });
+    const matched = new Set();
+    const changes = { created: [], reassigned: [], closed: [] };
+
+    for (const item of actionItems) {
+      const task = this.findMatch(existing, item, matched);
+      const ownerId = /^[UW][A-Z0-9]+$/.test(item.owner_id || '') ? item.owner_id : null;
+
+      if (!task) {
+        if (item.status !== 'open') continue; // finished before we ever saw it
+        const created = await this.save({
+          id: crypto.randomUUID(),
+          teamId,
+          channelId,
+          task: item.task,
+          owner: item.owner,
+          ownerId,
+          dueDate: item.due_date,
+          status: 'open',
+          sourceTs: validSourceTs.has(item.source_ts) ? item.source_ts : null,
+          permalink: null,
+          createdAt: Date.now(),
+          closedBy: null,
+          inSummary: true, // listed by the latest summary - matchable even once closed
+          notifiedOwnerId: null,
+          remindedFor: null, // due date the last reminder was sent for
+          overdueNotified: false
+        });
+        existing.push(created);
+        matched.add(created.id);
+        changes.created.push(created);
+        continue;
+      }
+
+      matched.add(task.id);
+      let changed = task.task !== item.task || !task.inSummary;
+      task.task = item.task;
+      task.inSummary = true;
+
+      if (item.due_date && item.due_date !== task.dueDate) {
+        task.dueDate = item.due_date;
+        task.overdueNotified = false; // a new due date gets its own reminders
+        changed = true;
+      }
+
+      if (ownerId && ownerId !== task.ownerId) {
+        task.ownerId = ownerId;
+        task.owner = item.owner;
+        changes.reassigned.push(task);
+        changed = true;
+      }
+
+      // Someone closing a task by hand wins over a summary that still lists it as open
+      if (item.status !== task.status && !(task.closedBy && item.status === 'open')) {
+        task.status = item.status;
+        if (item.status !== 'open') changes.closed.push(task);
+        changed = true;
+      }
+
+      if (changed) await this.save(task);
+    }
+
+    // Tasks the summary dropped can't be matched again once they're closed
+    for (const task of existing.filter(candidate => candidate.inSummary && !matched.has(candidate.id))) {
+      task.inSummary = false;
+      await this.save(task);
+    }
+
+    return changes;
+  }
+
+  // Same channel task with identical or closely matching text that hasn't been matched yet,
+  // among open tasks and tasks the previous summary listed
+  findMatch(tasks, item, matched) {
+    const candidates = tasks.filter(task => !matched.has(task.id) && (task.status === 'open' || task.inSummary));
+    const exact = candidates.find(task => normalizeTask(task.task) === normalizeTask(item.task));
+    if (exact) return exact;
+
+    let best = null;
+    let bestScore = MATCH_THRESHOLD;
+    for (const task of candidates) {
+      const score = taskSimilarity(task.task, item.task);
+      if (score >= bestScore) {
+        best = task;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Close a task by hand (DM button, command); returns the task or null
+  async close(teamId, taskId, userId, status = 'done') {
+    const task = await this.get(teamId, taskId);
+    if (!task) return null;
+    Object.assign(task, { status, closedBy: userId });
+    return this.save(task);
+  }
+
+  // Open tasks with an owner that need a reminder today (YYYY-MM-DD):
+  // [{ task, kind: 'upcoming' | 'overdue' }]
+  async dueReminders(teamId, today) {
+    const open = await this.list(teamId, { status: 'open' });
+    return open
+      .filter(task => task.ownerId && task.dueDate)
+      .map(task => {
+        const days = daysUntil(task.dueDate, today);
+        if (days < 0 && !task.overdueNotified) return { task, kind: 'overdue' };
+        if (days >= 0 && days <= REMINDER_LEAD_DAYS && task.remindedFor !== task.dueDate) return { task, kind: 'upcoming' };
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  // Workspaces that have tasks (for the reminder sweep)
+  async teamIds() {
+    const keys = await this.adapter.keys();
+    return [...new Set(keys.map(key => key.split('/')[0]))];
+  }
+}
+
+module.exports = {
+  TaskStore,
+  taskSimilarity,
+  daysUntil
+};
@@ -0,0 +1,155 @@
+// Thread support - pull replies with conversations.replies, attach them to their parent
+// message and present threaded discussions as nested context in the summary prompt.
+
+const { withRateLimitRetry } = require('./history');
+
+const DEFAULT_MAX_THREADS = 20; // threads expanded per summary (each one is an API call)
+const DEFAULT_MAX_REPLIES = 200; // replies kept per thread
+
+function isHumanMessage(msg) {
+  return !msg.bot_id && !msg.subtype && msg.text && msg.text.trim().length > 0;
+}
+
+function toBufferedMessage(msg) {
+  return {
+    user: msg.user,
+    text: msg.text,
+    timestamp: msg.ts,
+    thread_ts: msg.thread_ts
+  };
+}
+
+// All replies in a thread (parent excluded), oldest first, following the cursor
+async function fetchThreadReplies(client, channelId, threadTs, options = {}) {
+  const maxReplies = options.maxReplies || DEFAULT_MAX_REPLIES;
+  const replies = [];
+  let cursor;
+
+  do {
+    const result = await withRateLimitRetry(() => client.conversations.replies({
+      channel: channelId,
+      ts: threadTs,
+      limit: Math.min(200, maxReplies + 1),
+      ...(cursor ? { cursor } : {})
+    }), { label: `conversations.replies ${threadTs}` });
+
+    for (const msg of result.messages || []) {
+      if (msg.ts !== threadTs && isHumanMessage(msg)) {
+        replies.push(toBufferedMessage(msg));
+      }
+    }
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor && replies.length < maxReplies);
+
+  return replies.slice(0, maxReplies);
+}
+
+// One whole thread as a buffered conversation: [parent with replies]
+async function fetchThread(client, channelId, threadTs, options = {}) {
+  const result = await withRateLimitRetry(() => client.conversations.replies({ channel: channelId, ts: threadTs, limit: 1 }),
+    { label: `conversations.replies ${threadTs}` });
+  const parent = result.messages?.[0];
+  if (!parent) return [];
+
+  return [{
+    ...toBufferedMessage(parent),
+    replies: await fetchThreadReplies(client, channelId, threadTs, options)
+  }];
+}
+
+// Attach replies to raw Slack history messages that started a thread.
+// Returns buffered messages ({ user, text, timestamp, thread_ts, replies }) in the same order.
+async function attachThreadReplies(client, channelId, rawMessages, options = {}) {
+  const maxThreads = options.maxThreads ?? DEFAULT_MAX_THREADS;
+  const allThreaded = rawMessages.filter(msg => msg.reply_count > 0);
+  const threaded = allThreaded
+    .sort((a, b) => (b.reply_count || 0) - (a.reply_count || 0)) // busiest threads first
+    .slice(0, maxThreads);
+  const repliesByTs = new Map();
+
+  if (allThreaded.length > threaded.length) {
+    console.log(`⚠️ Expanding the ${threaded.length} busiest of ${allThreaded.length} threads in ${channelId} - replies in the other ${allThreaded.length - threaded.length} are left out`);
+  }
+
+  for (const msg of threaded) {
+    try {
+      repliesByTs.set(msg.ts, await fetchThreadReplies(client, channelId, msg.ts, options));
+    } catch (error) {
+      console.log(`⚠️ Could not fetch thread ${msg.ts} in ${channelId}: ${error.data?.error || error.message}`);
+    }
+  }
+
+  if (repliesByTs.size > 0) {
+    console.log(`🧵 Attached replies from ${repliesByTs.size} threads in ${channelId}`);
+  }
+
+  return rawMessages.map(msg => ({
+    ...toBufferedMessage(msg),
+    replies: repliesByTs.get(msg.ts) || []
+  }));
+}
+
+// Fill in parent text for placeholder parents (replies whose parent was no longer buffered)
+async function hydrateThreadParents(client, channelId, messages) {
+  for (const msg of messages.filter(m => m.placeholder)) {
+    try {
+      const result = await withRateLimitRetry(() => client.conversations.replies({ channel: channelId, ts: msg.timestamp, limit: 1 }),
+        { label: `conversations.replies ${msg.timestamp}` });
+      const parent = result.messages?.[0];
+      if (parent) {
+        msg.user = parent.user;
+        msg.text = parent.text;
+        msg.summarizedParent = true; // context only - it was not in this batch
+        delete msg.placeholder;
+      }
+    } catch (error) {
+      console.log(`⚠️ Could not fetch thread parent ${msg.timestamp}: ${error.data?.error || error.message}`);
+    }
+  }
+  return messages;
+}
+
+function isThreadReply(message) {
+  return !!message.thread_ts && message.thread_ts !== message.ts;
+}
+
+// Top-level messages plus their replies
+function countMessages(messages) {
+  return messages.reduce((count, msg) =>
+    count + (msg.text && !msg.summarizedParent ? 1 : 0) + (msg.replies?.length || 0), 0);
+}
+
+function collectUserIds(messages) {
+  return messages.flatMap(msg => [msg.user, ...(msg.replies || []).map(reply => reply.user)]).filter(Boolean);
+}
+
+// Conversation text for the prompt, with thread replies nested under their parent
+// timestamps: prefix each message with its [ts] so the model can point back at it
+function formatConversation(messages, userNames, { timestamps = false } = {}) {
+  const name = (userId) => userNames[userId] || userId;
+  const ts = (message) => timestamps && message.timestamp ? `[${message.timestamp}] ` : '';
+
+  return messages.flatMap(msg => {
+    const lines = [
+      !msg.text ? '(earlier thread message)'
+        : msg.summarizedParent ? `(earlier message, context only) ${ts(msg)}${name(msg.user)}: ${msg.text}`
+        : `${ts(msg)}${name(msg.user)}: ${msg.text}`
+    ];
+    for (const reply of msg.replies || []) {
+      lines.push(`    ↳ [thread reply] ${ts(reply)}${name(reply.user)}: ${reply.text}`);
+    }
+    return lines;
+  }).join('\n');
+}
+
+module.exports = {
+  isHumanMessage,
+  isThreadReply,
+  fetchThreadReplies,
+  fetchThread,
+  attachThreadReplies,
+  hydrateThreadParents,
+  countMessages,
+  collectUserIds,
+  formatConversation
+};
@@ -0,0 +1,189 @@
+// Time ranges for scoped summaries - "since yesterday", "last 7 days", "2026-10-01 to 2026-10-05".
+// Day boundaries are taken in the requesting user's timezone; the result maps directly onto
+// the oldest/latest parameters of conversations.history.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+// Calendar date of an instant in a timezone: { year, month, day, weekday }
+function zonedDate(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'long'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+// Milliseconds the timezone is ahead of UTC at an instant
+function timezoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).map(part => [part.type, parseInt(part.value, 10)]));
+
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Local midnight of a calendar date as an instant
+function startOfDay({ year, month, day }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  const offset = timezoneOffset(new Date(guess), timeZone);
+  const corrected = timezoneOffset(new Date(guess - offset), timeZone); // DST changes between guess and midnight
+  return new Date(guess - corrected);
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function compareDays(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+// "today", "yesterday", "monday", "2026-10-01", "oct 1", "1 october 2026" -> calendar date
+function parseDay(text, today) {
+  const value = text.trim().toLowerCase().replace(/^(on|last)\s+(?=[a-z]+day$)/, '').replace(/,/g, '');
+
+  if (value === 'today') return today;
+  if (value === 'yesterday') return addDays(today, -1);
+
+  const weekday = WEEKDAYS.indexOf(value);
+  if (weekday !== -1) {
+    // Most recent such day, today included ("since monday" on a Monday means today)
+    return addDays(today, -((today.weekday - weekday + 7) % 7));
+  }
+
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    return validDay({ year: +match[1], month: +match[2], day: +match[3] });
+  }
+
+  match = value.match(/^([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:\s+(\d{4}))?$/) ||
+    swapDayMonth(value.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?(?:\s+(\d{4}))?$/));
+  if (match) {
+    const month = MONTHS.indexOf(match[1].substring(0, 3)) + 1;
+    if (month === 0) return null;
+    const day = { year: match[3] ? +match[3] : today.year, month, day: +match[2] };
+    // Without a year, a date later than today means last year's
+    if (!match[3] && compareDays(day, today) > 0) day.year -= 1;
+    return validDay(day);
+  }
+
+  return null;
+}
+
+function swapDayMonth(match) {
+  return match ? [match[0], match[2], match[1], match[3]] : null;
+}
+
+function validDay(day) {
+  const date = new Date(Date.UTC(day.year, day.month - 1, day.day));
+  return date.getUTCMonth() === day.month - 1 && date.getUTCDate() === day.day ? day : null;
+}
+
+// Seconds with microseconds, the format Slack uses for ts/oldest/latest
+function toSlackTs(date) {
+  return (date.getTime() / 1000).toFixed(6);
+}
+
+function buildRange(start, end, { label, allDay = false, timeZone, now }) {
+  if (start >= (end || now)) return null;
+  return {
+    oldest: toSlackTs(start),
+    latest: end && end < now ? toSlackTs(end) : null, // null = up to now
+    start,
+    end: end && end < now ? end : null,
+    allDay,
+    label,
+    timeZone
+  };
+}
+
+// Parse a range expression; returns null when the text isn't one.
+// { oldest, latest, start, end, allDay, label, timeZone } - latest/end are null for "up to now"
+function parseTimeRange(text, { timeZone = 'UTC', now = new Date() } = {}) {
+  const value = (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!value) return null;
+
+  const today = zonedDate(now, timeZone);
+  const options = { label: text.trim(), timeZone, now };
+
+  // "last 7 days", "past 3 hours", "last week"
+  let match = value.match(/^(?:last|past|previous) (?:(\d+) )?(minute|hour|day|week|month)s?$/);
+  if (match) {
+    const amount = parseInt(match[1] || '1', 10);
+    return buildRange(new Date(now.getTime() - amount * UNIT_MS[match[2]]), null, options);
+  }
+
+  // "2026-10-01 to 2026-10-05", "from monday to wednesday", "between oct 1 and oct 3" (end day inclusive)
+  match = value.match(/^(?:from |between |since )?(.+?) (?:to|until|through|thru|and|-) (.+)$/);
+  if (match) {
+    const first = parseDay(match[1], today);
+    const last = parseDay(match[2], today);
+    if (first && last && compareDays(first, last) <= 0) {
+      return buildRange(startOfDay(first, timeZone), startOfDay(addDays(last, 1), timeZone), { ...options, allDay: true });
+    }
+    return null;
+  }
+
+  // "since yesterday", "since 2026-10-01", "from monday"
+  match = value.match(/^(?:since|from|after) (.+)$/);
+  if (match) {
+    const day = parseDay(match[1], today);
+    return day ? buildRange(startOfDay(day, timeZone), null, { ...options, allDay: true }) : null;
+  }
+
+  // A single day: "yesterday", "on monday", "2026-10-01"
+  const day = parseDay(value, today);
+  if (day) {
+    return buildRange(startOfDay(day, timeZone), startOfDay(addDays(day, 1), timeZone), { ...options, allDay: true });
+  }
+
+  return null;
+}
+
+// Human-readable window for canvas footers: "Thu, Oct 1, 2026 – Mon, Oct 5, 2026"
+function formatTimeRange(range, timeZone = range.timeZone || 'UTC') {
+  const format = (date) => date.toLocaleString('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...(range.allDay ? {} : { hour: 'numeric', minute: '2-digit' })
+  });
+
+  const start = new Date(range.start);
+  const end = range.end ? new Date(new Date(range.end).getTime() - (range.allDay ? 1 : 0)) : null;
+  return `${format(start)} – ${end ? format(end) : 'now'}`;
+}
+
+module.exports = {
+  parseTimeRange,
+  formatTimeRange,
+  toSlackTs
+};
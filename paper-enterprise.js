@@ -1,6 +1,57 @@
 const { App } = require('@slack/bolt');
 const { WebClient } = require('@slack/web-api');
-const OpenAI = require('openai');
+const { createStorageAdapter } = require('./lib/storage');
+const { ChannelStateRepository } = require('./lib/channel-state');
+const { JobQueue } = require('./lib/job-queue');
+const { LLMService, requiredLLMEnvVars, validateLLMPatch } = require('./lib/llm');
+const { SUMMARY_JSON_INSTRUCTIONS, parseSummaryJSON, validateSources, citedTimestamps } = require('./lib/summary-schema');
+const { renderSummaryMarkdown } = require('./lib/canvas-renderer');
+const { renderSummaryBlocks } = require('./lib/block-renderer');
+const { chunkConversation, reduceHierarchically } = require('./lib/map-reduce');
+const { MAX_MESSAGE_TOKENS, RETRY_NOTE_TOKENS, countTokens, promptBudget, truncateText, truncateMessages, fitLines } = require('./lib/prompt-budget');
+const { renderRegion, findRegion, writeRegion } = require('./lib/canvas-region');
+const { CommandDispatcher, parseKeyValueArgs, helpText } = require('./lib/commands');
+const { parseTimeRange, formatTimeRange } = require('./lib/time-range');
+const { fetchHistory } = require('./lib/history');
+const { TaskStore } = require('./lib/task-store');
+const { CanvasHistory, restorableContent, sourceRange } = require('./lib/canvas-history');
+const { ARCHIVE_INDEX_TITLE, archivePeriod, periodDays, renderArchiveIndex } = require('./lib/archive');
+const { parseCatchupArgs, findMentions, renderCatchupBlocks } = require('./lib/catchup');
+const { SearchIndex } = require('./lib/search-index');
+const { SearchStore } = require('./lib/search-store');
+const { parseSearchQuery, renderSearchResults } = require('./lib/search-view');
+const { summaryDocuments, formatSources, linkCitations, renderAnswerBlocks } = require('./lib/answers');
+const { createActivity, recordActivity, lastMessageAt, triggerSettings } = require('./lib/activity');
+const { SettingsService, parseSettingsPatch, applyPatch, describeSettings } = require('./lib/settings');
+const {
+  HOME_ACTIONS,
+  SETTINGS_MODAL_ID,
+  renderHomeView,
+  renderSettingsModal,
+  parseSettingsSubmission
+} = require('./lib/home-view');
+const {
+  isHumanMessage,
+  attachThreadReplies,
+  hydrateThreadParents,
+  fetchThread,
+  countMessages,
+  collectUserIds,
+  formatConversation
+} = require('./lib/threads');
+const {
+  createBuffer,
+  addMessage,
+  editMessage,
+  deleteMessage,
+  toConversation,
+  removeSummarized,
+  conversationTimestamps,
+  conversationSkeleton,
+  trimBuffer,
+  bufferSize,
+  countBuffered
+} = require('./lib/message-buffer');
 require('dotenv').config();
 
 console.log('🚀 Paper Enterprise - Multi-Workspace Canvas Summarizer');
@@ -14,7 +65,7 @@ const requiredEnvVars = {
   SLACK_CLIENT_SECRET: process.env.SLACK_CLIENT_SECRET,
   SLACK_SIGNING_SECRET: process.env.SLACK_SIGNING_SECRET,
   SLACK_APP_TOKEN: process.env.SLACK_APP_TOKEN,
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY
+  ...Object.fromEntries(requiredLLMEnvVars().map(key => [key, process.env[key]]))
 };
 
 for (const [key, value] of Object.entries(requiredEnvVars)) {
@@ -26,21 +77,19 @@ for (const [key, value] of Object.entries(requiredEnvVars)) {
 
 console.log('✅ Environment variables validated');
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// LLM provider layer (OpenAI / compatible / local / mock) with per-workspace model settings
+const llm = new LLMService(createStorageAdapter('llm-settings'));
 
-// Enterprise Installation Store (in-memory for now, easily replaceable with DB)
+// Enterprise Installation Store - backed by a pluggable storage adapter (file by default, memory for tests)
 class EnterpriseInstallationStore {
-  constructor() {
-    this.installations = new Map();
+  constructor(adapter = createStorageAdapter('installations')) {
+    this.adapter = adapter;
   }
 
   async storeInstallation(installation) {
     const teamId = installation.team?.id;
     if (teamId) {
-      this.installations.set(teamId, {
+      await this.adapter.set(teamId, {
         ...installation,
         installedAt: new Date().toISOString()
       });
@@ -51,7 +100,7 @@ class EnterpriseInstallationStore {
 
   async fetchInstallation(query) {
     const teamId = query.teamId || query.enterpriseId;
-    const installation = this.installations.get(teamId);
+    const installation = await this.adapter.get(teamId);
     
     if (installation) {
       console.log(`🔍 Found installation: ${teamId}`);
@@ -59,19 +108,19 @@ class EnterpriseInstallationStore {
     }
     
     console.log(`❌ No installation found: ${teamId}`);
-    console.log(`📋 Available workspaces: ${Array.from(this.installations.keys()).join(', ')}`);
+    console.log(`📋 Available workspaces: ${(await this.adapter.keys()).join(', ')}`);
     return null;
   }
 
   async deleteInstallation(query) {
     const teamId = query.teamId || query.enterpriseId;
-    this.installations.delete(teamId);
+    await this.adapter.delete(teamId);
     console.log(`🗑️ Uninstalled workspace: ${teamId}`);
   }
 
   // Get all installations
-  getAllInstallations() {
-    return Array.from(this.installations.entries()).map(([teamId, installation]) => ({
+  async getAllInstallations() {
+    return (await this.adapter.entries()).map(([teamId, installation]) => ({
       teamId,
       teamName: installation.team?.name || 'Unknown',
       installedAt: installation.installedAt,
@@ -101,7 +150,8 @@ const app = new App({
     'groups:read',
     'groups:history',
     'im:write',
-    'mpim:write'
+    'mpim:write',
+    'commands'
   ],
   installationStore,
   socketMode: true,
@@ -129,125 +179,119 @@ async function getWorkspaceClient(teamId) {
   }
 }
 
-// Canvas formatting (same as before - keeping what works!)
+// Canvas formatting - the model returns structured JSON, lib/canvas-renderer.js turns it into Granola-style markdown
 const GRANOLA_PROMPT = `
 You are creating a conversation summary in Granola-style format, optimized for Slack Canvas display. 
 
-**Canvas Formatting Guidelines:**
-- Use clean, scannable structure with clear headers
-- Include emojis for visual hierarchy
+**Content Guidelines:**
 - Focus on actionable insights and key decisions
-- Use bullet points and numbered lists effectively
-- Include participant context when relevant
+- Include participant context when relevant - who drove decisions or important discussions
 - Highlight outcomes, next steps, and important information
-
-**Format the summary exactly as follows:**
-
-## 🗣️ **Key Participants**
-- **Real Name**: Their key contributions and role in discussion
-- Focus on who drove decisions or important discussions
-
-## 💬 **Main Discussion Points**  
-- **Topic 1**: Key insights and context
-- **Topic 2**: Important discussions and viewpoints
-- Use bullet sub-points for details when needed
-
-## ✅ **Decisions & Agreements**
-- **Decision 1**: What was decided and why
-- **Decision 2**: Any agreements or conclusions reached
-- Include decision owners when mentioned
-
-## 🎯 **Action Items & Next Steps**
-- [ ] **Real Name**: Specific task or responsibility with checkbox for tracking
-- [ ] **Timeline**: Any deadlines or timeframes mentioned with checkbox
-- [ ] **Follow-up**: Required next steps or meetings with interactive checkbox
-
-## 📌 **Key Insights & Resources**
-> Important quotes or standout insights
-- Key insights and takeaways
-- Context that might be valuable later
-
-## 🔍 **Context & Background**
-- Why this conversation happened
-- Any background context that's important
-- Related previous discussions or decisions
-
-**Important**: 
-- Use clickable user mentions <@USER_ID> instead of names
-- Use blockquotes (>) for standout insights or important quotes
+- Capture decision owners, task owners and any deadlines or timeframes mentioned
+- Use "quote" for standout insights or important quotes
 - If the conversation is brief or lacks substantial content, focus on what WAS discussed
 - Always provide value even for short conversations
 - Use clear, professional language
-- Structure for easy scanning and future reference
-
+${SUMMARY_JSON_INSTRUCTIONS}
 Summarize this Slack conversation:
 `;
 
-// Auto-bootstrap function for channels with historical conversations
-async function bootstrapFromHistory(teamId, channelId, client) {
+// Rolling summaries: the previous structured summary is carried forward and updated with new messages
+const INCREMENTAL_PROMPT = `
+**ROLLING UPDATE MODE:**
+You are UPDATING an existing summary, not starting over. The previous summary JSON is provided below and the
+user message contains only the NEW messages since it was written.
+- Keep every earlier participant, topic, decision, action item and insight unless the new messages change it
+- Merge new information into the existing entries instead of appending a second copy
+- If a decision is no longer relevant (reversed, outdated), keep it with "status": "superseded"
+- If an action item is finished use "status": "done"; if it was dropped use "status": "cancelled"
+- Never silently drop an earlier item, and keep its "sources" / "source_ts" as they are
+
+**PREVIOUS SUMMARY:**
+`;
+
+// Long conversations are summarized in parts (map-reduce); these are the instructions for merging them
+const MERGE_PROMPT = `
+**MERGE MODE:**
+The user message holds partial summaries (JSON) of consecutive parts of ONE conversation, oldest first.
+Combine them into a single summary of the whole conversation:
+- Merge entries about the same participant, topic, decision or action item into one, combining their "sources"
+- Keep every decision and action item; when a later part reverses or completes an earlier one, update its
+  "status" ("superseded", "done", "cancelled") instead of listing it twice
+- Copy "sources" / "source_ts" exactly as given - never invent new ones
+- When a section gets long, keep the entries that matter most
+`;
+
+// Auto-bootstrap function for channels with historical conversations ("bootstrap" job).
+// Errors propagate so the job queue can retry; the canvas write is its own job.
+async function bootstrapFromHistory(teamId, channelId) {
+  console.log(`🔄 Bootstrapping from history for ${teamId}/${channelId}`);
+
+  const client = await requireWorkspaceClient(teamId);
+  const summaryOptions = await channelSummaryOptions(teamId, channelId);
+  const { bootstrapLookbackDays, bootstrapMinMessages, welcome } = summaryOptions.settings;
+
+  // Last 30 human messages within the lookback window, paging past bot and system messages if needed
+  const { messages: humanMessages } = await fetchHistory(client, channelId, {
+    filter: isHumanMessage,
+    oldest: ((Date.now() - bootstrapLookbackDays * 24 * 60 * 60 * 1000) / 1000).toFixed(6),
+    maxMessages: Math.max(30, bootstrapMinMessages),
+    maxPages: 5,
+    pageSize: 50
+  });
+  
+  if (humanMessages.length < bootstrapMinMessages) {
+    console.log(`📊 Not enough human messages (${humanMessages.length}, need ${bootstrapMinMessages}) - skipping bootstrap`);
+    return { status: 'too_few' };
+  }
+  
+  console.log(`🚀 Auto-bootstrapping with ${humanMessages.length} historical messages`);
+  
+  const channelData = getChannelData(teamId, channelId);
+  channelData.bootstrapped = true;
+  saveChannelData(teamId, channelId);
+  
+  // Create initial canvas - this becomes the baseline for rolling updates
+  const conversation = await attachThreadReplies(client, channelId, humanMessages);
+  const summaryData = await generateSummary(conversation, client, summaryOptions);
+  if (summaryData.failed) {
+    throw new Error('Bootstrap summary generation failed');
+  }
+
+  const writeJob = await enqueueCanvasWrite(teamId, channelId, summaryData, {
+    conversation,
+    fresh: true,
+    notify: welcome ? 'bootstrap' : null
+  });
+  return { status: 'queued', canvasJobId: writeJob.id };
+}
+
+// Friendly hello after the bootstrap canvas is published. A failed post is only logged - the
+// canvas is already written, and retrying the canvas-write job would write it again.
+async function postBootstrapWelcome(teamId, channelId) {
   try {
-    console.log(`🔄 Bootstrapping from history for ${teamId}/${channelId}`);
-    
-    // Fetch last 50 messages from channel history
-    const result = await client.conversations.history({
-      channel: channelId,
-      limit: 50
-    });
-    
-    if (!result.messages || result.messages.length < 15) {
-      console.log(`📊 Not enough history (${result.messages?.length || 0} messages) - skipping bootstrap`);
-      return;
-    }
-    
-    // Filter out bot messages and system messages
-    const humanMessages = result.messages
-      .filter(msg => !msg.bot_id && !msg.subtype && msg.text && msg.text.trim().length > 0)
-      .reverse() // Put in chronological order
-      .slice(-30); // Take last 30 human messages
-    
-    if (humanMessages.length < 10) {
-      console.log(`📊 Not enough human messages (${humanMessages.length}) - skipping bootstrap`);
-      return;
-    }
-    
-    console.log(`🚀 Auto-bootstrapping with ${humanMessages.length} historical messages`);
-    
-    // Store messages in channel data
-    const channelData = getChannelData(teamId, channelId);
-    channelData.messages = humanMessages.map(msg => ({
-      user: msg.user,
-      text: msg.text,
-      timestamp: msg.ts
-    }));
-    
-    // Create initial canvas
-    const summaryData = await generateSummary(humanMessages, client);
-    await updateCanvas(teamId, channelId, summaryData);
-    
-    // Send a friendly notification
+    const client = await requireWorkspaceClient(teamId);
     await client.chat.postMessage({
       channel: channelId,
       text: `👋 Hi everyone! I noticed you've been having some great conversations here.\n\nI've created a canvas summary of your recent discussion to help keep track of key insights and decisions. I'll continue updating it as you chat!\n\n_Feel free to mention me anytime for manual summaries or questions._`
     });
-    
-    console.log(`✅ Successfully bootstrapped ${teamId}/${channelId} with historical canvas`);
-    
   } catch (error) {
-    console.error(`❌ Bootstrap error for ${teamId}/${channelId}:`, error.message);
+    console.error(`❌ Could not post the bootstrap welcome for ${teamId}/${channelId}:`, error.data?.error || error.message);
   }
+  console.log(`✅ Successfully bootstrapped ${teamId}/${channelId} with historical canvas`);
 }
 
-// Get user names for better formatting
-async function getUserNames(userIds, client) {
+// Get user names for better formatting; the timezone is the first participant's (or the default)
+async function getUserNames(userIds, client, defaultTimezone = settingsService.defaults.timezone) {
   const userNames = {};
-  let userTimezone = 'America/New_York';
+  let userTimezone = null;
   
   for (const userId of [...new Set(userIds)]) {
     try {
       const userInfo = await client.users.info({ user: userId });
       userNames[userId] = userInfo.user.real_name || userInfo.user.display_name || userInfo.user.name;
       
-      if (userInfo.user.tz && userTimezone === 'America/New_York') {
+      if (userInfo.user.tz && !userTimezone) {
         userTimezone = userInfo.user.tz;
       }
     } catch (error) {
@@ -256,57 +300,255 @@ async function getUserNames(userIds, client) {
     }
   }
   
-  return { userNames, userTimezone };
+  return { userNames, userTimezone: userTimezone || defaultTimezone };
+}
+
+// Summary style and language instructions from the channel's settings
+const TEMPLATE_PROMPTS = {
+  granola: '',
+  brief: '- Keep it brief: at most 3 topics with 1-2 details each, and only the decisions, action items and insights that matter most',
+  detailed: '- Be thorough: cover every topic with all notable viewpoints, and give the rationale for each decision'
+};
+
+// Questions about a channel ("@Paper what did we decide about pricing?") - answered from retrieved sources only
+const QA_PROMPT = `
+You answer questions about a Slack channel using ONLY the numbered sources provided: past messages and items
+from the channel's canvas summaries.
+- Back every statement with the number of the source it comes from in square brackets, like [2] or [1, 4]
+- When sources disagree, go with the most recent one and mention that it changed
+- If the sources don't answer the question, say you couldn't find it in the channel history - never guess
+- Keep it short: a few sentences or a short bullet list, using Slack formatting (*bold*, • bullets)
+`;
+
+// Catch-up recaps: the same summary JSON, written for one person who was away
+function personalPrompt(userId, userName) {
+  return `
+**PERSONAL CATCH-UP MODE:**
+This summary is for ${userName} (${userId}), who was away while these messages were posted and needs to know what changed.
+- Put anything that asks ${userName} to do something, or is assigned to them, in "action_items" with "owner_id": "${userId}"
+- Order "topics" so discussions that mention or affect ${userName} come first
+- Keep every decision made in this period - these are what they most need to hear about
+- Leave out small talk and anything already resolved that doesn't affect them`;
+}
+
+function stylePrompt({ template, language }) {
+  const lines = [TEMPLATE_PROMPTS[template] || ''];
+  if (language && language.toLowerCase() !== 'english') {
+    lines.push(`- Write every summary text in ${language}; keep JSON keys and status values in English`);
+  }
+  return lines.filter(Boolean).join('\n');
+}
+
+// Message permalinks for summary citations. They never change, so they're cached across summaries
+// (rolling updates cite the same messages again); lookups that fail are simply left out.
+const MAX_CACHED_PERMALINKS = 5000;
+const permalinkCache = new Map(); // "channelId:ts" -> url
+
+async function getPermalinks(client, channelId, timestamps) {
+  const permalinks = {};
+  for (const ts of timestamps) {
+    const key = `${channelId}:${ts}`;
+    if (!permalinkCache.has(key)) {
+      const result = await client.chat.getPermalink({ channel: channelId, message_ts: ts }).catch(() => null);
+      if (!result?.permalink) continue;
+      if (permalinkCache.size >= MAX_CACHED_PERMALINKS) {
+        permalinkCache.delete(permalinkCache.keys().next().value);
+      }
+      permalinkCache.set(key, result.permalink);
+    }
+    permalinks[ts] = permalinkCache.get(key);
+  }
+  return permalinks;
+}
+
+// Ask the model for a structured summary, retrying once with the validation errors
+async function requestStructuredSummary(teamId, systemPrompt, conversationText) {
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: conversationText }
+  ];
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const reply = await llm.complete(teamId, { messages, json: true });
+    const { summary, errors } = parseSummaryJSON(reply);
+
+    if (summary) {
+      if (errors.length > 0) {
+        console.log(`⚠️ Summary JSON repaired: ${errors.join('; ')}`);
+      }
+      return summary;
+    }
+
+    console.log(`⚠️ Invalid summary JSON (attempt ${attempt}): ${errors.join('; ')}`);
+    // The failed reply isn't sent back - it could push the prompt past the window. The retry
+    // only adds a short note, which the input budget keeps room for.
+    messages.splice(2, 1, {
+      role: "user",
+      content: truncateText(`Your previous reply was not valid: ${errors.join('; ')}. Respond again with ONLY the JSON object.`, RETRY_NOTE_TOKENS)
+    });
+  }
+
+  throw new Error('Model did not return a valid summary JSON');
 }
 
-// Generate AI summary
-async function generateSummary(messages, client) {
+// Prompt space (shares of the model's input budget, see lib/prompt-budget.js)
+const USER_MAPPING_SHARE = 0.05;
+const PREVIOUS_SUMMARY_SHARE = 0.25; // beyond this the previous summary is sent as compact JSON
+const MIN_PART_TOKENS = 1000; // smallest conversation part worth a request
+
+// Generate AI summary (rolling when a previous summary is passed in). The prompt is sized to the
+// model's context window; conversations that don't fit are summarized part by part and merged
+// (strategy says which was used).
+// settings: the channel's effective settings (template, language, timezone);
+// timeZone: a configured timezone that wins over the participants'
+async function generateSummary(messages, client, options = {}) {
+  const {
+    teamId = null,
+    settings = settingsService.defaults,
+    timeZone = null,
+    previousStructured = null,
+    previousMessageCount = 0,
+    channelId = null,
+    range = null,
+    personalFor = null, // user ID - a catch-up recap for that person instead of a channel summary
+    citations = true // resolve source permalinks for the canvas (needs channelId)
+  } = options;
+  
   try {
-    console.log(`📝 Generating summary from ${messages.length} messages`);
+    const messageCount = countMessages(messages);
+    console.log(`📝 Generating ${previousStructured ? 'incremental' : 'fresh'} summary from ${messageCount} messages`);
     
-    const userIds = messages.map(msg => msg.user);
-    const { userNames, userTimezone } = await getUserNames(userIds, client);
+    const userIds = [...(personalFor ? [personalFor] : []), ...collectUserIds(messages)];
+    const { userNames, userTimezone } = await getUserNames(userIds, client, settings.timezone);
     
-    const conversationText = messages.map(msg => 
-      `${userNames[msg.user] || msg.user}: ${msg.text}`
-    ).join('\n');
+    // Everything below is sized in tokens to the model's context window, minus max_tokens for the reply
+    const llmSettings = await llm.getSettings(teamId);
+    const budget = promptBudget(llmSettings);
+
+    // One pasted log can't crowd out the rest of the conversation
+    const { messages: fitted, truncated } = truncateMessages(messages, Math.min(MAX_MESSAGE_TOKENS, Math.floor(budget.input / 4)));
+    if (truncated > 0) {
+      console.log(`✂️ Truncated ${truncated} oversized message(s) for the prompt`);
+    }
+    const format = (part) => formatConversation(part, userNames, { timestamps: true });
 
-    const enhancedPrompt = GRANOLA_PROMPT + `
+    // The user mapping gets a bounded share, most active people first (names are in the messages anyway)
+    const activity = userIds.reduce((counts, id) => counts.set(id, (counts.get(id) || 0) + 1), new Map());
+    const mapping = fitLines(
+      Object.keys(userNames)
+        .sort((a, b) => (b === personalFor) - (a === personalFor) || activity.get(b) - activity.get(a))
+        .map(id => `${id} = ${userNames[id]}`),
+      Math.floor(budget.input * USER_MAPPING_SHARE)
+    );
+
+    const summaryPrompt = (context) => GRANOLA_PROMPT + `
 
 **USER MAPPING FOR NAMES:**
-${Object.entries(userNames).map(([id, name]) => `${id} = ${name} → use **${name}**`).join('\n')}
+${mapping.lines.join('\n')}${mapping.omitted > 0 ? `\n(${mapping.omitted} more people - use the names shown in the messages)` : ''}
 
 **CONVERSATION CONTEXT:**
-- Complete conversation with ${messages.length} messages
-- Focus on key decisions, action items, and insights`;
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        { role: "system", content: enhancedPrompt },
-        { role: "user", content: conversationText }
-      ],
-      max_tokens: 1500,
-      temperature: 0.3
-    });
+- ${context}
+- Lines starting with "↳ [thread reply]" are replies in a thread under the message above - treat each
+  thread as one focused discussion and attribute its outcome to that topic
+- Focus on key decisions, action items, and insights
+${stylePrompt(settings)}${personalFor ? `\n${personalPrompt(personalFor, userNames[personalFor])}` : ''}`;
+
+    // The previous summary is carried as context; compact JSON when the indented form takes too much room
+    const previousJSON = previousStructured && JSON.stringify(previousStructured, null, 2);
+    let singlePrompt = summaryPrompt(previousStructured
+      ? `${messageCount} new messages since the previous summary (${previousMessageCount} summarized before)`
+      : `Complete conversation with ${messageCount} messages`);
+    if (previousStructured) {
+      const compact = countTokens(previousJSON) > budget.input * PREVIOUS_SUMMARY_SHARE;
+      singlePrompt += `\n${INCREMENTAL_PROMPT}${compact ? JSON.stringify(previousStructured) : previousJSON}`;
+    }
+
+    // One prompt when the conversation fits next to the instructions, otherwise parts sized to the window
+    const conversationText = format(fitted);
+    const fitsOnce = countTokens(singlePrompt) + countTokens(conversationText) <= budget.input;
+    const partPrompt = (index, total, count) => summaryPrompt(
+      `Part ${index} of ${total} of a ${messageCount} message conversation (${count} messages) - summarize only this part; the parts are merged afterwards`
+    );
+    const chunkBudget = budget.input - countTokens(partPrompt(999, 999, messageCount));
+    if (!fitsOnce && chunkBudget < MIN_PART_TOKENS) {
+      throw new Error(`Only ${chunkBudget} tokens left for each part in a ${budget.contextWindow} token context window - raise context_window or lower max_tokens`);
+    }
+    const chunks = fitsOnce ? [fitted] : chunkConversation(fitted, format, chunkBudget);
+    const strategy = chunks.length > 1 ? 'map-reduce' : 'single';
+
+    let reply;
+    let rounds = 0;
+
+    if (strategy === 'single') {
+      reply = await requestStructuredSummary(teamId, singlePrompt, conversationText);
+    } else {
+      // Map: each part on its own. Reduce: merge the part summaries (and the previous summary) into one
+      console.log(`🧩 Long conversation - summarizing ${messageCount} messages in ${chunks.length} parts (${budget.input} token prompt budget)`);
+      const partials = [];
+      for (const [index, chunk] of chunks.entries()) {
+        partials.push(await requestStructuredSummary(teamId, partPrompt(index + 1, chunks.length, countMessages(chunk)), format(chunk)));
+      }
+
+      const parts = previousStructured ? [previousStructured, ...partials] : partials;
+      const mergePrompt = summaryPrompt(previousStructured
+        ? `The first part is the previous summary (${previousMessageCount} messages); the rest cover ${messageCount} new messages`
+        : `The parts cover a conversation of ${messageCount} messages`) + `\n${MERGE_PROMPT}`;
+      const merged = await reduceHierarchically(parts, {
+        measure: part => countTokens(JSON.stringify(part)) + 5,
+        budget: budget.input - countTokens(mergePrompt),
+        merge: group => requestStructuredSummary(teamId, mergePrompt,
+          group.map((part, index) => `PART ${index + 1}:\n${JSON.stringify(part)}`).join('\n\n'))
+      });
+      reply = merged.result;
+      rounds = merged.rounds;
+    }
+
+    // Sources must be messages the model was shown (or ones already checked for the previous summary)
+    const knownTs = new Set([...conversationTimestamps(messages), ...citedTimestamps(previousStructured)]);
+    const { summary: sourced, invalid, unsourced } = validateSources(reply, knownTs);
+    // Only people in the conversation become <@USER_ID> mentions in the canvas
+    const structured = {
+      ...sourced,
+      participants: sourced.participants
+        .map(p => (userNames[p.user_id] ? p : { ...p, user_id: null }))
+        .filter(p => p.name || p.user_id),
+      action_items: sourced.action_items.map(a => (!a.owner_id || userNames[a.owner_id] ? a : { ...a, owner_id: null }))
+    };
+    if (invalid > 0 || unsourced > 0) {
+      console.log(`⚠️ Summary sources: dropped ${invalid} unknown reference(s), ${unsourced} item(s) without a source`);
+    }
+    const permalinks = citations && channelId
+      ? await getPermalinks(client, channelId, citedTimestamps(structured))
+      : null;
 
     return {
-      summary: response.choices[0].message.content,
-      userTimezone,
-      messageCount: messages.length
+      summary: renderSummaryMarkdown(structured),
+      structured,
+      permalinks,
+      model: llmSettings.model,
+      userTimezone: timeZone || userTimezone,
+      messageCount: previousMessageCount + messageCount,
+      newMessageCount: messageCount,
+      strategy: { name: strategy, chunks: chunks.length, rounds },
+      incremental: !!previousStructured,
+      range // requested time window, stated in the canvas footer
     };
   } catch (error) {
     console.error('❌ Error generating summary:', error.message);
     return {
       summary: "❌ Error generating summary. Please try again later.",
-      userTimezone: 'America/New_York',
-      messageCount: messages.length
+      structured: null,
+      userTimezone: timeZone || settings.timezone,
+      messageCount: previousMessageCount + countMessages(messages),
+      newMessageCount: countMessages(messages),
+      incremental: !!previousStructured,
+      failed: true
     };
   }
 }
 
 // Create Canvas content
-function createCanvasContent(summaryData, userTimezone = 'America/New_York') {
+function createCanvasContent(summaryData, userTimezone = settingsService.defaults.timezone) {
   const now = new Date();
   const timeString = now.toLocaleString('en-US', {
     timeZone: userTimezone,
@@ -319,57 +561,181 @@ function createCanvasContent(summaryData, userTimezone = 'America/New_York') {
     timeZoneName: 'short'
   });
 
-  return summaryData.summary + `\n\n---
+  const parts = summaryData.strategy?.name === 'map-reduce' ? ` in ${summaryData.strategy.chunks} parts` : '';
+  const messageStats = summaryData.incremental
+    ? `📊 Summarized ${summaryData.messageCount} messages (${summaryData.newMessageCount} new in this update${parts})`
+    : `📊 Summarized ${summaryData.messageCount} messages${parts}`;
+
+  const window = summaryData.range ? `\n*🗓️ Covers ${formatTimeRange(summaryData.range)}*` : '';
+
+  // Summaries with resolved sources get a link back to the messages behind each bullet
+  const body = summaryData.structured && summaryData.permalinks
+    ? renderSummaryMarkdown(summaryData.structured, { permalinks: summaryData.permalinks })
+    : summaryData.summary;
+
+  return body + `\n\n---
 
 *✨ Auto-generated by Paper • ${timeString}*
-*📊 Summarized ${summaryData.messageCount} messages*`;
+*${messageStats}*${window}`;
 }
 
 // Generate Canvas title
-async function generateCanvasTitle(summaryData) {
+async function generateCanvasTitle(summaryData, teamId = null) {
   try {
     const titlePrompt = `Based on this conversation summary, generate a SHORT title (max 6 words) that captures the main topic. Return ONLY the title:
 
 ${summaryData.summary.substring(0, 500)}...`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
+    const title = await llm.complete(teamId, {
       messages: [{ role: "user", content: titlePrompt }],
-      max_tokens: 50,
-      temperature: 0.3
+      maxTokens: 50
     });
 
-    return response.choices[0].message.content.trim().replace(/^["']|["']$/g, '');
+    return title.trim().replace(/^["']|["']$/g, '');
   } catch (error) {
     console.error('❌ Error generating title:', error.message);
     return "Conversation Summary";
   }
 }
 
-// Workspace data storage with concurrency protection
-const workspaceData = new Map(); // teamId -> { channels: Map(channelId -> data) }
+// Channel state (persisted across restarts) with concurrency protection
+const channelState = new ChannelStateRepository(createStorageAdapter('channel-state'), {
+  defaults: () => ({
+    messages: {}, // buffered messages keyed by ts (see lib/message-buffer.js)
+    canvasId: null,
+    canvasType: null, // 'channel' (the channel's canvas tab) or 'standalone' (the channel already had a canvas)
+    canvasShared: null, // false while a new standalone canvas still has to be shared with the channel
+    canvasLayout: null, // 'region' once Paper only edits its own section; null = older whole-document canvas
+    archives: [], // dated archive canvases, oldest first: [{ period, title, canvasId, createdAt }]
+    lastUpdate: Date.now(),
+    summary: null, // last published summary markdown
+    structuredSummary: null, // last published structured summary - baseline for rolling updates
+    summarizedMessageCount: 0,
+    summarizedTs: [], // ts of messages behind the published summary - deleting one triggers a re-summary
+    bootstrapped: false,
+    searchBackfilled: false, // channel history added to the search index (first question asked)
+    paused: false, // set by "/paper pause" - no buffering or automatic summaries
+    activity: createActivity(), // recent message arrival times - trigger thresholds adapt to the channel's pace
+    settings: {} // channel-level overrides, layered over workspace and global settings (lib/settings.js)
+  })
+});
+
+// Workspace-level setting overrides; global defaults come from PAPER_* environment variables
+const settingsService = new SettingsService(createStorageAdapter('workspace-settings'));
 const processingLocks = new Map(); // channelId -> Promise (prevents race conditions)
 
-function getWorkspaceData(teamId) {
-  if (!workspaceData.has(teamId)) {
-    workspaceData.set(teamId, { channels: new Map() });
-    console.log(`🏢 Initialized workspace data for team: ${teamId}`);
-  }
-  return workspaceData.get(teamId);
+// Summary, bootstrap and canvas-write work runs through a persistent queue, one job per channel at a time
+const jobQueue = new JobQueue(createStorageAdapter('jobs'));
+
+// Action items from published summaries, tracked per workspace (owner DMs, reminders, /paper tasks)
+const taskStore = new TaskStore(createStorageAdapter('tasks'));
+const canvasHistory = new CanvasHistory(createStorageAdapter('canvas-history'));
+const searchStore = new SearchStore(); // per-workspace full-text index (data/search-<teamId>.json)
+const threadSummaries = createStorageAdapter('thread-summaries'); // posted thread summary -> { summaryData, canvasId }
+
+function channelJobKey(teamId, channelId) {
+  return `${teamId}/${channelId}`;
 }
 
 function getChannelData(teamId, channelId) {
-  const workspace = getWorkspaceData(teamId);
-  if (!workspace.channels.has(channelId)) {
-    workspace.channels.set(channelId, {
-      messages: [],
-      canvasId: null,
-      lastUpdate: Date.now(),
-      processing: false
-    });
-    console.log(`📺 Initialized channel data: ${teamId}/${channelId}`);
+  const channelData = channelState.get(teamId, channelId);
+  if (Array.isArray(channelData.messages)) {
+    channelData.messages = createBuffer(channelData.messages); // state saved before the buffer was keyed by ts
+  }
+  return channelData;
+}
+
+function saveChannelData(teamId, channelId) {
+  channelState.save(teamId, channelId);
+}
+
+// Effective settings for a channel: { settings, sources } (global → workspace → channel)
+function resolveChannelSettings(teamId, channelId) {
+  return settingsService.resolve(teamId, getChannelData(teamId, channelId).settings);
+}
+
+// generateSummary() options for a channel. A timezone is only forced when a workspace or
+// channel configured one; otherwise the canvas uses the first participant's.
+async function channelSummaryOptions(teamId, channelId) {
+  const { settings, sources } = await resolveChannelSettings(teamId, channelId);
+  return { teamId, channelId, settings, timeZone: sources.timezone === 'global' ? null : settings.timezone };
+}
+
+// Message / wait / lull thresholds (ms) for the channel's settings and current pace
+function channelTriggers(channelData, settings) {
+  return triggerSettings(channelData.activity, {
+    messageThreshold: settings.messageThreshold,
+    maxWait: settings.maxWait * 60 * 1000,
+    lullPeriod: settings.lullPeriod * 1000
+  }, { adaptive: settings.adaptive });
+}
+
+const MAX_SUMMARIZED_TS = 2000; // most recent summarized messages remembered for deletions
+
+// After a summary is published: remember which messages it covers and drop them from the buffer.
+// covered: conversationSkeleton() of the summarized messages; sourceTs: their timestamps.
+// fresh: the summary was rebuilt from scratch (manual, bootstrap), not rolled forward
+function recordSummarized(teamId, channelId, { covered, sourceTs }, { fresh = false } = {}) {
+  const channelData = getChannelData(teamId, channelId);
+  const before = countBuffered(channelData.messages);
+  removeSummarized(channelData.messages, covered);
+  const dropped = before - countBuffered(channelData.messages);
+
+  channelData.summarizedTs = [
+    ...(fresh ? [] : channelData.summarizedTs || []),
+    ...sourceTs
+  ].slice(-MAX_SUMMARIZED_TS);
+
+  if (dropped > 0) {
+    console.log(`🧹 Dropped ${dropped} already-summarized messages for ${teamId}/${channelId}`);
+  }
+  saveChannelData(teamId, channelId);
+}
+
+// Rebuild the canvas from channel history after a summarized message was deleted - the whole
+// stretch the published summary covers, not just the latest messages, so no older content is lost.
+// Deduped, so a burst of deletions collapses into one re-summary.
+function scheduleResummary(teamId, channelId) {
+  console.log(`🗑️ Re-summarizing ${teamId}/${channelId} without deleted messages`);
+  return jobQueue.enqueue('summary', { teamId, channelId, mode: 'resummary' }, {
+    key: channelJobKey(teamId, channelId),
+    delay: 30 * 1000,
+    dedupe: 'resummary'
+  });
+}
+
+// message_changed / message_deleted: keep the buffer in sync with what's actually in the channel
+function handleMessageChange(teamId, channelId, message) {
+  const channelData = getChannelData(teamId, channelId);
+
+  if (message.subtype === 'message_changed') {
+    const edited = message.message || {};
+    if (edited.bot_id || edited.text === message.previous_message?.text) return; // reply counts etc.
+    if (editMessage(channelData.messages, edited.ts, edited.text, edited.thread_ts)) {
+      console.log(`✏️ Updated edited message ${edited.ts} in ${teamId}/${channelId}`);
+      saveChannelData(teamId, channelId);
+    }
+    if (!channelData.paused) {
+      searchStore.addMessage(teamId, channelId, { user: edited.user, text: edited.text, timestamp: edited.ts, thread_ts: edited.thread_ts })
+        .catch(error => console.error(`❌ Search index error for ${teamId}/${channelId}:`, error.message));
+    }
+    return;
+  }
+
+  const deletedTs = message.deleted_ts;
+  searchStore.removeMessage(teamId, channelId, deletedTs)
+    .catch(error => console.error(`❌ Search index error for ${teamId}/${channelId}:`, error.message));
+  if (deleteMessage(channelData.messages, deletedTs, message.previous_message?.thread_ts)) {
+    console.log(`🗑️ Removed deleted message ${deletedTs} from ${teamId}/${channelId}`);
+    saveChannelData(teamId, channelId);
+  }
+
+  if ((channelData.summarizedTs || []).includes(deletedTs)) {
+    console.log(`🗑️ Deleted message ${deletedTs} is in the published summary for ${teamId}/${channelId}`);
+    channelData.summarizedTs = channelData.summarizedTs.filter(ts => ts !== deletedTs);
+    saveChannelData(teamId, channelId);
+    scheduleResummary(teamId, channelId);
   }
-  return workspace.channels.get(channelId);
 }
 
 // Check if canvas already exists for this channel
@@ -386,11 +752,6 @@ async function getExistingCanvasId(teamId, channelId) {
     if (channelInfo.channel.properties?.canvas?.document_id) {
       const existingCanvasId = channelInfo.channel.properties.canvas.document_id;
       console.log(`📄 Found existing canvas: ${existingCanvasId} for ${teamId}/${channelId}`);
-      
-      // Update our local cache
-      const channelData = getChannelData(teamId, channelId);
-      channelData.canvasId = existingCanvasId;
-      
       return existingCanvasId;
     }
     
@@ -401,14 +762,74 @@ async function getExistingCanvasId(teamId, channelId) {
   }
 }
 
+// New channel canvas (the channel's canvas tab) with Paper's section. Falls back to a standalone
+// canvas when Slack reports the channel already has one. onCreated(created) persists the canvas
+// as soon as it exists, so a retry after a later failure doesn't create another one.
+async function createChannelCanvas(client, channelId, title, content, onCreated) {
+  let response;
+  try {
+    response = await client.apiCall('conversations.canvases.create', {
+      channel_id: channelId,
+      title,
+      document_content: { type: 'markdown', markdown: renderRegion(content) }
+    });
+  } catch (error) {
+    if (error.data?.error !== 'channel_canvas_already_exists') throw error;
+    console.log(`🙅 ${channelId} already has a channel canvas - creating a separate one`);
+    return createStandaloneCanvas(client, channelId, title, content, onCreated);
+  }
+  const created = { canvasId: response.canvas_id, canvasType: 'channel', canvasShared: true };
+  await onCreated(created);
+  return created;
+}
+
+// Paper's own canvas for a channel whose canvas tab belongs to the team: shared read-only
+// with the channel and announced once
+async function createStandaloneCanvas(client, channelId, title, content, onCreated) {
+  const response = await client.apiCall('canvases.create', {
+    title: `📄 ${title}`,
+    document_content: { type: 'markdown', markdown: renderRegion(content) }
+  });
+  const created = { canvasId: response.canvas_id, canvasType: 'standalone', canvasShared: false };
+  await onCreated(created);
+
+  await shareStandaloneCanvas(client, channelId, created.canvasId, title);
+  return { ...created, canvasShared: true };
+}
+
+// Share a standalone canvas with its channel and announce it. Also finishes the job for a
+// canvas whose first write failed after it was created.
+async function shareStandaloneCanvas(client, channelId, canvasId, title = null) {
+  await client.apiCall('canvases.access.set', {
+    canvas_id: canvasId,
+    access_level: 'read',
+    channel_ids: [channelId]
+  });
+
+  await client.chat.postMessage({
+    channel: channelId,
+    text: `📄 This channel already has a canvas, so I'll leave it to you and keep my summary in a separate one: <https://slack.com/canvas/${canvasId}|${title || 'Paper summary'}>`
+  });
+}
+
 // Create or update Canvas with race condition protection
-async function updateCanvas(teamId, channelId, summaryData) {
+// Returns true once the summary is published; it then becomes the baseline for the next rolling update
+// and is recorded as a canvas version. content: markdown to publish as-is (rollbacks);
+// source: message range the summary covers; kind: rolling | fresh | bootstrap | rollback
+async function updateCanvas(teamId, channelId, summaryData, { content = null, source = null, kind = 'rolling', restoredFrom = null } = {}) {
   const lockKey = `${teamId}/${channelId}`;
+  let published = false;
   
   // Prevent concurrent canvas operations for same channel
   if (processingLocks.has(lockKey)) {
     console.log(`⏳ Canvas operation already in progress for ${lockKey}, skipping`);
-    return;
+    return published;
+  }
+  
+  // Never overwrite a canvas with a failed summary
+  if (summaryData.failed) {
+    console.log(`⚠️ Skipping canvas update for ${lockKey} - summary generation failed`);
+    return published;
   }
   
   try {
@@ -421,213 +842,1463 @@ async function updateCanvas(teamId, channelId, summaryData) {
       }
 
       const channelData = getChannelData(teamId, channelId);
+      const canvasContent = content || createCanvasContent(summaryData, summaryData.userTimezone);
+      const { settings } = await resolveChannelSettings(teamId, channelId);
+      let region = canvasContent; // Paper's whole section once this is published - what a rollback restores
+      let humanCanvasId = null;
       
-      // Check if canvas already exists (both locally and in Slack)
+      // A channel canvas we don't know about is only reused if it has Paper's section -
+      // otherwise the team made it and it stays theirs
       if (!channelData.canvasId) {
-        channelData.canvasId = await getExistingCanvasId(teamId, channelId);
+        const existingCanvasId = await getExistingCanvasId(teamId, channelId);
+        if (existingCanvasId && await findRegion(client, existingCanvasId)) {
+          console.log(`📄 Existing canvas ${existingCanvasId} has Paper's section - reusing it`);
+          Object.assign(channelData, { canvasId: existingCanvasId, canvasType: 'channel', canvasLayout: 'region' });
+        } else {
+          humanCanvasId = existingCanvasId;
+        }
       }
 
-      const canvasContent = createCanvasContent(summaryData);
-      const canvasTitle = await generateCanvasTitle(summaryData);
-
       if (!channelData.canvasId) {
-        // Create new Canvas
-        console.log(`🎨 Creating NEW Canvas for ${teamId}/${channelId}`);
-        
-        const response = await client.apiCall('conversations.canvases.create', {
-          channel_id: channelId,
-          title: canvasTitle,
-          document_content: {
-            type: 'markdown',
-            markdown: canvasContent
-          }
-        });
-
-        if (response.ok) {
-          channelData.canvasId = response.canvas_id;
-          console.log(`✅ Canvas created successfully: ${response.canvas_id}`);
-        } else {
-          console.error(`❌ Failed to create canvas:`, response.error);
-        }
+        console.log(`🎨 Creating NEW Canvas for ${teamId}/${channelId}${humanCanvasId ? ` (channel canvas ${humanCanvasId} belongs to the team)` : ''}`);
+        const canvasTitle = await generateCanvasTitle(summaryData, teamId);
+        const persistCanvas = async (created) => {
+          Object.assign(channelData, { ...created, canvasLayout: 'region' });
+          saveChannelData(teamId, channelId);
+          await channelState.flush();
+        };
+        const created = humanCanvasId
+          ? await createStandaloneCanvas(client, channelId, canvasTitle, canvasContent, persistCanvas)
+          : await createChannelCanvas(client, channelId, canvasTitle, canvasContent, persistCanvas);
+
+        channelData.canvasShared = true;
+        published = true;
+        console.log(`✅ Canvas created successfully: ${created.canvasId} (${created.canvasType})`);
       } else {
-        // Update existing Canvas
-        console.log(`📝 Updating EXISTING Canvas: ${channelData.canvasId} for ${teamId}/${channelId}`);
-        
-        const response = await client.apiCall('canvases.edit', {
-          canvas_id: channelData.canvasId,
-          changes: [{
-            operation: 'replace',
-            document_content: {
-              type: 'markdown',
-              markdown: canvasContent
-            }
-          }]
+        if (channelData.canvasShared === false) {
+          await shareStandaloneCanvas(client, channelId, channelData.canvasId);
+          channelData.canvasShared = true;
+        }
+        // Only Paper's section is rewritten (or, in append mode, extended); the rest of the canvas is left alone.
+        // A rollback always replaces the section with the restored version.
+        const previous = await canvasHistory.latest(teamId, channelId);
+        const operation = await writeRegion(client, channelData.canvasId, canvasContent, {
+          mode: kind === 'rollback' ? 'replace' : settings.canvasMode,
+          legacy: channelData.canvasLayout !== 'region'
         });
-        
-        if (response.ok) {
-          console.log(`✅ Canvas updated successfully: ${channelData.canvasId}`);
-        } else {
-          console.error(`❌ Failed to update canvas:`, response.error);
+        if (operation === 'insert_after') {
+          // Appended below the heading, ahead of the earlier updates
+          region = typeof previous?.region === 'string' ? `---\n\n${canvasContent}\n\n${previous.region}` : null;
         }
+        channelData.canvasLayout = 'region';
+        published = true;
+        console.log(`✅ Canvas updated successfully: ${channelData.canvasId} (${operation})`);
       }
 
+      if (published) {
+        channelData.summary = summaryData.summary;
+        channelData.structuredSummary = summaryData.structured;
+        channelData.summarizedMessageCount = summaryData.messageCount;
+
+        const version = await canvasHistory.record(teamId, channelId, {
+          content: canvasContent,
+          region,
+          summary: summaryData.summary,
+          structured: summaryData.structured,
+          messageCount: summaryData.messageCount,
+          userTimezone: summaryData.userTimezone,
+          model: summaryData.model || null,
+          source,
+          kind,
+          restoredFrom
+        });
+        console.log(`🗂️ Saved canvas version #${version.number} (${kind}) for ${teamId}/${channelId}`);
+
+        const publishedTs = (version.createdAt / 1000).toFixed(6);
+        await searchStore.replaceSummary(teamId, channelId,
+          summaryDocuments(summaryData.structured, { canvasId: channelData.canvasId, version: version.number })
+            .map(doc => ({ ...doc, ts: publishedTs })));
+      }
       channelData.lastUpdate = Date.now();
+      saveChannelData(teamId, channelId);
     })();
     
     processingLocks.set(lockKey, lockPromise);
     await lockPromise;
     
   } catch (error) {
-    console.error(`❌ Canvas error for ${teamId}/${channelId}:`, error.message);
+    console.error(`❌ Canvas error for ${teamId}/${channelId}:`, error.data?.error || error.message);
+    throw error; // canvas-write jobs retry with backoff
   } finally {
     // Always clear the lock
     processingLocks.delete(lockKey);
   }
+  
+  return published;
 }
 
-// Process messages and create summary with concurrency protection
+// Roll buffered messages into the published summary ("summary" job, rolling mode).
+// The job queue runs one job per channel at a time, so no processing flag is needed.
 async function processMessages(teamId, channelId) {
-  const lockKey = `${teamId}/${channelId}`;
+  const channelData = getChannelData(teamId, channelId);
+  const summaryOptions = await channelSummaryOptions(teamId, channelId);
+  const { minMessages, canvasMode } = summaryOptions.settings;
   
-  try {
-    const channelData = getChannelData(teamId, channelId);
-    
-    // Prevent concurrent processing
-    if (channelData.processing) {
-      console.log(`⏳ Already processing messages for ${teamId}/${channelId}, skipping`);
-      return;
-    }
-    
-    if (channelData.messages.length < 3) {
-      console.log(`📝 Channel ${channelId} has only ${channelData.messages.length} messages, need at least 3`);
-      return;
-    }
-
-    // Set processing flag
-    channelData.processing = true;
-    console.log(`📊 Processing ${channelData.messages.length} messages for ${teamId}/${channelId}`);
-    
-    const client = await getWorkspaceClient(teamId);
-    if (!client) {
-      console.error(`❌ No client available for team: ${teamId}`);
-      return;
-    }
-
-    // Create a copy of messages to process
-    const messagesToProcess = [...channelData.messages];
-    
-    const summaryData = await generateSummary(messagesToProcess, client);
-    await updateCanvas(teamId, channelId, summaryData);
-
-    // Clear processed messages only if no new ones arrived during processing
-    if (channelData.messages.length === messagesToProcess.length) {
-      channelData.messages = [];
-      console.log(`🧹 Cleared ${messagesToProcess.length} processed messages for ${teamId}/${channelId}`);
-    } else {
-      // Keep newer messages that arrived during processing
-      channelData.messages = channelData.messages.slice(messagesToProcess.length);
-      console.log(`🔄 Kept ${channelData.messages.length} new messages that arrived during processing`);
-    }
-    
-  } catch (error) {
-    console.error(`❌ Error processing messages for ${teamId}/${channelId}:`, error.message);
-  } finally {
-    // Always clear processing flag
-    const channelData = getChannelData(teamId, channelId);
-    channelData.processing = false;
+  const bufferedCount = countBuffered(channelData.messages);
+  if (bufferedCount < minMessages) {
+    console.log(`📝 Channel ${channelId} has only ${bufferedCount} messages, need at least ${minMessages}`);
+    return { status: 'too_few', messageCount: bufferedCount };
   }
-}
 
-// Extract team ID from context - enhanced for all event types
-function getTeamId(context, event = null) {
-  // Priority order: context first, then event, then nested properties
-  const candidates = [
-    context?.teamId,
-    context?.team_id, 
-    context?.team,
-    event?.team_id,
-    event?.team,
-    context?.body?.team_id,
-    context?.payload?.team_id,
-    context?.envelope?.team_id
-  ];
-  
-  const teamId = candidates.find(id => id && typeof id === 'string');
+  console.log(`📊 Processing ${bufferedCount} messages for ${teamId}/${channelId}`);
+  const client = await requireWorkspaceClient(teamId);
+
+  // Snapshot the buffer (replies, edits and deletions keep arriving on the live one)
+  const messagesToProcess = toConversation(channelData.messages);
+  await hydrateThreadParents(client, channelId, messagesToProcess);
   
-  if (!teamId) {
-    console.error('🚨 No team ID found in context:', {
-      contextKeys: Object.keys(context || {}),
-      eventKeys: Object.keys(event || {}),
-      contextValues: context,
-      eventValues: event
-    });
-  } else {
-    console.log(`🔍 Team ID extracted: ${teamId}`);
+  // Roll the new messages into the previously published summary
+  // (append mode summarizes just the new messages - each update gets its own section)
+  const rolling = canvasMode === 'replace';
+
+  // State from before structured summaries has only the published markdown - there's no baseline
+  // to roll into, so rebuild once from channel history instead of starting the canvas over
+  if (rolling && channelData.canvasId && channelData.summary && !channelData.structuredSummary) {
+    console.log(`🔁 ${teamId}/${channelId} has no structured baseline yet - rebuilding from history once`);
+    // rebuilt: too_few from history is final - a lull check would only rebuild again
+    return { ...(await summarizeChannelHistory(teamId, channelId, client)), rebuilt: true };
+  }
+  const summaryData = await generateSummary(messagesToProcess, client, {
+    ...summaryOptions,
+    previousStructured: rolling ? channelData.structuredSummary : null,
+    previousMessageCount: rolling ? channelData.summarizedMessageCount : 0
+  });
+  if (summaryData.failed) {
+    throw new Error('Summary generation failed - messages kept for the retry');
   }
   
-  return teamId;
+  // Processed messages are cleared once the canvas write lands; anything that
+  // arrives in the meantime (including thread replies) stays buffered
+  const writeJob = await enqueueCanvasWrite(teamId, channelId, summaryData, { conversation: messagesToProcess });
+  return { status: 'queued', messageCount: bufferedCount, canvasJobId: writeJob.id };
 }
 
-// Message handler with enhanced team ID extraction and auto-bootstrap
-app.message(async ({ message, context }) => {
+// Workspace admins and owners (users.info) - the only ones who may change workspace-wide settings
+async function isWorkspaceAdmin(teamId, userId) {
+  const client = await getWorkspaceClient(teamId);
+  if (!client) return false;
   try {
-    if (message.subtype || message.bot_id) return;
+    const { user } = await client.users.info({ user: userId });
+    return !!(user.is_admin || user.is_owner || user.is_primary_owner);
+  } catch (error) {
+    console.log(`⚠️ Cannot check admin status for ${userId}: ${error.data?.error || error.message}`);
+    return false;
+  }
+}
 
-    const teamId = getTeamId(context, message);
-    const channelId = message.channel;
+// Client for a job; a workspace without an installation is not worth retrying
+async function requireWorkspaceClient(teamId) {
+  const client = await getWorkspaceClient(teamId);
+  if (!client) {
+    throw Object.assign(new Error(`No workspace client for team: ${teamId}`), { retryable: false });
+  }
+  return client;
+}
 
-    if (!teamId) {
-      console.error('🚨 CRITICAL: No team ID found in message - multi-tenant will fail');
-      console.error('Context keys:', Object.keys(context || {}));
-      console.error('Message keys:', Object.keys(message || {}));
-      return;
-    }
+// Queue a canvas write. conversation: the messages behind the summary (dropped from the
+// buffer once published - only their timestamps go into the job); fresh: a rebuild rather
+// than a rolling update; notify: follow-up message ('bootstrap' welcome, 'manual' canvas link)
+async function enqueueCanvasWrite(teamId, channelId, summaryData, { conversation = null, fresh = false, notify = null } = {}) {
+  if (conversation) {
+    await searchStore.addConversation(teamId, channelId, conversation); // bootstrap / history summaries add older messages
+  }
+  const summarized = conversation
+    ? { covered: conversationSkeleton(conversation), sourceTs: conversationTimestamps(conversation) }
+    : null;
+  return jobQueue.enqueue('canvas-write', { teamId, channelId, summaryData, summarized, fresh, notify }, {
+    key: channelJobKey(teamId, channelId)
+  });
+}
 
-    console.log(`💬 Message received: ${teamId}/${channelId} from user ${message.user}`);
+// "canvas-write" job - a failed write is retried without generating the summary again
+async function writeCanvasJob({ teamId, channelId, summaryData, summarized, fresh, notify }) {
+  const published = await updateCanvas(teamId, channelId, summaryData, {
+    source: summarized ? sourceRange(summarized.sourceTs) : null,
+    kind: notify === 'bootstrap' ? 'bootstrap' : fresh ? 'fresh' : 'rolling'
+  });
+  if (!published) {
+    throw new Error('Canvas was not updated');
+  }
 
+  if (summarized) {
     const channelData = getChannelData(teamId, channelId);
-    
-    // Auto-bootstrap: Check for historical conversations if this is a new channel for us
-    if (channelData.messages.length === 0 && !channelData.canvasId) {
-      console.log(`🎯 New channel detected: ${teamId}/${channelId} - checking for historical conversations`);
-      setTimeout(async () => {
-        try {
-          const client = await getWorkspaceClient(teamId);
-          if (client) {
-            await bootstrapFromHistory(teamId, channelId, client);
-          }
-        } catch (error) {
-          console.error(`❌ Auto-bootstrap error for ${teamId}/${channelId}:`, error.message);
-        }
-      }, 2000); // Small delay to avoid race conditions
-    }
-    
-    channelData.messages.push({
-      user: message.user,
-      text: message.text,
-      timestamp: message.ts
-    });
-
-    // Keep only last 100 messages per channel
-    if (channelData.messages.length > 100) {
-      const removedCount = channelData.messages.length - 100;
-      channelData.messages = channelData.messages.slice(-100);
-      console.log(`🧹 Trimmed ${removedCount} old messages, keeping last 100`);
+    recordSummarized(teamId, channelId, summarized, { fresh });
+    if (bufferSize(channelData.messages) > 0) {
+      console.log(`🔄 Kept ${countBuffered(channelData.messages)} new messages that arrived during processing`);
     }
+  }
 
-    // Process every 10 messages or after 2 minutes
-    const timeSinceLastUpdate = Date.now() - channelData.lastUpdate;
-    const shouldProcess = channelData.messages.length >= 10 || 
-                         timeSinceLastUpdate > (2 * 60 * 1000);
+  if (notify === 'bootstrap') {
+    await postBootstrapWelcome(teamId, channelId);
+  } else if (notify === 'manual') {
+    await postSummaryReady(teamId, channelId, summaryData);
+  }
 
-    if (shouldProcess && !channelData.processing) {
-      console.log(`🎯 Triggering processing: ${channelData.messages.length} messages, ${Math.round(timeSinceLastUpdate/1000)}s since last update`);
-      setTimeout(() => processMessages(teamId, channelId), 1000);
-    }
-  } catch (error) {
-    console.error('❌ Message handler error:', error.message);
+  const { settings } = await resolveChannelSettings(teamId, channelId);
+  if (settings.archive !== 'off') {
+    const period = archivePeriod(settings.archive, settings.timezone);
+    await jobQueue.enqueue('archive-write', {
+      teamId,
+      channelId,
+      timeZone: settings.timezone,
+      period
+    }, { key: channelJobKey(teamId, channelId), delay: ARCHIVE_REFRESH_DELAY, dedupe: `archive:${period.id}` });
   }
-});
+
+  if (summaryData.structured?.action_items.length > 0) {
+    await jobQueue.enqueue('task-sync', {
+      teamId,
+      channelId,
+      actionItems: summaryData.structured.action_items,
+      sourceTs: summarized ? summarized.sourceTs : []
+    }, { key: channelJobKey(teamId, channelId) });
+  }
+
+  return { published, canvasId: getChannelData(teamId, channelId).canvasId };
+}
+
+// "canvas-rollback" job - put a stored version back on the canvas. It becomes the rolling
+// baseline again and is recorded as a new version, so a rollback can itself be undone.
+async function runCanvasRollback({ teamId, channelId, number, userId }) {
+  const version = await canvasHistory.get(teamId, channelId, number);
+  if (!version) {
+    throw Object.assign(new Error(`Canvas version #${number} not found for ${teamId}/${channelId}`), { retryable: false });
+  }
+
+  const { settings } = await resolveChannelSettings(teamId, channelId);
+  const content = restorableContent(version, { appendMode: settings.canvasMode === 'append' });
+  if (content === null) {
+    throw Object.assign(new Error(`Canvas version #${number} for ${teamId}/${channelId} only holds an appended update`), { retryable: false });
+  }
+
+  const summaryData = {
+    summary: version.summary,
+    structured: version.structured,
+    messageCount: version.messageCount,
+    userTimezone: version.userTimezone,
+    model: version.model
+  };
+  const published = await updateCanvas(teamId, channelId, summaryData, {
+    content,
+    source: version.source,
+    kind: 'rollback',
+    restoredFrom: number
+  });
+  if (!published) {
+    throw new Error('Canvas was not updated');
+  }
+
+  // The canvas is restored and the version recorded - a failed announcement mustn't retry the job
+  const client = await requireWorkspaceClient(teamId);
+  await client.chat.postMessage({
+    channel: channelId,
+    text: `↩️ <@${userId}> restored the canvas summary to version #${number}.`
+  }).catch(error => console.log(`⚠️ Could not announce the rollback in ${channelId}: ${error.data?.error || error.message}`));
+  console.log(`↩️ Canvas for ${teamId}/${channelId} rolled back to #${number} by ${userId}`);
+  return { published, number };
+}
+
+const MAX_ARCHIVES = 200; // archive canvases remembered per channel
+const ARCHIVE_REFRESH_DELAY = 10 * 60 * 1000; // canvas writes within this collapse into one archive refresh
+
+// "archive-write" job - summarize the period's messages into that period's archive canvas.
+// The first write of a period creates the canvas (readable by the channel) and refreshes the
+// index of earlier archives on the live canvas.
+async function runArchiveWrite({ teamId, channelId, timeZone, period }) {
+  const client = await requireWorkspaceClient(teamId);
+  const { first, last } = periodDays(period.id);
+  const range = parseTimeRange(`${first} to ${last}`, { timeZone });
+  const { messages: humanMessages } = await fetchHistory(client, channelId, {
+    filter: isHumanMessage,
+    maxMessages: MAX_RANGE_MESSAGES,
+    oldest: range.oldest,
+    ...(range.latest ? { latest: range.latest, inclusive: true } : {})
+  });
+  if (humanMessages.length === 0) {
+    return { status: 'empty' };
+  }
+
+  const conversation = await attachThreadReplies(client, channelId, humanMessages);
+  const summaryData = await generateSummary(conversation, client, { ...(await channelSummaryOptions(teamId, channelId)), range });
+  if (summaryData.failed) {
+    throw new Error(`Archive summary failed for ${period.id}`);
+  }
+  const content = createCanvasContent(summaryData, summaryData.userTimezone);
+
+  const channelData = getChannelData(teamId, channelId);
+  let archive = (channelData.archives || []).find(candidate => candidate.period === period.id);
+
+  if (archive) {
+    const response = await client.apiCall('canvases.edit', {
+      canvas_id: archive.canvasId,
+      changes: [{ operation: 'replace', document_content: { type: 'markdown', markdown: content } }]
+    });
+    if (!response.ok) {
+      throw new Error(response.error || 'canvases.edit failed');
+    }
+    console.log(`🗄️ Archive ${archive.canvasId} (${period.id}) updated with ${summaryData.messageCount} messages for ${teamId}/${channelId}`);
+  } else {
+    const channelInfo = await client.conversations.info({ channel: channelId }).catch(() => null);
+    const channelName = channelInfo?.channel?.name;
+    const title = `🗄️ ${channelName ? `#${channelName} – ` : ''}${period.title}`;
+
+    const response = await client.apiCall('canvases.create', {
+      title,
+      document_content: { type: 'markdown', markdown: content }
+    });
+    if (!response.ok) {
+      throw new Error(response.error || 'canvases.create failed');
+    }
+
+    // Remembered before sharing, so a retry finishes this canvas instead of creating another
+    archive = { period: period.id, title: period.title, canvasId: response.canvas_id, createdAt: Date.now(), shared: false };
+    channelData.archives = [...(channelData.archives || []), archive].slice(-MAX_ARCHIVES);
+    saveChannelData(teamId, channelId);
+    await channelState.flush();
+    console.log(`🗄️ Archive canvas created: ${response.canvas_id} (${period.id}) for ${teamId}/${channelId}`);
+  }
+
+  if (archive.shared === false) {
+    await client.apiCall('canvases.access.set', {
+      canvas_id: archive.canvasId,
+      access_level: 'read',
+      channel_ids: [channelId]
+    });
+    archive.shared = true;
+    saveChannelData(teamId, channelId);
+
+    // The live canvas links to every earlier (finished) period
+    const prior = channelData.archives.filter(candidate => candidate.period !== period.id);
+    if (channelData.canvasId && prior.length > 0) {
+      await writeRegion(client, channelData.canvasId, renderArchiveIndex(prior), {
+        title: ARCHIVE_INDEX_TITLE,
+        position: 'end'
+      });
+    }
+    return { status: 'created', canvasId: archive.canvasId };
+  }
+
+  return { status: 'updated', canvasId: archive.canvasId };
+}
+
+const TASK_DONE_ACTION = 'task_done';
+const TASK_REMINDER_INTERVAL = 60 * 60 * 1000; // hourly reminder sweep
+
+// "2026-10-19" in a timezone
+function localDate(timeZone, date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone });
+}
+
+// DM blocks for one task with a "Mark done" button
+function taskMessage(task, intro) {
+  const details = [
+    `*${task.task}*`,
+    `From <#${task.channelId}>${task.dueDate ? ` • Due ${task.dueDate}` : ''}${task.permalink ? ` • <${task.permalink}|View message>` : ''}`
+  ].join('\n');
+
+  return {
+    text: `${intro} ${task.task}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `${intro}\n\n${details}` } },
+      {
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          action_id: TASK_DONE_ACTION,
+          text: { type: 'plain_text', text: '✅ Mark done', emoji: true },
+          style: 'primary',
+          value: task.id
+        }]
+      }
+    ]
+  };
+}
+
+// "task-sync" job - store the summary's action items and DM newly assigned owners
+async function runTaskSync({ teamId, channelId, actionItems, sourceTs }) {
+  const client = await requireWorkspaceClient(teamId);
+  const { created, reassigned, closed } = await taskStore.syncActionItems(teamId, channelId, actionItems, {
+    validSourceTs: new Set(sourceTs)
+  });
+
+  for (const task of created.filter(candidate => candidate.sourceTs)) {
+    try {
+      const result = await client.chat.getPermalink({ channel: channelId, message_ts: task.sourceTs });
+      task.permalink = result.permalink;
+      await taskStore.save(task);
+    } catch (error) {
+      console.log(`⚠️ No permalink for task source ${task.sourceTs}: ${error.data?.error || error.message}`);
+    }
+  }
+
+  // Each owner hears about a task once, however many summaries repeat it. A failed DM is
+  // logged rather than failing the job - a retry would find the tasks already created and
+  // never notify the remaining owners.
+  const toNotify = [...created, ...reassigned].filter(task => task.ownerId && task.notifiedOwnerId !== task.ownerId);
+  let notified = 0;
+  for (const task of toNotify) {
+    try {
+      await client.chat.postMessage({
+        channel: task.ownerId,
+        ...taskMessage(task, `📌 You have a new action item from <#${channelId}>:`)
+      });
+      task.notifiedOwnerId = task.ownerId;
+      await taskStore.save(task);
+      notified++;
+    } catch (error) {
+      console.error(`❌ Task notification failed for ${teamId}/${task.id}:`, error.data?.error || error.message);
+    }
+  }
+
+  console.log(`🎯 Tasks for ${teamId}/${channelId}: ${created.length} new, ${reassigned.length} reassigned, ${closed.length} closed, ${notified} owners notified`);
+  return { created: created.length, reassigned: reassigned.length, closed: closed.length, notified };
+}
+
+// "task-reminders" job - DM owners a day before the due date and once when overdue.
+// Reschedules itself like a cron tick.
+async function runTaskReminders() {
+  try {
+    for (const teamId of await taskStore.teamIds()) {
+      const client = await getWorkspaceClient(teamId);
+      if (!client) continue;
+
+      const { settings } = await settingsService.resolve(teamId);
+      for (const { task, kind } of await taskStore.dueReminders(teamId, localDate(settings.timezone))) {
+        try {
+          await client.chat.postMessage({
+            channel: task.ownerId,
+            ...taskMessage(task, kind === 'overdue' ? '⚠️ This action item is overdue:' : '⏰ Reminder – this action item is due soon:')
+          });
+          if (kind === 'overdue') {
+            task.overdueNotified = true;
+          } else {
+            task.remindedFor = task.dueDate;
+          }
+          await taskStore.save(task);
+        } catch (error) {
+          console.error(`❌ Task reminder failed for ${teamId}/${task.id}:`, error.data?.error || error.message);
+        }
+      }
+    }
+  } finally {
+    await jobQueue.enqueue('task-reminders', {}, { delay: TASK_REMINDER_INTERVAL, dedupe: 'task-reminders' });
+  }
+}
+
+// Summarize once the conversation goes quiet. One lull check is pending per channel; when it
+// fires early (messages kept coming) it re-schedules itself for the rest of the lull period.
+function scheduleLullCheck(teamId, channelId, delay) {
+  return jobQueue.enqueue('lull-check', { teamId, channelId }, {
+    key: channelJobKey(teamId, channelId),
+    delay,
+    dedupe: 'lull'
+  });
+}
+
+// "lull-check" job
+async function runLullCheck({ teamId, channelId }) {
+  const channelData = getChannelData(teamId, channelId);
+  if (channelData.paused || bufferSize(channelData.messages) === 0) {
+    return { status: 'idle' };
+  }
+
+  const { settings } = await resolveChannelSettings(teamId, channelId);
+  const trigger = channelTriggers(channelData, settings);
+  const quietFor = Date.now() - (lastMessageAt(channelData.activity) || 0);
+  if (quietFor < trigger.lullPeriod) {
+    await scheduleLullCheck(teamId, channelId, trigger.lullPeriod - quietFor);
+    return { status: 'rescheduled' };
+  }
+
+  console.log(`🌙 ${teamId}/${channelId} quiet for ${Math.round(quietFor / 1000)}s (${trigger.pace} channel) - summarizing buffered messages`);
+  return processMessages(teamId, channelId);
+}
+
+// "summary" job - rolling update from the buffer, a fresh rebuild from channel history, or
+// (resummary) a rebuild of everything since the oldest message behind the published summary.
+// requestedBy: the user behind a manual summary, told when it can't be published
+async function runSummaryJob({ teamId, channelId, mode = 'rolling', range = null, requestedBy = null }) {
+  if (mode === 'history') {
+    const client = await requireWorkspaceClient(teamId);
+    let result;
+    try {
+      result = await summarizeChannelHistory(teamId, channelId, client, { range, notify: requestedBy ? 'manual' : null });
+    } catch (error) {
+      if (requestedBy) {
+        await notifyRequester(teamId, channelId, requestedBy, error.data?.error === 'not_in_channel'
+          ? "❌ I'm not in this channel yet - invite me with `/invite @Paper` and try again."
+          : "❌ Sorry, I couldn't fetch the conversation history or update the canvas. Please check my permissions.");
+      }
+      throw error;
+    }
+    if (requestedBy && SUMMARY_OUTCOME_MESSAGES[result.status]) {
+      await notifyRequester(teamId, channelId, requestedBy, SUMMARY_OUTCOME_MESSAGES[result.status](range));
+    }
+    return result;
+  }
+  if (mode === 'resummary') {
+    const client = await requireWorkspaceClient(teamId);
+    const summarizedTs = getChannelData(teamId, channelId).summarizedTs || [];
+    const oldest = summarizedTs.reduce((min, ts) => (min === null || parseFloat(ts) < parseFloat(min) ? ts : min), null);
+    return summarizeChannelHistory(teamId, channelId, client, oldest ? { oldest } : {});
+  }
+  // A rolling update triggered by the max wait can find fewer than minMessages buffered -
+  // keep a lull check pending so they're still summarized once more arrive and the channel goes quiet
+  const result = await processMessages(teamId, channelId);
+  if (result?.status === 'too_few' && !result.rebuilt) {
+    const { settings } = await resolveChannelSettings(teamId, channelId);
+    await scheduleLullCheck(teamId, channelId, channelTriggers(getChannelData(teamId, channelId), settings).lullPeriod);
+  }
+  return result;
+}
+
+// What a manual summary's requester is told when there is nothing to publish
+const SUMMARY_OUTCOME_MESSAGES = {
+  empty: range => (range ? `📄 No messages found for ${formatTimeRange(range)}.` : "📄 No messages found in this channel."),
+  too_few: () => "I'd love to help, but I need at least 3 messages to create a meaningful summary. Keep chatting and I'll automatically jump in, or mention me again once you've had a bit more discussion! 💬",
+  failed: () => "❌ Sorry, I couldn't generate a summary right now. Your existing canvas is untouched - please try again in a moment."
+};
+
+// Canvas writes go first so a queued summary never runs against a stale baseline
+jobQueue
+  .register('canvas-write', writeCanvasJob, { priority: 0 })
+  .register('canvas-rollback', runCanvasRollback, { priority: 0 })
+  .register('bootstrap', ({ teamId, channelId }) => bootstrapFromHistory(teamId, channelId), { priority: 1 })
+  .register('summary', runSummaryJob, { priority: 1 })
+  .register('lull-check', runLullCheck, { priority: 1 })
+  .register('task-sync', runTaskSync, { priority: 1 })
+  .register('archive-write', runArchiveWrite, { priority: 1 })
+  .register('task-reminders', runTaskReminders);
+
+// Summarize a single thread (message shortcut or "@Paper summarize thread")
+async function summarizeThread(teamId, channelId, threadTs, client) {
+  const conversation = await fetchThread(client, channelId, threadTs);
+  if (countMessages(conversation) < 2) {
+    return null;
+  }
+  console.log(`🧵 Summarizing thread ${threadTs} in ${teamId}/${channelId} (${countMessages(conversation)} messages)`);
+  return generateSummary(conversation, client, await channelSummaryOptions(teamId, channelId));
+}
+
+const MAX_THREAD_SUMMARIES = 500; // posted thread summaries remembered for "Save as Canvas"
+
+function threadSummaryKey(teamId, channelId, messageTs) {
+  return `${teamId}/${channelId}/${messageTs}`;
+}
+
+// Post a thread summary as a Block Kit reply inside the thread. The summary is kept against the
+// posted message so "Save as Canvas" saves exactly what was posted.
+async function postThreadSummary(teamId, client, channelId, threadTs, summaryData) {
+  const footer = `✨ Thread summary by Paper • ${summaryData.messageCount} messages`;
+  const posted = await client.chat.postMessage({
+    channel: channelId,
+    thread_ts: threadTs,
+    text: `🧵 Thread summary (${summaryData.messageCount} messages)`,
+    blocks: [
+      // One block stays free for the Save as Canvas button
+      ...renderSummaryBlocks(summaryData.structured, { title: '🧵 Thread Summary', footer, permalinks: summaryData.permalinks, maxBlocks: 49 }),
+      {
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          action_id: 'thread_summary_canvas',
+          text: { type: 'plain_text', text: '📄 Save as Canvas' },
+          value: JSON.stringify({ channelId, threadTs })
+        }]
+      }
+    ]
+  });
+
+  await threadSummaries.set(threadSummaryKey(teamId, channelId, posted.ts), {
+    threadTs,
+    summaryData,
+    canvasId: null,
+    createdAt: Date.now()
+  });
+  const stored = await threadSummaries.entries();
+  if (stored.length > MAX_THREAD_SUMMARIES) {
+    const oldest = stored.sort(([, a], [, b]) => a.createdAt - b.createdAt).slice(0, stored.length - MAX_THREAD_SUMMARIES);
+    for (const [key] of oldest) await threadSummaries.delete(key);
+  }
+}
+
+// Save a thread summary as its own standalone canvas, readable by the channel
+async function createThreadSummaryCanvas(teamId, client, channelId, threadTs, summaryData) {
+  const title = `🧵 ${await generateCanvasTitle(summaryData, teamId)}`;
+  const response = await client.apiCall('canvases.create', {
+    title,
+    document_content: {
+      type: 'markdown',
+      markdown: createCanvasContent(summaryData, summaryData.userTimezone)
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(response.error || 'canvases.create failed');
+  }
+
+  await client.apiCall('canvases.access.set', {
+    canvas_id: response.canvas_id,
+    access_level: 'read',
+    channel_ids: [channelId]
+  });
+
+  console.log(`✅ Thread canvas created: ${response.canvas_id} for ${teamId}/${channelId}/${threadTs}`);
+  await client.chat.postMessage({
+    channel: channelId,
+    thread_ts: threadTs,
+    text: `📄 Thread summary canvas: <https://slack.com/canvas/${response.canvas_id}|${title}>`
+  });
+  return response.canvas_id;
+}
+
+const LLM_ARG_KEYS = new Set(['model', 'provider', 'temperature', 'max_tokens', 'maxtokens', 'context_window', 'contextwindow']);
+
+// Turn parsed "key=value" command options into LLM settings: { patch, invalid } where
+// invalid lists the model options whose values can't be used
+function parseLLMSettingsArgs(options) {
+  const patch = {};
+  const invalid = [];
+  for (const [key, value] of Object.entries(options)) {
+    if (!LLM_ARG_KEYS.has(key)) continue;
+    if (typeof value !== 'string') { // bare flags carry no value
+      invalid.push(key);
+    } else if (key === 'model') {
+      patch.model = value;
+    } else if (key === 'provider') {
+      if (['openai', 'local', 'mock'].includes(value)) patch.provider = value;
+      else invalid.push(key);
+    } else if (key === 'temperature') {
+      if (!isNaN(parseFloat(value))) patch.temperature = Math.min(2, Math.max(0, parseFloat(value)));
+      else invalid.push(key);
+    } else if (key === 'max_tokens' || key === 'maxtokens') {
+      if (parseInt(value, 10) > 0) patch.maxTokens = parseInt(value, 10);
+      else invalid.push(key);
+    } else if (value === 'default') {
+      patch.contextWindow = null; // the model's known window
+    } else if (parseInt(value, 10) > 0) {
+      patch.contextWindow = parseInt(value, 10);
+    } else {
+      invalid.push(key);
+    }
+  }
+  return { patch, invalid };
+}
+
+// Extract team ID from context - enhanced for all event types
+function getTeamId(context, event = null) {
+  // Priority order: context first, then event, then nested properties
+  const candidates = [
+    context?.teamId,
+    context?.team_id, 
+    context?.team,
+    event?.team_id,
+    event?.team,
+    context?.body?.team_id,
+    context?.payload?.team_id,
+    context?.envelope?.team_id
+  ];
+  
+  const teamId = candidates.find(id => id && typeof id === 'string');
+  
+  if (!teamId) {
+    console.error('🚨 No team ID found in context:', {
+      contextKeys: Object.keys(context || {}),
+      eventKeys: Object.keys(event || {}),
+      contextValues: context,
+      eventValues: event
+    });
+  } else {
+    console.log(`🔍 Team ID extracted: ${teamId}`);
+  }
+  
+  return teamId;
+}
+
+// Message handler with enhanced team ID extraction and auto-bootstrap
+app.message(async ({ message, context }) => {
+  try {
+    const isEditOrDelete = message.subtype === 'message_changed' || message.subtype === 'message_deleted';
+    if ((message.subtype && !isEditOrDelete) || message.bot_id) return;
+
+    const teamId = getTeamId(context, message);
+    const channelId = message.channel;
+
+    if (isEditOrDelete && teamId) {
+      handleMessageChange(teamId, channelId, message);
+      return;
+    }
+
+    if (!teamId) {
+      console.error('🚨 CRITICAL: No team ID found in message - multi-tenant will fail');
+      console.error('Context keys:', Object.keys(context || {}));
+      console.error('Message keys:', Object.keys(message || {}));
+      return;
+    }
+
+    console.log(`💬 Message received: ${teamId}/${channelId} from user ${message.user}`);
+
+    const channelData = getChannelData(teamId, channelId);
+    if (channelData.paused) return;
+    const { settings } = await resolveChannelSettings(teamId, channelId);
+    
+    // Auto-bootstrap: Check for historical conversations if this is a new channel for us
+    if (!channelData.bootstrapped && bufferSize(channelData.messages) === 0 && !channelData.canvasId) {
+      channelData.bootstrapped = true;
+      if (settings.bootstrap) {
+        console.log(`🎯 New channel detected: ${teamId}/${channelId} - checking for historical conversations`);
+        await jobQueue.enqueue('bootstrap', { teamId, channelId }, {
+          key: channelJobKey(teamId, channelId),
+          delay: 2000, // Small delay to avoid race conditions
+          dedupe: 'bootstrap'
+        });
+      }
+    }
+    
+    const bufferedMessage = {
+      user: message.user,
+      text: message.text,
+      timestamp: message.ts,
+      thread_ts: message.thread_ts
+    };
+    
+    // Thread replies are grouped under their parent instead of treated as top-level chatter
+    addMessage(channelData.messages, bufferedMessage);
+    recordActivity(channelData.activity);
+    searchStore.addMessage(teamId, channelId, bufferedMessage)
+      .catch(error => console.error(`❌ Search index error for ${teamId}/${channelId}:`, error.message));
+
+    // Keep only last 100 messages per channel
+    const removedCount = trimBuffer(channelData.messages, 100);
+    if (removedCount > 0) {
+      console.log(`🧹 Trimmed ${removedCount} old messages, keeping last 100`);
+    }
+    saveChannelData(teamId, channelId);
+
+    // Process every N messages (thread replies included) or after a wait, both scaled to the
+    // channel's pace; otherwise summarize once the conversation goes quiet
+    const trigger = channelTriggers(channelData, settings);
+    const bufferedCount = countBuffered(channelData.messages);
+    const timeSinceLastUpdate = Date.now() - channelData.lastUpdate;
+    const shouldProcess = bufferedCount >= trigger.messageThreshold ||
+                         timeSinceLastUpdate > trigger.maxWait;
+
+    if (shouldProcess) {
+      console.log(`🎯 Triggering processing: ${bufferedCount} messages, ${Math.round(timeSinceLastUpdate/1000)}s since last update (${trigger.pace} channel, ${trigger.velocity} msgs/min)`);
+      await jobQueue.enqueue('summary', { teamId, channelId, mode: 'rolling' }, {
+        key: channelJobKey(teamId, channelId),
+        delay: 1000,
+        dedupe: 'rolling' // one pending rolling update per channel
+      });
+    } else {
+      await scheduleLullCheck(teamId, channelId, trigger.lullPeriod);
+    }
+  } catch (error) {
+    console.error('❌ Message handler error:', error.message);
+  }
+});
+
+const MANUAL_SUMMARY_MESSAGES = 100; // latest human messages for a plain "summary"
+const MAX_RANGE_MESSAGES = 1000; // cap for "since" / range summaries
+
+// Summarize channel history into the canvas (manual "summary" / "since" commands, re-summaries).
+// Without a range the latest 100 human messages are used; a range (or options.oldest, for
+// re-summaries) pages through the whole window.
+// A manual summary is a fresh rebuild and resets the rolling baseline. Runs as a "summary" job.
+async function summarizeChannelHistory(teamId, channelId, client, options = {}) {
+  const { range = null, notify = null } = options;
+  const oldest = range?.oldest || options.oldest || null;
+  const summaryOptions = await channelSummaryOptions(teamId, channelId);
+  const { messages: humanMessages } = await fetchHistory(client, channelId, {
+    filter: isHumanMessage,
+    maxMessages: oldest ? MAX_RANGE_MESSAGES : MANUAL_SUMMARY_MESSAGES,
+    ...(oldest ? { oldest, inclusive: true } : {}),
+    ...(range?.latest ? { latest: range.latest, inclusive: true } : {})
+  });
+  if (humanMessages.length === 0) {
+    return { status: 'empty', messageCount: 0 };
+  }
+
+  const messages = await attachThreadReplies(client, channelId, humanMessages);
+  const messageCount = countMessages(messages);
+  console.log(`📚 Found ${messageCount} valid messages (thread replies included) for manual summary`);
+
+  if (messageCount < summaryOptions.settings.minMessages) {
+    return { status: 'too_few', messageCount };
+  }
+
+  const summaryData = await generateSummary(messages, client, { ...summaryOptions, range });
+  if (summaryData.failed) {
+    return { status: 'failed', messageCount };
+  }
+
+  const writeJob = await enqueueCanvasWrite(teamId, channelId, summaryData, { conversation: messages, fresh: true, notify });
+  return { status: 'queued', messageCount, canvasJobId: writeJob.id };
+}
+
+// Timezone of the user running a command, so "since yesterday" means their yesterday
+async function getUserTimezone(client, userId, fallback = 'UTC') {
+  try {
+    const userInfo = await client.users.info({ user: userId });
+    return userInfo.user.tz || fallback;
+  } catch (error) {
+    console.log(`⚠️ Cannot fetch timezone for ${userId}, using ${fallback}`);
+    return fallback;
+  }
+}
+
+// Workspace client for a command, or an install hint when the workspace isn't connected
+async function getCommandClient({ teamId, reply }) {
+  const client = await getWorkspaceClient(teamId);
+  if (!client) {
+    console.error(`❌ No workspace client for team: ${teamId}`);
+    console.error(`📋 Installed workspaces:`, (await installationStore.getAllInstallations()).map(inst => inst.teamId));
+    await reply(`❌ Sorry, I couldn't connect to your workspace (${teamId}). This workspace may not be properly installed via OAuth. Please visit https://paperforslack.onrender.com/install to install Paper Enterprise.`, { ephemeral: true });
+  }
+  return client;
+}
+
+// Manual summary, optionally over a time range expression ("since yesterday", "last 7 days", ...)
+async function runManualSummary(ctx, rangeText = null) {
+  const { teamId, channelId, userId, prefix, reply } = ctx;
+  console.log(`📊 Manual summary requested for ${teamId}/${channelId}${rangeText ? ` (${rangeText})` : ''}`);
+
+  const client = await getCommandClient(ctx);
+  if (!client) return;
+
+  let range = null;
+  if (rangeText) {
+    const { settings } = await resolveChannelSettings(teamId, channelId);
+    range = parseTimeRange(rangeText, { timeZone: await getUserTimezone(client, userId, settings.timezone) });
+    if (!range) {
+      await reply(`📅 I couldn't understand \`${rangeText}\`. Try \`${prefix} summary since yesterday\`, \`${prefix} summary last 7 days\` or \`${prefix} summary 2026-10-01 to 2026-10-05\`.`, { ephemeral: true });
+      return;
+    }
+  }
+
+  // Same per-channel queue as automatic summaries, so a manual run never races one. The reply
+  // goes out once it's queued; the jobs post the canvas link (or what went wrong) when they finish.
+  await jobQueue.enqueue('summary', { teamId, channelId, mode: 'history', range, requestedBy: userId }, {
+    key: channelJobKey(teamId, channelId),
+    maxAttempts: 1
+  });
+  await reply(`⏳ Summarizing ${range ? formatTimeRange(range) : 'the recent conversation'} - I'll post the canvas link here when it's ready.`, { ephemeral: true });
+}
+
+// Outcome of a manual summary that didn't reach the canvas, told to the user who asked
+async function notifyRequester(teamId, channelId, userId, text) {
+  try {
+    const client = await requireWorkspaceClient(teamId);
+    await client.chat.postEphemeral({ channel: channelId, user: userId, text });
+  } catch (error) {
+    console.error(`❌ Could not tell ${userId} about their summary in ${teamId}/${channelId}:`, error.data?.error || error.message);
+  }
+}
+
+// Canvas link after a manual summary is published. A failed post is only logged - retrying
+// the canvas-write job for it would publish the summary twice.
+async function postSummaryReady(teamId, channelId, summaryData) {
+  const canvasId = getChannelData(teamId, channelId).canvasId;
+  try {
+    const client = await requireWorkspaceClient(teamId);
+    await client.chat.postMessage({
+      channel: channelId,
+      text: `🎉 Perfect! I've created a fresh canvas summary capturing the essence of your ${summaryData.messageCount}-message conversation${summaryData.range ? ` (${formatTimeRange(summaryData.range)})` : ''}.`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `🎉 *Your conversation summary is ready!*\n\nI've organized your ${summaryData.messageCount}-message discussion${summaryData.range ? ` (${formatTimeRange(summaryData.range)})` : ''} into key insights, decisions, and action items. The canvas updates automatically as you continue chatting!`
+          }
+        },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "📄 Open Canvas Summary"
+              },
+              url: `https://slack.com/canvas/${canvasId}`,
+              style: "primary"
+            }
+          ]
+        }
+      ]
+    });
+  } catch (error) {
+    console.error(`❌ Could not post the summary link for ${teamId}/${channelId}:`, error.data?.error || error.message);
+  }
+}
+
+// "summarize thread [canvas]" - only meaningful for a mention inside a thread
+async function runThreadCommand(ctx) {
+  const { teamId, channelId, threadTs, args, reply } = ctx;
+  if (!threadTs) {
+    await reply("🧵 Mention me with `summarize thread` inside a thread, or use the *Summarize this thread* message shortcut.", { ephemeral: true });
+    return;
+  }
+
+  const client = await getCommandClient(ctx);
+  if (!client) return;
+
+  const summaryData = await summarizeThread(teamId, channelId, threadTs, client);
+  if (!summaryData || summaryData.failed) {
+    await reply(summaryData
+      ? "❌ Sorry, I couldn't summarize this thread right now. Please try again in a moment."
+      : "🧵 This thread is too short to summarize yet.", { ephemeral: true });
+  } else if (parseKeyValueArgs(args).canvas) {
+    await createThreadSummaryCanvas(teamId, client, channelId, threadTs, summaryData);
+  } else {
+    await postThreadSummary(teamId, client, channelId, threadTs, summaryData);
+  }
+}
+
+const MAX_TASKS_LISTED = 40;
+const QA_HISTORY_MESSAGES = 1000; // history indexed the first time a channel with a thin index is asked about
+const QA_MIN_INDEXED = 200;
+const QA_MESSAGE_SOURCES = 12;
+const QA_SUMMARY_SOURCES = 4;
+const QA_SUMMARY_VERSIONS = 3; // recent canvas versions searched alongside the messages
+
+// Messages and summary items relevant to a question, as numbered-source candidates
+// (summary items first, then messages oldest first)
+async function retrieveSources(teamId, channelId, question, client) {
+  const channelData = getChannelData(teamId, channelId);
+
+  // Messages come from the workspace search index; a channel Paper has seen little of is
+  // backfilled from history once
+  if (!channelData.searchBackfilled && await searchStore.count(teamId, channelId) < QA_MIN_INDEXED) {
+    const { messages: humanMessages } = await fetchHistory(client, channelId, {
+      filter: isHumanMessage,
+      maxMessages: QA_HISTORY_MESSAGES
+    });
+    const indexed = await searchStore.addConversation(teamId, channelId, await attachThreadReplies(client, channelId, humanMessages));
+    channelData.searchBackfilled = true;
+    saveChannelData(teamId, channelId);
+    console.log(`🔎 Indexed ${indexed} history messages for ${teamId}/${channelId}`);
+  }
+
+  // Recent canvas versions; channels from before version history fall back to the current summary
+  const versions = await canvasHistory.list(teamId, channelId, QA_SUMMARY_VERSIONS);
+  const seen = new Set();
+  const summaryDocs = (versions.length > 0
+    ? versions.flatMap(version => summaryDocuments(version.structured, { canvasId: channelData.canvasId, version: version.number }))
+    : summaryDocuments(channelData.structuredSummary, { canvasId: channelData.canvasId }))
+    .filter(doc => !seen.has(doc.text) && seen.add(doc.text));
+
+  const summaryHits = new SearchIndex().addAll(summaryDocs).search(question, { limit: QA_SUMMARY_SOURCES });
+  const messageHits = await searchStore.search(teamId, question, { channelIds: [channelId], type: 'message', limit: QA_MESSAGE_SOURCES });
+  return [
+    ...summaryHits.map(hit => hit.doc),
+    ...messageHits.map(hit => hit.doc).sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
+  ];
+}
+
+// Answer a question from the channel's history; null when nothing relevant was found.
+// Returns { blocks, text } with citations linked to message permalinks.
+async function answerQuestion(teamId, channelId, question, client) {
+  const sources = await retrieveSources(teamId, channelId, question, client);
+  if (sources.length === 0) return null;
+
+  const { settings } = await resolveChannelSettings(teamId, channelId);
+  const { userNames } = await getUserNames(sources.filter(source => source.user).map(source => source.user), client, settings.timezone);
+  const language = settings.language.toLowerCase() !== 'english' ? `- Answer in ${settings.language}\n` : '';
+
+  const answer = await llm.complete(teamId, {
+    messages: [
+      { role: 'system', content: QA_PROMPT + language },
+      { role: 'user', content: `Sources:\n${formatSources(sources, userNames, settings.timezone)}\n\nQuestion: ${question}` }
+    ],
+    maxTokens: 700
+  });
+
+  // Only cited messages need a permalink
+  const { cited } = linkCitations(answer, sources);
+  for (const index of cited) {
+    const source = sources[index];
+    if (source.type !== 'message') continue;
+    const result = await client.chat.getPermalink({ channel: channelId, message_ts: source.ts }).catch(() => null);
+    source.permalink = result?.permalink || null;
+  }
+
+  console.log(`💡 Answered "${question}" for ${teamId}/${channelId} from ${sources.length} sources (${cited.length} cited)`);
+  return renderAnswerBlocks({ question, answer, sources });
+}
+
+// "ask <question>" / "@Paper what did we decide about X?" - answered in a thread under the question
+// (slash commands answer privately)
+async function runAskCommand(ctx) {
+  const { teamId, channelId, args, threadTs, messageTs, source, prefix, reply } = ctx;
+  const question = args.join(' ').trim();
+  if (!question) {
+    await reply(`❓ What would you like to know? Try \`${prefix} ask what did we decide about pricing?\``, { ephemeral: true });
+    return;
+  }
+
+  const client = await getCommandClient(ctx);
+  if (!client) return;
+
+  const respond = source === 'mention'
+    ? (message) => client.chat.postMessage({ channel: channelId, thread_ts: threadTs || messageTs, ...message })
+    : (message) => reply(message, { ephemeral: true });
+
+  let result;
+  try {
+    result = await answerQuestion(teamId, channelId, question, client);
+  } catch (error) {
+    console.error(`❌ Question error for ${teamId}/${channelId}:`, error.data?.error || error.message);
+    await respond({
+      text: error.data?.error === 'not_in_channel'
+        ? "❌ I'm not in this channel yet - invite me with `/invite @Paper` and ask again."
+        : "❌ Sorry, I couldn't answer that right now. Please try again in a moment."
+    });
+    return;
+  }
+
+  await respond(result || { text: "🔍 I couldn't find anything about that in this channel's recent history or summaries." });
+}
+
+const MAX_SEARCH_HITS = 50;
+const MAX_SEARCH_RESULTS = 10;
+
+// "search <terms> [in:#channel] [from:@user] [after:<day>] [before:<day>]" - the workspace index,
+// limited to channels the requester is a member of
+async function runSearchCommand(ctx) {
+  const { teamId, channelId, userId, args, prefix, reply } = ctx;
+  const client = await getCommandClient(ctx);
+  if (!client) return;
+
+  const { settings } = await resolveChannelSettings(teamId, channelId);
+  const timeZone = await getUserTimezone(client, userId, settings.timezone);
+  const query = parseSearchQuery(args, { userId, timeZone });
+  if (query.errors.length > 0) {
+    await reply(`⚠️ ${query.errors.join('\n⚠️ ')}`, { ephemeral: true });
+    return;
+  }
+  if (query.terms.length === 0) {
+    await reply(`🔍 What should I look for? Try \`${prefix} search pricing in:#launch from:me after:monday\`.`, { ephemeral: true });
+    return;
+  }
+
+  const memberOf = await getUserChannelIds(client, userId);
+  const channelIds = query.channelIds.length > 0 ? query.channelIds.filter(id => memberOf.has(id)) : Array.from(memberOf);
+  const terms = query.terms.join(' ');
+  const hits = await searchStore.search(teamId, terms, {
+    channelIds,
+    userId: query.userId,
+    type: query.type,
+    after: query.after,
+    before: query.before,
+    limit: MAX_SEARCH_HITS
+  });
+
+  const results = [];
+  for (const { doc } of hits.slice(0, MAX_SEARCH_RESULTS)) {
+    const permalink = doc.type === 'message'
+      ? (await client.chat.getPermalink({ channel: doc.channelId, message_ts: doc.ts }).catch(() => null))?.permalink
+      : null;
+    results.push({ doc, permalink: permalink || null });
+  }
+
+  console.log(`🔍 Search "${terms}" for ${teamId}/${userId}: ${hits.length} hits`);
+  await reply({
+    text: `🔍 ${hits.length} result${hits.length === 1 ? '' : 's'} for "${terms}"`,
+    blocks: renderSearchResults({
+      terms,
+      results,
+      total: hits.length,
+      filters: query.filters.length > 0 ? `Filters: ${query.filters.join(' ')}` : null
+    })
+  }, { ephemeral: true });
+}
+
+const CATCHUP_DEFAULT_RANGE = 'last 7 days';
+const MAX_CATCHUP_CHANNELS = 10;
+const MAX_CATCHUP_MESSAGES = 300; // per channel
+const MAX_CATCHUP_PERMALINKS = 5; // mentions linked per channel
+
+// Channels the user is a member of (and Paper can see)
+async function getUserChannelIds(client, userId) {
+  const channelIds = new Set();
+  let cursor;
+  do {
+    const result = await client.users.conversations({
+      user: userId,
+      types: 'public_channel,private_channel',
+      exclude_archived: true,
+      limit: 1000,
+      ...(cursor ? { cursor } : {})
+    });
+    (result.channels || []).forEach(channel => channelIds.add(channel.id));
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor);
+  return channelIds;
+}
+
+// Personal recap of one channel for the catch-up window; null when nothing was posted
+async function catchupChannel(teamId, channelId, userId, client, range) {
+  const { messages: humanMessages } = await fetchHistory(client, channelId, {
+    filter: isHumanMessage,
+    maxMessages: MAX_CATCHUP_MESSAGES,
+    oldest: range.oldest,
+    ...(range.latest ? { latest: range.latest, inclusive: true } : {})
+  });
+  if (humanMessages.length === 0) return null;
+
+  const conversation = await attachThreadReplies(client, channelId, humanMessages);
+  const summaryOptions = await channelSummaryOptions(teamId, channelId);
+  const summaryData = await generateSummary(conversation, client, { ...summaryOptions, range, personalFor: userId, citations: false });
+  if (summaryData.failed) {
+    throw new Error(`Catch-up summary failed for ${channelId}`);
+  }
+
+  const mentions = findMentions(conversation, userId);
+  for (const mention of mentions.slice(-MAX_CATCHUP_PERMALINKS)) {
+    const result = await client.chat.getPermalink({ channel: channelId, message_ts: mention.timestamp }).catch(() => null);
+    mention.permalink = result?.permalink || null;
+  }
+
+  return {
+    channelId,
+    messageCount: countMessages(conversation),
+    structured: summaryData.structured,
+    mentions: mentions.reverse(), // newest first
+    tasks: await taskStore.list(teamId, { status: 'open', channelId, ownerId: userId })
+  };
+}
+
+// "catchup [#channel ...] [since monday] [dm]" - what the user missed, across channels, just for them.
+// Without channels it covers every channel Paper summarizes that the user is in.
+async function runCatchupCommand(ctx) {
+  const { teamId, channelId, userId, args, prefix, reply } = ctx;
+  const client = await getCommandClient(ctx);
+  if (!client) return;
+
+  const { channelIds: requested, rangeText, dm } = parseCatchupArgs(args);
+  const { settings } = await resolveChannelSettings(teamId, channelId);
+  const range = parseTimeRange(rangeText || CATCHUP_DEFAULT_RANGE, {
+    timeZone: await getUserTimezone(client, userId, settings.timezone)
+  });
+  if (!range) {
+    await reply(`📅 I couldn't understand \`${rangeText}\`. Try \`${prefix} catchup since monday\` or \`${prefix} catchup <#${channelId}> last 3 days\`.`, { ephemeral: true });
+    return;
+  }
+
+  // Only channels the user can read themselves
+  const memberOf = await getUserChannelIds(client, userId);
+  const candidates = requested.length > 0
+    ? requested
+    : channelState.list(teamId).map(entry => entry.channelId);
+  const channelIds = candidates.filter(id => memberOf.has(id)).slice(0, MAX_CATCHUP_CHANNELS);
+  const skipped = requested.filter(id => !memberOf.has(id));
+
+  if (channelIds.length === 0) {
+    await reply(requested.length > 0
+      ? "🤔 You're not a member of any of those channels (or I'm not in them)."
+      : `🤔 I'm not summarizing any channels you're in yet. Name some with \`${prefix} catchup #channel\`.`, { ephemeral: true });
+    return;
+  }
+
+  await reply(`⏳ Catching you up on ${channelIds.length} channel${channelIds.length === 1 ? '' : 's'} (${formatTimeRange(range)})…`, { ephemeral: true });
+  console.log(`👋 Catch-up for ${teamId}/${userId}: ${channelIds.join(', ')} (${range.label})`);
+
+  const recaps = [];
+  const quiet = [];
+  const failed = [];
+  for (const id of channelIds) {
+    try {
+      const recap = await catchupChannel(teamId, id, userId, client, range);
+      if (recap) {
+        recaps.push(recap);
+      } else {
+        quiet.push(id);
+      }
+    } catch (error) {
+      console.error(`❌ Catch-up error for ${teamId}/${id}:`, error.data?.error || error.message);
+      failed.push(id);
+    }
+  }
+
+  if (recaps.length === 0 && failed.length > 0) {
+    await reply("❌ Sorry, I couldn't put your catch-up together right now. Please try again in a moment.", { ephemeral: true });
+    return;
+  }
+  if (recaps.length === 0) {
+    await reply(`🌴 Nothing new in ${channelIds.map(id => `<#${id}>`).join(', ')} for ${formatTimeRange(range)}.`, { ephemeral: true });
+    return;
+  }
+
+  const message = {
+    text: `👋 Here's what you missed (${formatTimeRange(range)})`,
+    blocks: renderCatchupBlocks({ userId, window: formatTimeRange(range), recaps, quiet, skipped, failed })
+  };
+  if (dm) {
+    await client.chat.postMessage({ channel: userId, ...message });
+  } else {
+    await reply(message, { ephemeral: true });
+  }
+}
+const MAX_VERSIONS_LISTED = 10;
+
+const VERSION_KINDS = {
+  rolling: 'Rolling update',
+  fresh: 'Fresh summary',
+  bootstrap: 'First summary',
+  rollback: 'Rollback'
+};
+
+function tsDate(ts, format = '{date_short} {time}') {
+  return `<!date^${Math.floor(parseFloat(ts))}^${format}|${new Date(parseFloat(ts) * 1000).toISOString()}>`;
+}
+
+// "history" - recent canvas versions, newest (the one on the canvas) first
+async function runHistoryCommand({ teamId, channelId, prefix, reply }) {
+  const versions = await canvasHistory.list(teamId, channelId, MAX_VERSIONS_LISTED);
+  if (versions.length === 0) {
+    await reply("🗂️ No canvas versions yet - they're saved every time I publish a summary.", { ephemeral: true });
+    return;
+  }
+
+  const lines = versions.map((version, index) => [
+    `*#${version.number}* ${tsDate(version.createdAt / 1000)}`,
+    version.kind === 'rollback' ? `${VERSION_KINDS.rollback} to #${version.restoredFrom}` : (VERSION_KINDS[version.kind] || version.kind),
+    version.source ? `${version.source.messages} messages (${tsDate(version.source.oldest)} – ${tsDate(version.source.latest)})` : `${version.messageCount} messages`,
+    version.model,
+    index === 0 ? '_current_' : null
+  ].filter(Boolean).join(' • '));
+
+  await reply([
+    `🗂️ *Canvas versions for <#${channelId}>*`,
+    ``,
+    ...lines,
+    ``,
+    `_Restore one with \`${prefix} rollback <number>\` - the current summary stays in the history._`
+  ].join('\n'), { ephemeral: true });
+}
+
+// "rollback <n>" - queue a canvas-rollback job for a stored version
+async function runRollbackCommand({ teamId, channelId, userId, args, prefix, reply }) {
+  const number = parseInt((args[0] || '').replace(/^#/, ''), 10);
+  if (!number) {
+    await reply(`🗂️ Which version? \`${prefix} rollback 12\` restores version #12 - \`${prefix} history\` lists them.`, { ephemeral: true });
+    return;
+  }
+
+  const [version, latest] = await Promise.all([
+    canvasHistory.get(teamId, channelId, number),
+    canvasHistory.latest(teamId, channelId)
+  ]);
+  if (!version) {
+    await reply(`🤔 I don't have version #${number} for this channel. \`${prefix} history\` lists the ones I kept.`, { ephemeral: true });
+    return;
+  }
+  if (latest && latest.number === number) {
+    await reply(`👍 Version #${number} is already on the canvas.`, { ephemeral: true });
+    return;
+  }
+  const { settings } = await resolveChannelSettings(teamId, channelId);
+  if (restorableContent(version, { appendMode: settings.canvasMode === 'append' }) === null) {
+    await reply(`🙅 Version #${number} only holds the update appended at the time, not the whole summary, so restoring it would drop the earlier updates. Pick another version from \`${prefix} history\`.`, { ephemeral: true });
+    return;
+  }
+
+  await jobQueue.enqueue('canvas-rollback', { teamId, channelId, number, userId }, {
+    key: channelJobKey(teamId, channelId),
+    maxAttempts: 3
+  });
+  await reply(`↩️ Restoring version #${number} to the canvas…`, { ephemeral: true });
+}
+
+// Pause or resume automatic summaries ("/paper pause|resume", App Home buttons)
+function setPaused(teamId, channelId, paused, userId) {
+  const channelData = getChannelData(teamId, channelId);
+  channelData.paused = paused;
+  if (!paused) {
+    channelData.lastUpdate = Date.now(); // don't fire a catch-up update the moment it resumes
+  }
+  saveChannelData(teamId, channelId);
+  console.log(`${paused ? '⏸️ Auto-summaries paused' : '▶️ Auto-summaries resumed'} for ${teamId}/${channelId} by ${userId}`);
+}
+
+// Fresh summary from channel history, queued without waiting (App Home "Summarize now")
+function enqueueManualSummary(teamId, channelId) {
+  return jobQueue.enqueue('summary', { teamId, channelId, mode: 'history' }, {
+    key: channelJobKey(teamId, channelId),
+    dedupe: 'manual',
+    maxAttempts: 1
+  });
+}
+
+// "config" - model selection is per workspace (model=gpt-4o temperature=0.2 max_tokens=1200 context_window=32768);
+// Paper settings are per channel (threshold=20 tz=Europe/Berlin), or per workspace with "workspace".
+// key=default removes an override so the value is inherited again.
+async function runConfigCommand({ teamId, channelId, userId, args, prefix, reply }) {
+  const options = parseKeyValueArgs(args);
+  const workspaceLevel = options.workspace === true;
+  const currentLLMSettings = await llm.getSettings(teamId);
+  const { patch: llmArgs, invalid } = parseLLMSettingsArgs(options);
+  const { patch: llmPatch, errors: llmErrors } = validateLLMPatch(currentLLMSettings, llmArgs, { allowMock: llm.allowMock });
+  const { patch, errors: settingsErrors, ignored } = parseSettingsPatch(options);
+  const errors = [...llmErrors, ...settingsErrors];
+
+  // Options that are neither settings nor model settings (typos, bad model values) are reported, not dropped
+  const unknown = ignored.filter(name => name !== 'workspace' && !LLM_ARG_KEYS.has(name));
+  if (unknown.length > 0) {
+    errors.push(`Unknown option${unknown.length === 1 ? '' : 's'} ${unknown.map(name => `\`${name}\``).join(', ')} - see \`${prefix} help\``);
+  }
+  invalid.forEach(name => errors.push(`\`${name}\` needs a valid value (\`${prefix} config ${name}=<value>\`)`));
+
+  // The model and workspace-wide settings apply to every channel, so only admins may change them
+  const admin = (Object.keys(llmPatch).length > 0 || (workspaceLevel && Object.keys(patch).length > 0))
+    ? await isWorkspaceAdmin(teamId, userId)
+    : true;
+  if (!admin && Object.keys(llmPatch).length > 0) {
+    errors.push('Only workspace admins and owners can change the model settings');
+  }
+  if (!admin && workspaceLevel && Object.keys(patch).length > 0) {
+    errors.push(`Only workspace admins and owners can change workspace settings - leave out \`workspace\` to change this channel`);
+  }
+
+  if (errors.length > 0) {
+    await reply(`⚠️ ${errors.join('\n⚠️ ')}\n\nNothing was changed.`, { ephemeral: true });
+    return;
+  }
+
+  const llmSettings = Object.keys(llmPatch).length > 0
+    ? await llm.updateSettings(teamId, llmPatch)
+    : currentLLMSettings;
+
+  if (Object.keys(patch).length > 0) {
+    if (workspaceLevel) {
+      await settingsService.updateWorkspace(teamId, patch);
+    } else {
+      const channelData = getChannelData(teamId, channelId);
+      channelData.settings = applyPatch(channelData.settings, patch);
+      saveChannelData(teamId, channelId);
+    }
+    console.log(`⚙️ ${workspaceLevel ? 'Workspace' : 'Channel'} settings changed for ${teamId}/${channelId} by ${userId}:`, patch);
+  }
+
+  const { settings, sources } = await resolveChannelSettings(teamId, channelId);
+  await reply([
+    `🧠 *LLM settings for this workspace*`,
+    `*Provider:* ${llmSettings.provider}  •  *Model:* ${llmSettings.model}  •  *Temperature:* ${llmSettings.temperature}  •  *Max tokens:* ${llmSettings.maxTokens}  •  *Context window:* ${promptBudget(llmSettings).contextWindow}${llmSettings.contextWindow ? '' : ' (model default)'}`,
+    ``,
+    `⚙️ *Paper settings for <#${channelId}>*`,
+    ...describeSettings(settings, sources),
+    ``,
+    `_Change for this channel with \`${prefix} config threshold=20 tz=Europe/Berlin\`, for every channel with \`${prefix} config workspace template=brief\`, or reset one with \`${prefix} config lull=default\`. Models: \`${prefix} config model=<name> temperature=<0-2> max_tokens=<n> context_window=<n>\`_`
+  ].join('\n'), { ephemeral: true });
+}
+
+const commands = new CommandDispatcher()
+  .register('summary', ctx => runManualSummary(ctx, ctx.args.join(' ') || null))
+  .register('since', async (ctx) => {
+    if (ctx.args.length === 0) {
+      await ctx.reply(`📅 Please give a date like \`${ctx.prefix} since yesterday\` or \`${ctx.prefix} since 2026-10-01\`.`, { ephemeral: true });
+      return;
+    }
+    await runManualSummary(ctx, `since ${ctx.args.join(' ')}`);
+  })
+  .register('thread', runThreadCommand)
+  .register('status', async ({ teamId, channelId, reply }) => {
+    const installations = await installationStore.getAllInstallations();
+    const currentInstallation = installations.find(inst => inst.teamId === teamId);
+    const channelData = getChannelData(teamId, channelId);
+    const jobStats = await jobQueue.stats(channelJobKey(teamId, channelId));
+    const { settings } = await resolveChannelSettings(teamId, channelId);
+    const trigger = channelTriggers(channelData, settings);
+
+    await reply([
+      `📊 *Paper Status*`,
+      ``,
+      `*Team ID:* ${teamId}`,
+      `*Channel:* <#${channelId}>`,
+      `*Installation Status:* ${currentInstallation ? '✅ Installed' : '❌ Not Found'}`,
+      `*Total Installations:* ${installations.length}`,
+      `*Auto-summaries:* ${channelData.paused ? '⏸️ Paused' : '▶️ On'}`,
+      `*Canvas:* ${channelData.canvasId ? `<https://slack.com/canvas/${channelData.canvasId}|Open canvas>` : 'Not created yet'}`,
+      `*Buffered messages:* ${countBuffered(channelData.messages)}`,
+      `*Channel pace:* ${trigger.pace} (${trigger.velocity} msgs/min) – updates every ${trigger.messageThreshold} messages, ${Math.round(trigger.maxWait / 60000)} min, or after ${Math.round(trigger.lullPeriod / 1000)}s of quiet`,
+      `*Queued jobs:* ${jobStats.pending + jobStats.running} pending${jobStats.dead ? `, ${jobStats.dead} failed` : ''}`,
+      `*Last update:* <!date^${Math.floor(channelData.lastUpdate / 1000)}^{date_short_pretty} {time}|${new Date(channelData.lastUpdate).toISOString()}>`,
+      ``,
+      currentInstallation ? 'Ready to create summaries!' : 'Please install via https://paperforslack.onrender.com/install'
+    ].join('\n'), { ephemeral: true });
+  })
+  .register('pause', async ({ teamId, channelId, userId, prefix, reply }) => {
+    setPaused(teamId, channelId, true, userId);
+    await reply(`⏸️ <@${userId}> paused automatic summaries in this channel. I'll stop reading new messages until someone runs \`${prefix} resume\` - \`${prefix} summary\` still works any time.`);
+  })
+  .register('resume', async ({ teamId, channelId, userId, reply }) => {
+    setPaused(teamId, channelId, false, userId);
+    await reply(`▶️ <@${userId}> turned automatic summaries back on. The canvas will keep updating as you chat.`);
+  })
+  .register('config', runConfigCommand)
+  .register('ask', runAskCommand)
+  .register('search', runSearchCommand)
+  .register('catchup', runCatchupCommand)
+  .register('history', runHistoryCommand)
+  .register('rollback', runRollbackCommand)
+  .register('tasks', async (ctx) => {
+    const { teamId, userId, args, prefix, reply } = ctx;
+    const client = await getCommandClient(ctx);
+    if (!client) return;
+
+    const mine = parseKeyValueArgs(args).mine === true;
+    const memberOf = await getUserChannelIds(client, userId); // tasks from private channels only show up for their members
+    const tasks = (await taskStore.list(teamId, { status: 'open', ...(mine ? { ownerId: userId } : {}) }))
+      .filter(task => memberOf.has(task.channelId));
+    if (tasks.length === 0) {
+      await reply(mine ? "🎉 You have no open action items." : "🎉 No open action items in your channels.", { ephemeral: true });
+      return;
+    }
+
+    const { settings } = await settingsService.resolve(teamId);
+    const today = localDate(settings.timezone);
+    const byChannel = tasks.slice(0, MAX_TASKS_LISTED).reduce((groups, task) => {
+      (groups[task.channelId] = groups[task.channelId] || []).push(task);
+      return groups;
+    }, {});
+
+    const lines = Object.entries(byChannel).flatMap(([channelId, channelTasks]) => [
+      ``,
+      `*<#${channelId}>*`,
+      ...channelTasks.map(task => [
+        `• ${task.task}`,
+        task.ownerId ? `<@${task.ownerId}>` : (task.owner || '_unassigned_'),
+        task.dueDate ? `due ${task.dueDate}${task.dueDate < today ? ' ⚠️ overdue' : ''}` : null,
+        task.permalink ? `<${task.permalink}|source>` : null
+      ].filter(Boolean).join(' – '))
+    ]);
+
+    await reply([
+      `🎯 *${mine ? 'Your open' : 'Open'} action items* (${tasks.length})`,
+      ...lines,
+      ...(tasks.length > MAX_TASKS_LISTED ? [``, `_…and ${tasks.length - MAX_TASKS_LISTED} more._`] : []),
+      ``,
+      `_Owners get a DM when an item is assigned and a reminder before it's due. \`${prefix} tasks mine\` shows only yours._`
+    ].join('\n'), { ephemeral: true });
+  })
+  .register('help', async ({ command, source, prefix, reply }) => {
+    const intro = command.unknown
+      ? `🤔 I don't know \`${command.unknown}\`.`
+      : "Hey there! 👋 I'm *Paper* – think of me as your team's conversation memory.\n\nI automatically turn your discussions into beautiful, organized Canvas summaries. Just chat naturally and I'll:\n\n✨ *Automatically summarize* every 10 messages or so, or when the conversation goes quiet\n📝 *Extract action items* with checkboxes\n🎯 *Highlight key decisions* and insights\n💡 *Answer questions* about past discussions - just ask me";
+    await reply(`${intro}\n\n${helpText(prefix)}`, { ephemeral: source === 'slash' || !!command.unknown });
+  });
 
 // App mention handler with enhanced team ID extraction
 app.event('app_mention', async ({ event, context, say }) => {
@@ -655,104 +2326,293 @@ app.event('app_mention', async ({ event, context, say }) => {
 
     console.log(`🏷️ App mention: ${teamId}/${channelId} - "${event.text}"`);
 
-    if (event.text.includes('summary') || event.text.includes('update')) {
-      console.log(`📊 Manual summary requested for ${teamId}/${channelId}`);
-      
-      console.log(`🔍 Looking up workspace client for team: ${teamId}`);
-      console.log(`📋 Available installations: ${Array.from(installationStore.installations.keys()).join(', ')}`);
-      
-      const client = await getWorkspaceClient(teamId);
-      if (!client) {
-        console.error(`❌ No workspace client for team: ${teamId}`);
-        console.error(`📋 Installation store contents:`, Object.fromEntries(installationStore.installations));
-        await say(`❌ Sorry, I couldn't connect to your workspace (${teamId}). This workspace may not be properly installed via OAuth. Please visit https://paperforslack.onrender.com/install to install Paper Enterprise.`);
-        return;
+    // Mentions inside a thread are answered in that thread; ephemeral replies go to the mentioning user
+    const threadOptions = event.thread_ts ? { thread_ts: event.thread_ts } : {};
+    const reply = async (message, { ephemeral = false } = {}) => {
+      const payload = typeof message === 'string' ? { text: message } : message;
+      const client = ephemeral ? await getWorkspaceClient(teamId) : null;
+      if (client) {
+        await client.chat.postEphemeral({ channel: channelId, user: event.user, ...threadOptions, ...payload });
+      } else {
+        await say({ ...threadOptions, ...payload });
       }
-      
-      console.log(`✅ Got workspace client for team: ${teamId}`);
+    };
 
-      // Fetch recent messages
-      try {
-        const result = await client.conversations.history({
-          channel: channelId,
-          limit: 100,
-          exclude_archived: true
-        });
+    await commands.dispatch(event.text, {
+      teamId,
+      channelId,
+      userId: event.user,
+      threadTs: event.thread_ts || null,
+      messageTs: event.ts,
+      source: 'mention',
+      botUserId: context.botUserId,
+      prefix: '@Paper',
+      reply
+    });
+  } catch (error) {
+    console.error('❌ App mention error:', error.message);
+    await say("❌ Sorry, something went wrong. Please try again or contact support.");
+  }
+});
 
-        if (result.messages && result.messages.length > 0) {
-          const messages = result.messages
-            .filter(msg => !msg.bot_id && !msg.subtype && msg.text)
-            .reverse()
-            .map(msg => ({
-              user: msg.user,
-              text: msg.text,
-              timestamp: msg.ts
-            }));
-
-          console.log(`📚 Found ${messages.length} valid messages for manual summary`);
-
-          if (messages.length >= 3) {
-            const summaryData = await generateSummary(messages, client);
-            await updateCanvas(teamId, channelId, summaryData);
-            
-            // Get the canvas ID to create a proper link
-            const channelData = getChannelData(teamId, channelId);
-            if (channelData.canvasId) {
-              await say(`🎉 Perfect! I've created a fresh canvas summary capturing the essence of your ${messages.length}-message conversation.\n\nYour insights, decisions, and action items are now beautifully organized and ready to reference anytime. The canvas updates automatically as you continue chatting!`);
-              
-              // Post canvas link with preview
-              await client.chat.postMessage({
-                channel: channelId,
-                text: `📄 View your conversation canvas here`,
-                blocks: [
-                  {
-                    type: "section",
-                    text: {
-                      type: "mrkdwn",
-                      text: `📄 *Your conversation summary is ready!*\n\nI've organized your discussion into key insights, decisions, and action items.`
-                    }
-                  },
-                  {
-                    type: "actions",
-                    elements: [
-                      {
-                        type: "button",
-                        text: {
-                          type: "plain_text",
-                          text: "📄 Open Canvas Summary"
-                        },
-                        url: `https://slack.com/canvas/${channelData.canvasId}`,
-                        style: "primary"
-                      }
-                    ]
-                  }
-                ]
-              });
-            } else {
-              await say(`🎉 Perfect! I've summarized your ${messages.length}-message conversation into a beautiful canvas with all your key insights and action items organized.`);
-            }
-          } else {
-            await say("I'd love to help, but I need at least 3 messages to create a meaningful summary. Keep chatting and I'll automatically jump in, or mention me again once you've had a bit more discussion! 💬");
-          }
-        } else {
-          await say("📄 No messages found in this channel.");
-        }
-      } catch (fetchError) {
-        console.error(`❌ Error fetching messages for ${teamId}/${channelId}:`, fetchError.message);
-        await say("❌ Sorry, I couldn't fetch the conversation history. Please check my permissions.");
+// /paper slash command - same commands as mentions, answered through response_url
+app.command('/paper', async ({ command, ack, respond, context }) => {
+  await ack();
+
+  const teamId = getTeamId(context, command);
+  if (!teamId) {
+    await respond({ response_type: 'ephemeral', text: "❌ Sorry, I couldn't identify your workspace. Please ensure Paper is properly installed." });
+    return;
+  }
+
+  const reply = (message, { ephemeral = false } = {}) => respond({
+    response_type: ephemeral ? 'ephemeral' : 'in_channel',
+    ...(typeof message === 'string' ? { text: message } : message)
+  });
+
+  try {
+    await commands.dispatch(command.text, {
+      teamId,
+      channelId: command.channel_id,
+      userId: command.user_id,
+      threadTs: null,
+      messageTs: null,
+      source: 'slash',
+      botUserId: context.botUserId,
+      prefix: '/paper',
+      reply
+    });
+  } catch (error) {
+    console.error(`❌ /paper ${command.text} error for ${teamId}:`, error.message);
+    await reply("❌ Sorry, something went wrong. Please try again or contact support.", { ephemeral: true });
+  }
+});
+
+// Message shortcut: "Summarize this thread" - posts the summary as a reply in the thread
+app.shortcut('summarize_thread', async ({ shortcut, ack, context }) => {
+  await ack();
+
+  const teamId = getTeamId(context, shortcut) || shortcut.team?.id;
+  const channelId = shortcut.channel.id;
+  const threadTs = shortcut.message.thread_ts || shortcut.message.ts;
+  const client = teamId ? await getWorkspaceClient(teamId) : null;
+
+  if (!client) {
+    console.error(`❌ No workspace client for thread shortcut in team: ${teamId}`);
+    return;
+  }
+
+  try {
+    const summaryData = await summarizeThread(teamId, channelId, threadTs, client);
+    if (!summaryData || summaryData.failed) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: shortcut.user.id,
+        text: summaryData ? "❌ Sorry, I couldn't summarize this thread right now. Please try again in a moment." : "🧵 This thread is too short to summarize yet."
+      });
+      return;
+    }
+    await postThreadSummary(teamId, client, channelId, threadTs, summaryData);
+  } catch (error) {
+    console.error(`❌ Thread shortcut error for ${teamId}/${channelId}/${threadTs}:`, error.data?.error || error.message);
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: shortcut.user.id,
+      text: error.data?.error === 'not_in_channel'
+        ? "❌ Please invite me to this channel first (`/invite @Paper`)."
+        : "❌ Sorry, something went wrong summarizing this thread."
+    }).catch(() => {});
+  }
+});
+
+// "Save as Canvas" button on a thread summary reply
+app.action('thread_summary_canvas', async ({ action, body, ack, context }) => {
+  await ack();
+
+  const teamId = getTeamId(context, body) || body.team?.id;
+  const { channelId, threadTs } = JSON.parse(action.value);
+  const client = teamId ? await getWorkspaceClient(teamId) : null;
+  if (!client) return;
+
+  try {
+    // Save the summary that was posted; it's only regenerated for summaries posted before they were kept
+    const key = threadSummaryKey(teamId, channelId, body.message?.ts);
+    const posted = await threadSummaries.get(key);
+    if (posted?.canvasId) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: body.user.id,
+        text: `📄 This summary is already saved: <https://slack.com/canvas/${posted.canvasId}|open the canvas>`
+      });
+      return;
+    }
+
+    const summaryData = posted?.summaryData || await summarizeThread(teamId, channelId, threadTs, client);
+    if (summaryData && !summaryData.failed) {
+      const canvasId = await createThreadSummaryCanvas(teamId, client, channelId, threadTs, summaryData);
+      if (posted) {
+        await threadSummaries.set(key, { ...posted, canvasId });
       }
-    } else if (event.text.includes('debug') || event.text.includes('status')) {
-      // Debug command to check installation status
-      const installations = installationStore.getAllInstallations();
-      const currentInstallation = installations.find(inst => inst.teamId === teamId);
-      
-      await say(`📊 **Paper Enterprise Debug Info**\n\n**Team ID:** ${teamId}\n**Channel:** ${channelId}\n**Installation Status:** ${currentInstallation ? '✅ Installed' : '❌ Not Found'}\n**Total Installations:** ${installations.length}\n\n${currentInstallation ? 'Ready to create summaries!' : 'Please install via https://paperforslack.onrender.com/install'}`);
-    } else {
-      await say("Hey there! 👋 I'm **Paper** – think of me as your team's conversation memory.\n\nI automatically turn your discussions into beautiful, organized Canvas summaries. Just chat naturally and I'll:\n\n✨ **Automatically summarize** every 10 messages or couple minutes\n📝 **Extract action items** with checkboxes\n🎯 **Highlight key decisions** and insights\n\nNeed something right now? Just say `@Paper summary` and I'll create a fresh canvas summary of your recent conversation!");
     }
   } catch (error) {
-    console.error('❌ App mention error:', error.message);
-    await say("❌ Sorry, something went wrong. Please try again or contact support.");
+    console.error(`❌ Thread canvas error for ${teamId}/${channelId}/${threadTs}:`, error.data?.error || error.message);
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: body.user.id,
+      text: "❌ Sorry, I couldn't create a canvas for this thread."
+    }).catch(() => {});
+  }
+});
+
+// "Mark done" on a task DM
+app.action(TASK_DONE_ACTION, async ({ action, body, ack, respond, context }) => {
+  await ack();
+  const teamId = getTeamId(context, body) || body.team?.id;
+
+  try {
+    const task = await taskStore.close(teamId, action.value, body.user.id);
+    await respond({
+      replace_original: true,
+      text: task ? `✅ Done: ~${task.task}~ (<#${task.channelId}>)` : '🤔 I couldn\'t find that action item any more.'
+    });
+    if (task) console.log(`✅ Task ${task.id} marked done by ${body.user.id} in ${teamId}`);
+  } catch (error) {
+    console.error(`❌ Task update error for ${teamId}/${action.value}:`, error.data?.error || error.message);
+  }
+});
+
+// App Home - every channel Paper keeps a canvas for, with pause/resume, summarize and settings
+async function publishHome(client, teamId, userId, notice = null) {
+  const pendingJobs = await jobQueue.list({ status: 'pending' });
+  const memberOf = await getUserChannelIds(client, userId); // private channels only show up for their members
+  const channels = channelState.list(teamId)
+    .filter(({ channelId }) => memberOf.has(channelId))
+    .map(({ channelId, state }) => ({
+      channelId,
+      paused: state.paused,
+      canvasId: state.canvasId,
+      lastUpdate: state.canvasId ? state.lastUpdate : null,
+      summarizedMessageCount: state.summarizedMessageCount,
+      bufferedCount: countBuffered(createBuffer(state.messages)),
+      pendingJobs: pendingJobs.filter(job => job.key === channelJobKey(teamId, channelId)).length
+    }))
+    .sort((a, b) => (b.lastUpdate || 0) - (a.lastUpdate || 0));
+
+  await client.views.publish({ user_id: userId, view: renderHomeView({ channels, notice }) });
+}
+
+// Home tab buttons and the settings modal carry a channel ID - only act on it for the channel's members
+async function checkHomeChannel(client, teamId, userId, channelId) {
+  if ((await getUserChannelIds(client, userId)).has(channelId)) return true;
+  console.log(`🚫 ${userId} is not a member of ${teamId}/${channelId} - ignoring App Home action`);
+  await publishHome(client, teamId, userId, `🚫 You can only manage channels you're a member of.`);
+  return false;
+}
+
+app.event('app_home_opened', async ({ event, context, client }) => {
+  if (event.tab !== 'home') return;
+
+  const teamId = getTeamId(context, event);
+  if (!teamId) return;
+
+  try {
+    console.log(`🏠 App Home opened by ${event.user} in ${teamId}`);
+    await publishHome(client, teamId, event.user);
+  } catch (error) {
+    console.error(`❌ App Home error for ${teamId}:`, error.data?.error || error.message);
+  }
+});
+
+app.action(HOME_ACTIONS.refresh, async ({ body, ack, context, client }) => {
+  await ack();
+  const teamId = getTeamId(context, body) || body.team?.id;
+  await publishHome(client, teamId, body.user.id)
+    .catch(error => console.error(`❌ App Home refresh error for ${teamId}:`, error.data?.error || error.message));
+});
+
+app.action(HOME_ACTIONS.togglePause, async ({ action, body, ack, context, client }) => {
+  await ack();
+  const teamId = getTeamId(context, body) || body.team?.id;
+  const channelId = action.value;
+  const userId = body.user.id;
+
+  try {
+    if (!(await checkHomeChannel(client, teamId, userId, channelId))) return;
+    const paused = !getChannelData(teamId, channelId).paused;
+    setPaused(teamId, channelId, paused, userId);
+    await client.chat.postMessage({
+      channel: channelId,
+      text: paused
+        ? `⏸️ <@${userId}> paused automatic summaries in this channel from the Paper home tab.`
+        : `▶️ <@${userId}> turned automatic summaries back on from the Paper home tab.`
+    }).catch(error => console.log(`⚠️ Could not announce pause change in ${channelId}: ${error.data?.error || error.message}`));
+    await publishHome(client, teamId, userId, `${paused ? '⏸️ Paused' : '▶️ Resumed'} automatic summaries in <#${channelId}>.`);
+  } catch (error) {
+    console.error(`❌ App Home pause error for ${teamId}/${channelId}:`, error.data?.error || error.message);
+  }
+});
+
+app.action(HOME_ACTIONS.summarize, async ({ action, body, ack, context, client }) => {
+  await ack();
+  const teamId = getTeamId(context, body) || body.team?.id;
+  const channelId = action.value;
+
+  try {
+    if (!(await checkHomeChannel(client, teamId, body.user.id, channelId))) return;
+    console.log(`📊 Summary requested from App Home for ${teamId}/${channelId} by ${body.user.id}`);
+    await enqueueManualSummary(teamId, channelId);
+    await publishHome(client, teamId, body.user.id, `📝 Summarizing <#${channelId}> - the canvas updates in a moment.`);
+  } catch (error) {
+    console.error(`❌ App Home summary error for ${teamId}/${channelId}:`, error.data?.error || error.message);
+  }
+});
+
+app.action(HOME_ACTIONS.settings, async ({ action, body, ack, context, client }) => {
+  await ack();
+  const teamId = getTeamId(context, body) || body.team?.id;
+  const channelId = action.value;
+
+  try {
+    if (!(await checkHomeChannel(client, teamId, body.user.id, channelId))) return;
+    const { settings: inherited } = await settingsService.resolve(teamId);
+    const channelName = await client.conversations.info({ channel: channelId })
+      .then(result => result.channel?.name)
+      .catch(() => null);
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: renderSettingsModal({
+        channelId,
+        channelName,
+        overrides: getChannelData(teamId, channelId).settings || {},
+        inherited
+      })
+    });
+  } catch (error) {
+    console.error(`❌ Settings modal error for ${teamId}/${channelId}:`, error.data?.error || error.message);
+  }
+});
+
+app.view(SETTINGS_MODAL_ID, async ({ ack, view, body, context, client }) => {
+  const { patch, errors } = parseSettingsSubmission(view.state.values);
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  await ack();
+
+  const teamId = getTeamId(context, body) || body.team?.id;
+  const { channelId } = JSON.parse(view.private_metadata);
+  try {
+    if (!(await checkHomeChannel(client, teamId, body.user.id, channelId))) return;
+    const channelData = getChannelData(teamId, channelId);
+    channelData.settings = applyPatch(channelData.settings, patch);
+    saveChannelData(teamId, channelId);
+    console.log(`⚙️ Channel settings changed for ${teamId}/${channelId} by ${body.user.id} (App Home):`, channelData.settings);
+
+    await publishHome(client, teamId, body.user.id, `⚙️ Saved settings for <#${channelId}>.`);
+  } catch (error) {
+    console.error(`❌ Settings save error for ${teamId}/${channelId}:`, error.data?.error || error.message);
   }
 });
 
@@ -766,6 +2626,24 @@ app.error((error) => {
   try {
     console.log('🚀 Starting Paper Enterprise...');
     
+    // Restore buffered messages, canvas IDs and bootstrap flags from the last run
+    await channelState.restore();
+
+    // Pick up queued jobs (interrupted ones are re-run)
+    await jobQueue.start();
+    await jobQueue.enqueue('task-reminders', {}, { delay: TASK_REMINDER_INTERVAL, dedupe: 'task-reminders' });
+    
+    // Flush channel state before the platform stops us (Render sends SIGTERM on redeploy)
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.once(signal, async () => {
+        console.log(`🛑 ${signal} received - saving channel state`);
+        jobQueue.stop();
+        await channelState.flush();
+        await searchStore.flush();
+        process.exit(0);
+      });
+    }
+    
     // Start HTTP server for OAuth
     const express = require('express');
     const httpApp = express();
@@ -779,24 +2657,25 @@ app.error((error) => {
     });
 
     // Health check
-    httpApp.get('/', (req, res) => {
+    httpApp.get('/', async (req, res) => {
       res.json({
         app: 'Paper Enterprise',
         status: 'healthy',
         mode: 'Multi-Workspace OAuth',
-        workspaces: installationStore.getAllInstallations().length,
+        workspaces: (await installationStore.getAllInstallations()).length,
         timestamp: new Date().toISOString()
       });
     });
 
     // Status endpoint
-    httpApp.get('/status', (req, res) => {
-      const workspaces = installationStore.getAllInstallations();
+    httpApp.get('/status', async (req, res) => {
+      const workspaces = await installationStore.getAllInstallations();
       res.json({
         app: 'Paper Enterprise',
         status: 'running',
         workspaces: workspaces.length,
         installations: workspaces,
+        jobs: await jobQueue.stats(),
         timestamp: new Date().toISOString()
       });
     });
@@ -804,7 +2683,7 @@ app.error((error) => {
     // OAuth installation
     httpApp.get('/slack/install', app.installer?.handleInstallPath?.bind(app.installer) || ((req, res) => {
       const clientId = process.env.SLACK_CLIENT_ID;
-      const scopes = encodeURIComponent('channels:read,channels:history,chat:write,chat:write.public,app_mentions:read,canvases:write,canvases:read,users:read,team:read,groups:read,groups:history,im:write,mpim:write');
+      const scopes = encodeURIComponent('channels:read,channels:history,chat:write,chat:write.public,app_mentions:read,canvases:write,canvases:read,users:read,team:read,groups:read,groups:history,im:write,mpim:write,commands');
       
       // Force HTTPS for production (Render always serves over HTTPS)
       const protocol = process.env.NODE_ENV === 'production' ? 'https' : req.protocol;
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../lib/job-queue');
+const { MemoryStorageAdapter } = require('../lib/storage');
+
+// Lets jobs started by tick() (which doesn't wait for them) finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+function createQueue(options = {}) {
+  return new JobQueue(new MemoryStorageAdapter(), { baseBackoff: 1000, maxBackoff: 4000, ...options });
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Math, 'random', () => 0); // no retry jitter
+});
+
+test('enqueue rejects unknown job types', async () => {
+  await assert.rejects(createQueue().enqueue('nope', {}), /No handler registered/);
+});
+
+test('dedupe returns the pending job instead of adding another', async () => {
+  const queue = createQueue().register('summary', async () => {});
+  const first = await queue.enqueue('summary', { n: 1 }, { key: 'T1/C1', dedupe: 'lull' });
+  const second = await queue.enqueue('summary', { n: 2 }, { key: 'T1/C1', dedupe: 'lull' });
+  const otherKey = await queue.enqueue('summary', { n: 3 }, { key: 'T1/C2', dedupe: 'lull' });
+
+  assert.equal(second.id, first.id);
+  assert.deepEqual(second.payload, { n: 1 });
+  assert.notEqual(otherKey.id, first.id);
+  assert.equal((await queue.list({ status: 'pending' })).length, 2);
+});
+
+test('tick runs due jobs and leaves delayed ones waiting', async () => {
+  const seen = [];
+  const queue = createQueue().register('summary', async (payload) => { seen.push(payload.n); });
+  const job = await queue.enqueue('summary', { n: 21 });
+  const later = await queue.enqueue('summary', { n: 1 }, { key: 'other', delay: 60 * 1000 });
+
+  await queue.tick();
+  await settle();
+  assert.deepEqual(seen, [21]);
+  assert.equal(await queue.adapter.get(job.id), null, 'finished jobs are removed');
+  assert.equal((await queue.adapter.get(later.id)).status, 'pending');
+});
+
+test('jobs sharing a key run one at a time in order', async () => {
+  const order = [];
+  let release;
+  const queue = createQueue().register('summary', async ({ n }) => {
+    order.push(n);
+    if (n === 1) await new Promise(resolve => { release = resolve; });
+  });
+  await queue.enqueue('summary', { n: 1 }, { key: 'T1/C1' });
+  await queue.enqueue('summary', { n: 2 }, { key: 'T1/C1' });
+
+  await queue.tick();
+  await queue.tick();
+  assert.deepEqual(order, [1]);
+
+  release();
+  await settle();
+  await queue.tick();
+  await settle();
+  assert.deepEqual(order, [1, 2]);
+  assert.deepEqual(await queue.list(), []);
+});
+
+test('failures back off exponentially up to maxBackoff, then dead-letter', async () => {
+  const queue = createQueue().register('summary', async () => { throw new Error('rate limited'); });
+  const job = await queue.enqueue('summary', {}, { maxAttempts: 4 });
+  const delays = [];
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const before = Date.now();
+    await queue.run(await queue.adapter.get(job.id));
+    const stored = await queue.adapter.get(job.id);
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.lastError, 'rate limited');
+    delays.push(Math.round((stored.runAt - before) / 1000) * 1000);
+  }
+  assert.deepEqual(delays, [1000, 2000, 4000]);
+
+  await queue.run(await queue.adapter.get(job.id));
+  assert.equal((await queue.adapter.get(job.id)).status, 'dead');
+  assert.equal((await queue.adapter.get(job.id)).attempts, 4);
+});
+
+test('non-retryable errors are dead-lettered on the first attempt', async () => {
+  const slackError = Object.assign(new Error('An API error occurred'), { data: { error: 'channel_not_found' } });
+  const queue = createQueue()
+    .register('slack', async () => { throw slackError; })
+    .register('bad', async () => { throw Object.assign(new Error('bad payload'), { retryable: false }); });
+
+  const slack = await queue.enqueue('slack', {});
+  const bad = await queue.enqueue('bad', {});
+  await queue.run(await queue.adapter.get(slack.id));
+  await queue.run(await queue.adapter.get(bad.id));
+
+  const dead = await queue.list({ status: 'dead' });
+  assert.deepEqual(dead.map(job => [job.attempts, job.lastError]), [[1, 'channel_not_found'], [1, 'bad payload']]);
+  assert.deepEqual((await queue.stats()).byType.slack, { pending: 0, running: 0, dead: 1 });
+});
+
+test('dead jobs are pruned after the retention period and beyond the cap', async () => {
+  const queue = createQueue().register('summary', async () => { throw Object.assign(new Error('broken'), { retryable: false }); });
+  const old = Date.now() - 8 * 24 * 60 * 60 * 1000;
+  await queue.adapter.setMany(Array.from({ length: 205 }, (_, index) => [`dead-${index}`, {
+    id: `dead-${index}`, type: 'summary', key: 'k', status: 'dead', createdAt: index, updatedAt: Date.now() - 1000 + index
+  }]));
+  await queue.adapter.set('expired', { id: 'expired', type: 'summary', key: 'k', status: 'dead', createdAt: 0, updatedAt: old });
+
+  assert.equal(await queue.pruneDead(), 6);
+  const dead = await queue.list({ status: 'dead' });
+  assert.equal(dead.length, 200);
+  assert.equal(await queue.adapter.get('expired'), null);
+  assert.equal(await queue.adapter.get('dead-0'), null, 'the oldest go first');
+  assert.ok(await queue.adapter.get('dead-204'));
+
+  // Dead-lettering another job prunes as well
+  const job = await queue.enqueue('summary', {});
+  await queue.run(await queue.adapter.get(job.id));
+  assert.equal((await queue.list({ status: 'dead' })).length, 200);
+  assert.equal((await queue.adapter.get(job.id)).status, 'dead');
+});
+
+test('start recovers jobs that were running when the process stopped', async () => {
+  const queue = createQueue({ pollInterval: 60 * 1000 }).register('summary', async () => {});
+  const job = await queue.enqueue('summary', {});
+  await queue.adapter.set(job.id, { ...job, status: 'running', attempts: 1 });
+
+  await queue.start();
+  queue.stop();
+  assert.equal((await queue.adapter.get(job.id)).status, 'pending');
+});
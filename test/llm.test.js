@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  OpenAIProvider,
+  LocalProvider,
+  MockProvider,
+  LLMService,
+  createProvider,
+  mockProviderAllowed,
+  validateLLMPatch
+} = require('../lib/llm');
+const { MemoryStorageAdapter } = require('../lib/storage');
+const { parseSummaryJSON } = require('../lib/summary-schema');
+
+const DEFAULTS = { provider: 'mock', model: 'mock', temperature: 0.3, maxTokens: 1500, contextWindow: null, baseURL: null };
+
+function createService(defaults = DEFAULTS, options = { allowMock: true }) {
+  return new LLMService(new MemoryStorageAdapter(), defaults, options);
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('MockProvider JSON output round-trips through parseSummaryJSON', async () => {
+  const provider = new MockProvider();
+  const request = {
+    messages: [{ role: 'system', content: 'Summarize' }, { role: 'user', content: 'Ana: ship on Friday\nBo: QA signs off Thursday' }],
+    maxTokens: 1500,
+    json: true
+  };
+
+  const reply = await provider.complete(request);
+  const { summary, errors } = parseSummaryJSON(reply);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(summary.topics.map(topic => topic.title), ['Ana: ship on Friday', 'Bo: QA signs off Thursday']);
+  assert.equal(await provider.complete(request), reply, 'the same input gives the same output');
+  assert.equal(provider.calls.length, 2);
+});
+
+test('MockProvider answers title requests and accepts a custom responder', async () => {
+  assert.equal(await new MockProvider().complete({ messages: [], maxTokens: 30 }), 'Mock Conversation Summary');
+  const provider = new MockProvider({ respond: ({ model }) => `reply from ${model}` });
+  assert.equal(await provider.complete({ model: 'm1', messages: [] }), 'reply from m1');
+});
+
+test('createProvider picks the provider class and rejects unknown ones', () => {
+  assert.ok(createProvider({ provider: 'openai', apiKey: 'test' }) instanceof OpenAIProvider);
+  assert.equal(createProvider({ provider: 'local', baseURL: 'http://models:11434/' }).baseURL, 'http://models:11434');
+  assert.ok(createProvider({ provider: 'mock' }) instanceof MockProvider);
+  assert.throws(() => createProvider({ provider: 'claude' }), /Unknown LLM provider: claude/);
+});
+
+test('workspace overrides layer over the global defaults', async () => {
+  const service = createService();
+  await service.updateSettings('T1', { model: 'mock-large', temperature: 0 });
+
+  assert.deepEqual(await service.getSettings('T1'), { ...DEFAULTS, model: 'mock-large', temperature: 0 });
+  assert.deepEqual(await service.getSettings('T2'), DEFAULTS);
+  assert.deepEqual(await service.getSettings(), DEFAULTS);
+
+  const updated = await service.updateSettings('T1', { temperature: 0.5 });
+  assert.equal(updated.model, 'mock-large', 'earlier overrides are kept');
+  assert.equal(updated.temperature, 0.5);
+});
+
+test('complete uses the workspace provider and model, with per-call options winning', async () => {
+  const service = createService();
+  await service.updateSettings('T1', { model: 'mock-large', maxTokens: 800 });
+
+  await service.complete('T1', { messages: [{ role: 'user', content: 'hi' }] });
+  await service.complete('T2', { messages: [{ role: 'user', content: 'hi' }], model: 'other', temperature: 0 });
+
+  const [first, second] = service.getProvider(DEFAULTS).calls;
+  assert.deepEqual([first.model, first.maxTokens, first.temperature], ['mock-large', 800, 0.3]);
+  assert.deepEqual([second.model, second.maxTokens, second.temperature], ['other', 1500, 0]);
+});
+
+test('providers are shared per provider and base URL', async () => {
+  const service = createService({ ...DEFAULTS, provider: 'openai', model: 'gpt-4', apiKey: 'test' });
+  await service.updateSettings('T1', { provider: 'local', model: 'llama3' });
+
+  const openai = service.getProvider(await service.getSettings('T2'));
+  const local = service.getProvider(await service.getSettings('T1'));
+  assert.ok(openai instanceof OpenAIProvider);
+  assert.ok(local instanceof LocalProvider);
+  assert.equal(service.getProvider(await service.getSettings('T3')), openai);
+  assert.notEqual(service.getProvider({ provider: 'openai', baseURL: 'http://vllm:8000/v1', apiKey: 'test' }), openai);
+});
+
+test('a stored mock override is ignored where mock is not allowed', async () => {
+  const adapter = new MemoryStorageAdapter();
+  await adapter.set('T1', { provider: 'mock', model: 'mock', temperature: 0 });
+  const service = new LLMService(adapter, { ...DEFAULTS, provider: 'openai', model: 'gpt-4' }, { allowMock: false });
+
+  const settings = await service.getSettings('T1');
+  assert.equal(settings.provider, 'openai');
+  assert.equal(settings.model, 'gpt-4');
+  assert.equal(settings.temperature, 0);
+});
+
+test('validateLLMPatch resets the model on a provider switch and checks OpenAI model names', () => {
+  const current = { provider: 'openai', model: 'gpt-4', baseURL: null };
+
+  assert.deepEqual(validateLLMPatch(current, { provider: 'local' }), { patch: { provider: 'local', model: 'llama3' }, errors: [] });
+  assert.deepEqual(validateLLMPatch(current, { temperature: 0.2 }).errors, []);
+  assert.match(validateLLMPatch(current, { model: 'llama3' }).errors[0], /"llama3" isn't an OpenAI model/);
+  assert.deepEqual(validateLLMPatch({ ...current, baseURL: 'http://vllm:8000/v1' }, { model: 'qwen2' }).errors, []);
+});
+
+test('provider=mock needs the deployment to allow it', () => {
+  const current = { provider: 'openai', model: 'gpt-4', baseURL: null };
+
+  assert.match(validateLLMPatch(current, { provider: 'mock' }, { allowMock: false }).errors[0], /LLM_ALLOW_MOCK/);
+  assert.deepEqual(validateLLMPatch(current, { provider: 'mock' }, { allowMock: true }).errors, []);
+
+  assert.equal(mockProviderAllowed({}), false);
+  assert.equal(mockProviderAllowed({ LLM_ALLOW_MOCK: 'true' }), true);
+  assert.equal(mockProviderAllowed({ LLM_PROVIDER: 'mock' }), true);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { packByBudget, chunkConversation, reduceHierarchically } = require('../lib/map-reduce');
+const { countTokens } = require('../lib/prompt-budget');
+
+// Renders entries the way a prompt would, one line per message and reply
+const format = (messages) => messages
+  .flatMap(message => [message.text, ...(message.replies || []).map(reply => `  ${reply.text}`)])
+  .join('\n');
+
+const words = (count, word = 'update') => Array(count).fill(word).join(' ');
+
+test('packByBudget groups consecutive items up to the budget', () => {
+  const groups = packByBudget([3, 4, 2, 9, 1], size => size, 7);
+  assert.deepEqual(groups, [[3, 4], [2], [9], [1]]);
+});
+
+test('packByBudget with minSize never leaves a group smaller than it', () => {
+  assert.deepEqual(packByBudget([5, 5, 5], size => size, 6, { minSize: 2 }), [[5, 5], [5]]);
+});
+
+test('chunkConversation keeps every message and respects the budget', () => {
+  const messages = Array.from({ length: 30 }, (_, index) => ({ timestamp: `${index}.0`, text: `${index}: ${words(20)}`, replies: [] }));
+  const chunks = chunkConversation(messages, format, 100);
+
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.flat().map(message => message.timestamp), messages.map(message => message.timestamp));
+  chunks.forEach(chunk => assert.ok(countTokens(format(chunk)) <= 100));
+});
+
+test('a thread too big for one chunk is split into runs that repeat the parent as context', () => {
+  const thread = {
+    timestamp: '1.0',
+    text: 'Incident review',
+    replies: Array.from({ length: 12 }, (_, index) => ({ timestamp: `${index + 2}.0`, text: words(20, 'outage') }))
+  };
+  const chunks = chunkConversation([thread, { timestamp: '20.0', text: 'after the thread', replies: [] }], format, 100);
+  const parts = chunks.flat().filter(entry => entry.timestamp === '1.0');
+
+  assert.ok(parts.length > 1);
+  assert.equal(parts[0].summarizedParent, undefined);
+  parts.slice(1).forEach(part => assert.equal(part.summarizedParent, true));
+  assert.deepEqual(parts.flatMap(part => part.replies), thread.replies);
+  assert.equal(chunks.at(-1).at(-1).timestamp, '20.0');
+});
+
+test('reduceHierarchically merges in rounds until one result is left', async () => {
+  const calls = [];
+  const merge = async (group, { final }) => {
+    calls.push({ size: group.length, final });
+    return final ? group.join('+') : 1;
+  };
+
+  // 6 parts -> 3 -> 2 (the odd one out is carried over unmerged) -> final
+  const { result, rounds } = await reduceHierarchically([1, 1, 1, 1, 1, 1], { measure: part => part, budget: 2, merge });
+  assert.equal(result, '1+1');
+  assert.equal(rounds, 3);
+  assert.deepEqual(calls, [
+    { size: 2, final: false },
+    { size: 2, final: false },
+    { size: 2, final: false },
+    { size: 2, final: false },
+    { size: 2, final: true }
+  ]);
+});
+
+test('reduceHierarchically merges parts that already fit in a single call', async () => {
+  const { result, rounds } = await reduceHierarchically(['a', 'b'], {
+    measure: () => 1,
+    budget: 10,
+    merge: async (group, { final }) => `${final ? 'final' : 'partial'}:${group.join('')}`
+  });
+  assert.equal(result, 'final:ab');
+  assert.equal(rounds, 1);
+});
+
+test('reduceHierarchically throws when two parts do not fit the merge budget', async () => {
+  await assert.rejects(
+    reduceHierarchically([5, 5, 5], { measure: part => part, budget: 6, merge: async () => 1 }),
+    /don't fit a 6 token merge prompt/
+  );
+});
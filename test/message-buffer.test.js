@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createBuffer,
+  addMessage,
+  findMessage,
+  editMessage,
+  deleteMessage,
+  toConversation,
+  removeSummarized,
+  conversationTimestamps,
+  conversationSkeleton,
+  trimBuffer,
+  bufferSize
+} = require('../lib/message-buffer');
+
+const message = (timestamp, text, threadTs) => ({ user: 'U1', text, timestamp, thread_ts: threadTs });
+
+test('replies attach to their parent, or to a placeholder when it is not buffered', () => {
+  const buffer = createBuffer();
+  addMessage(buffer, message('1.0', 'parent'));
+  addMessage(buffer, message('2.0', 'reply', '1.0'));
+  addMessage(buffer, message('4.0', 'orphan reply', '3.0'));
+
+  assert.equal(bufferSize(buffer), 2);
+  assert.equal(buffer['1.0'].replies['2.0'].text, 'reply');
+  assert.equal(buffer['3.0'].placeholder, true);
+
+  // The parent arriving later keeps the replies already buffered
+  addMessage(buffer, message('3.0', 'late parent'));
+  assert.equal(buffer['3.0'].text, 'late parent');
+  assert.ok(buffer['3.0'].replies['4.0']);
+});
+
+test('edits and deletes find top-level messages and replies', () => {
+  const buffer = createBuffer();
+  addMessage(buffer, message('1.0', 'parent'));
+  addMessage(buffer, message('2.0', 'reply', '1.0'));
+  addMessage(buffer, message('5.0', 'alone'));
+
+  assert.equal(editMessage(buffer, '2.0', 'edited reply'), true);
+  assert.equal(findMessage(buffer, '2.0', '1.0').text, 'edited reply');
+  assert.equal(editMessage(buffer, '9.0', 'missing'), false);
+
+  // A deleted parent with replies stays as context without its text
+  assert.equal(deleteMessage(buffer, '1.0'), true);
+  assert.equal(buffer['1.0'].text, null);
+  assert.equal(buffer['1.0'].deleted, true);
+
+  // ...and goes once its last reply is deleted
+  assert.equal(deleteMessage(buffer, '2.0', '1.0'), true);
+  assert.equal(buffer['1.0'], undefined);
+
+  assert.equal(deleteMessage(buffer, '5.0'), true);
+  assert.equal(bufferSize(buffer), 0);
+});
+
+test('toConversation orders messages and replies oldest first', () => {
+  const buffer = createBuffer();
+  addMessage(buffer, message('10.0', 'later'));
+  addMessage(buffer, message('2.0', 'earlier'));
+  addMessage(buffer, message('12.0', 'second reply', '2.0'));
+  addMessage(buffer, message('11.0', 'first reply', '2.0'));
+
+  const conversation = toConversation(buffer);
+  assert.deepEqual(conversation.map(entry => entry.timestamp), ['2.0', '10.0']);
+  assert.deepEqual(conversation[0].replies.map(reply => reply.text), ['first reply', 'second reply']);
+
+  conversation[0].replies[0].text = 'changed';
+  assert.equal(buffer['2.0'].replies['11.0'].text, 'first reply', 'the buffer is deep-copied');
+});
+
+test('removeSummarized keeps parents whose replies arrived after the snapshot', () => {
+  const buffer = createBuffer();
+  addMessage(buffer, message('1.0', 'parent'));
+  addMessage(buffer, message('2.0', 'reply', '1.0'));
+  addMessage(buffer, message('5.0', 'other'));
+  const snapshot = conversationSkeleton(toConversation(buffer));
+
+  addMessage(buffer, message('3.0', 'new reply', '1.0'));
+  removeSummarized(buffer, snapshot);
+
+  assert.deepEqual(Object.keys(buffer), ['1.0']);
+  assert.equal(buffer['1.0'].summarizedParent, true);
+  assert.deepEqual(Object.keys(buffer['1.0'].replies), ['3.0']);
+
+  // A summarized parent is context only, not a new message
+  assert.deepEqual(conversationTimestamps(toConversation(buffer)), ['3.0']);
+});
+
+test('conversationSkeleton keeps only timestamps', () => {
+  const conversation = [{ ...message('1.0', 'parent'), replies: [message('2.0', 'reply', '1.0')] }];
+  assert.deepEqual(conversationSkeleton(conversation), [{ timestamp: '1.0', replies: [{ timestamp: '2.0' }] }]);
+});
+
+test('createBuffer migrates arrays and trimBuffer keeps the newest entries', () => {
+  const buffer = createBuffer([message('1.0', 'a'), message('2.0', 'b'), message('3.0', 'c')]);
+  assert.equal(trimBuffer(buffer, 2), 1);
+  assert.deepEqual(Object.keys(buffer).sort(), ['2.0', '3.0']);
+  assert.equal(trimBuffer(buffer, 5), 0);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_MESSAGE_TOKENS,
+  RETRY_NOTE_TOKENS,
+  countTokens,
+  contextWindowFor,
+  promptBudget,
+  truncateText,
+  truncateMessages,
+  fitLines
+} = require('../lib/prompt-budget');
+
+test('countTokens uses the cl100k tokenizer', () => {
+  assert.equal(countTokens(''), 0);
+  assert.equal(countTokens(null), 0);
+  assert.equal(countTokens('hello world'), 2);
+  // Special-token text counts as plain text instead of throwing
+  assert.ok(countTokens('<|endoftext|>') > 1);
+});
+
+test('contextWindowFor matches the most specific model prefix', () => {
+  assert.equal(contextWindowFor('gpt-4o-mini'), 128000);
+  assert.equal(contextWindowFor('gpt-4-32k'), 32768);
+  assert.equal(contextWindowFor('GPT-4'), 8192);
+  assert.equal(contextWindowFor('llama3.1:8b'), 128000);
+  assert.equal(contextWindowFor('unknown-model'), 8192);
+  assert.equal(contextWindowFor(undefined), 8192);
+});
+
+test('promptBudget sets aside output, margin, framing and the retry note', () => {
+  assert.deepEqual(promptBudget({ model: 'gpt-4', maxTokens: 1000 }), { contextWindow: 8192, maxTokens: 1000, input: 6222 });
+  assert.equal(promptBudget({ model: 'gpt-4', contextWindow: 4096 }).input, 3686 - 50 - RETRY_NOTE_TOKENS);
+  assert.equal(promptBudget({ model: 'gpt-4', maxTokens: 10000 }).input, 0);
+});
+
+test('truncateText cuts to the token limit and says how much was left out', () => {
+  assert.equal(truncateText('short text', 10), 'short text');
+
+  const long = Array(50).fill('word').join(' ');
+  const cut = truncateText(long, 10);
+  assert.match(cut, /… \[truncated, ~40 more tokens\]$/);
+  assert.equal(countTokens(cut.split(' … ')[0]), 10);
+});
+
+test('truncateText never leaves half a multi-byte character', () => {
+  const cut = truncateText('🎉'.repeat(20), 3);
+  assert.doesNotMatch(cut, /�/);
+  assert.match(cut, /^🎉+ … \[truncated/);
+});
+
+test('truncateMessages cuts long messages and replies, leaving the originals alone', () => {
+  const long = Array(MAX_MESSAGE_TOKENS + 100).fill('log').join(' ');
+  const messages = [
+    { text: long, replies: [{ text: 'fine' }, { text: long }] },
+    { text: 'short' }
+  ];
+
+  const { messages: fitted, truncated } = truncateMessages(messages);
+  assert.equal(truncated, 2);
+  assert.match(fitted[0].text, /\[truncated/);
+  assert.equal(fitted[0].replies[0].text, 'fine');
+  assert.match(fitted[0].replies[1].text, /\[truncated/);
+  assert.deepEqual(fitted[1], messages[1]);
+  assert.equal(messages[0].text, long);
+});
+
+test('fitLines keeps lines in order until the budget is used up', () => {
+  const lines = ['alpha', 'beta', 'gamma', 'delta'];
+  assert.deepEqual(fitLines(lines, 4), { lines: ['alpha', 'beta'], omitted: 2 });
+  assert.deepEqual(fitLines(lines, 100), { lines, omitted: 0 });
+  assert.deepEqual(fitLines(lines, 0), { lines: [], omitted: 4 });
+});
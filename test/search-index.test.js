@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchIndex, tokenize } = require('../lib/search-index');
+
+test('tokenize drops stopwords and Slack markup and stems word forms together', () => {
+  assert.deepEqual(tokenize('We decided on the <https://example.com|launch> dates'), tokenize('decide launch date'));
+  assert.equal(tokenize('decision')[0], tokenize('decided')[0]);
+  assert.deepEqual(tokenize('the and of'), []);
+});
+
+test('search ranks documents by BM25 score', () => {
+  const index = new SearchIndex().addAll([
+    { id: 'a', text: 'Pricing pricing pricing review for the enterprise plan' },
+    { id: 'b', text: 'We talked about pricing once while planning the offsite' },
+    { id: 'c', text: 'Offsite venue booked for November' }
+  ]);
+
+  assert.deepEqual(index.search('pricing').map(result => result.doc.id), ['a', 'b']);
+  assert.deepEqual(index.search('offsite venue').map(result => result.doc.id), ['c', 'b']);
+  assert.deepEqual(index.search('budget'), []);
+  assert.deepEqual(index.search('the'), []);
+});
+
+test('rarer terms weigh more than common ones', () => {
+  const index = new SearchIndex().addAll([
+    { id: 'common', text: 'release release notes' },
+    { id: 'rare', text: 'release rollback' },
+    { id: 'other', text: 'release schedule' }
+  ]);
+  assert.equal(index.search('release rollback')[0].doc.id, 'rare');
+});
+
+test('search applies the filter and limit', () => {
+  const index = new SearchIndex().addAll([
+    { id: 'a', channelId: 'C1', text: 'deploy the api' },
+    { id: 'b', channelId: 'C2', text: 'deploy the web app' },
+    { id: 'c', channelId: 'C1', text: 'deploy again' }
+  ]);
+  assert.deepEqual(index.search('deploy', { filter: doc => doc.channelId === 'C2' }).map(r => r.doc.id), ['b']);
+  assert.equal(index.search('deploy', { limit: 2 }).length, 2);
+  assert.deepEqual(index.documents(doc => doc.channelId === 'C1').map(doc => doc.id), ['a', 'c']);
+});
+
+test('re-adding and removing documents keeps the statistics consistent', () => {
+  const index = new SearchIndex().add({ id: 'a', text: 'database migration' });
+  index.add({ id: 'a', text: 'frontend refresh' });
+
+  assert.equal(index.size, 1);
+  assert.equal(index.get('a').text, 'frontend refresh');
+  assert.deepEqual(index.search('database'), []);
+  assert.equal(index.docFreq.has('databas'), false);
+
+  assert.equal(index.remove('a'), true);
+  assert.equal(index.remove('a'), false);
+  assert.equal(index.totalLength, 0);
+  assert.equal(index.docFreq.size, 0);
+  assert.equal(index.get('a'), null);
+});
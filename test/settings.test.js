@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SettingsService,
+  defaultSettings,
+  settingKey,
+  parseSettingValue,
+  parseSettingsPatch,
+  applyPatch,
+  describeSettings
+} = require('../lib/settings');
+const { MemoryStorageAdapter } = require('../lib/storage');
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('settingKey accepts names in any case, with separators, and aliases', () => {
+  assert.equal(settingKey('message_threshold'), 'messageThreshold');
+  assert.equal(settingKey('MessageThreshold'), 'messageThreshold');
+  assert.equal(settingKey('threshold'), 'messageThreshold');
+  assert.equal(settingKey('bootstrap-min'), 'bootstrapMinMessages');
+  assert.equal(settingKey('colour'), null);
+});
+
+test('parseSettingValue validates each setting type', () => {
+  assert.deepEqual(parseSettingValue('messageThreshold', ' 15 '), { value: 15 });
+  assert.match(parseSettingValue('messageThreshold', '2').error, /from 3 to 500/);
+  assert.match(parseSettingValue('messageThreshold', '1.5').error, /whole number/);
+  assert.deepEqual(parseSettingValue('adaptive', 'Off'), { value: false });
+  assert.match(parseSettingValue('adaptive', 'sometimes').error, /on or off/);
+  assert.deepEqual(parseSettingValue('template', 'BRIEF'), { value: 'brief' });
+  assert.match(parseSettingValue('template', 'long').error, /one of granola, brief, detailed/);
+  assert.deepEqual(parseSettingValue('timezone', 'Europe/Berlin'), { value: 'Europe/Berlin' });
+  assert.match(parseSettingValue('timezone', 'Mars/Olympus').error, /IANA timezone/);
+  assert.match(parseSettingValue('language', 'x'.repeat(41)).error, /1-40 characters/);
+});
+
+test('defaultSettings reads PAPER_* variables and ignores invalid ones', () => {
+  const settings = defaultSettings({ PAPER_MESSAGE_THRESHOLD: '25', PAPER_TEMPLATE: 'huge' });
+  assert.equal(settings.messageThreshold, 25);
+  assert.equal(settings.template, 'granola');
+  assert.equal(settings.lullPeriod, 180);
+});
+
+test('parseSettingsPatch separates values, resets, errors and unknown options', () => {
+  const { patch, errors, ignored } = parseSettingsPatch({
+    threshold: '15',
+    tz: 'Europe/Berlin',
+    lull: 'default',
+    mode: 'sideways',
+    colour: 'blue'
+  });
+
+  assert.deepEqual(patch, { messageThreshold: 15, timezone: 'Europe/Berlin', lullPeriod: null });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^canvas_mode must be one of/);
+  assert.deepEqual(ignored, ['colour']);
+});
+
+test('applyPatch sets and clears overrides without touching the input', () => {
+  const overrides = { messageThreshold: 20, lullPeriod: 60 };
+  assert.deepEqual(applyPatch(overrides, { lullPeriod: null, template: 'brief' }), { messageThreshold: 20, template: 'brief' });
+  assert.deepEqual(overrides, { messageThreshold: 20, lullPeriod: 60 });
+  assert.deepEqual(applyPatch(null, { adaptive: false }), { adaptive: false });
+});
+
+test('resolve layers channel over workspace over global defaults', async () => {
+  const service = new SettingsService(new MemoryStorageAdapter(), defaultSettings({}));
+  await service.updateWorkspace('T1', { messageThreshold: 20, template: 'brief' });
+
+  const { settings, sources } = await service.resolve('T1', { template: 'detailed' });
+  assert.equal(settings.template, 'detailed');
+  assert.equal(sources.template, 'channel');
+  assert.equal(settings.messageThreshold, 20);
+  assert.equal(sources.messageThreshold, 'workspace');
+  assert.equal(settings.lullPeriod, 180);
+  assert.equal(sources.lullPeriod, 'global');
+
+  // Another workspace only sees the global defaults
+  assert.equal((await service.resolve('T2')).settings.messageThreshold, 10);
+
+  // Resetting the workspace override falls back to the default
+  await service.updateWorkspace('T1', { messageThreshold: null });
+  assert.deepEqual(await service.getWorkspaceOverrides('T1'), { template: 'brief' });
+  assert.equal((await service.resolve('T1')).sources.messageThreshold, 'global');
+});
+
+test('describeSettings marks overridden values with their layer', async () => {
+  const service = new SettingsService(new MemoryStorageAdapter(), defaultSettings({}));
+  const { settings, sources } = await service.resolve(null, { adaptive: false });
+  const lines = describeSettings(settings, sources);
+
+  assert.ok(lines.some(line => line.startsWith('• `adaptive`: *off* _(channel)_')));
+  assert.ok(lines.some(line => line.startsWith('• `max_wait`: *2 min* –')));
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeSummary,
+  parseSummaryJSON,
+  validateSources,
+  citedTimestamps,
+  itemSources,
+  emptySummary
+} = require('../lib/summary-schema');
+
+test('normalizeSummary fills defaults and drops items without content', () => {
+  const { summary, errors } = normalizeSummary({
+    participants: ['Ana', { user_id: 'U1' }, {}],
+    topics: [{ title: 'Launch', details: 'one detail', sources: ['1.1', '1.1', 'bogus'] }, { details: ['no title'] }],
+    decisions: [{ text: 'Ship Friday', status: 'maybe' }],
+    action_items: [{ task: 'Write notes', due_date: 'next week', status: 'done', source_ts: '2.5' }],
+    insights: [],
+    open_questions: ['Who owns QA?'],
+    context: [{ text: 'Background' }, '']
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(summary.participants.map(p => p.name || p.user_id), ['Ana', 'U1']);
+  assert.deepEqual(summary.topics, [{ title: 'Launch', details: ['one detail'], sources: ['1.1'] }]);
+  assert.equal(summary.decisions[0].status, 'active');
+  assert.deepEqual(summary.decisions[0].sources, []);
+  assert.equal(summary.action_items[0].due_date, null);
+  assert.equal(summary.action_items[0].status, 'done');
+  assert.equal(summary.action_items[0].source_ts, '2.5');
+  assert.deepEqual(summary.open_questions, [{ text: 'Who owns QA?', sources: [] }]);
+  assert.deepEqual(summary.context, ['Background']);
+});
+
+test('normalizeSummary reports missing sections and empty summaries', () => {
+  const partial = normalizeSummary({ topics: ['Launch'] });
+  assert.ok(partial.summary);
+  assert.ok(partial.errors.includes('Missing "decisions"'));
+
+  const empty = normalizeSummary(emptySummary());
+  assert.equal(empty.summary, null);
+  assert.deepEqual(empty.errors, ['Summary has no content']);
+
+  assert.equal(normalizeSummary([]).summary, null);
+});
+
+test('parseSummaryJSON tolerates code fences and chatter', () => {
+  const reply = 'Here you go:\n```json\n{"topics": [{"title": "Launch"}]}\n```\nAnything else?';
+  assert.equal(parseSummaryJSON(reply).summary.topics[0].title, 'Launch');
+
+  assert.deepEqual(parseSummaryJSON('').errors, ['Empty response']);
+  assert.deepEqual(parseSummaryJSON('no json here').errors, ['No JSON object found in response']);
+  assert.match(parseSummaryJSON('{"topics": [}').errors[0], /^Invalid JSON/);
+});
+
+test('validateSources drops unknown timestamps and counts unsourced items', () => {
+  const summary = {
+    ...emptySummary(),
+    topics: [{ title: 'Launch', details: [], sources: ['1.1', '9.9'] }],
+    decisions: [{ text: 'Ship', sources: ['8.8'] }],
+    action_items: [{ task: 'Notes', source_ts: '2.2' }, { task: 'QA', source_ts: null }]
+  };
+
+  const { summary: validated, invalid, unsourced } = validateSources(summary, new Set(['1.1', '2.2']));
+  assert.deepEqual(validated.topics[0].sources, ['1.1']);
+  assert.deepEqual(validated.decisions[0].sources, []);
+  assert.equal(validated.action_items[0].source_ts, '2.2');
+  assert.equal(invalid, 2);
+  assert.equal(unsourced, 2);
+  assert.deepEqual(summary.topics[0].sources, ['1.1', '9.9'], 'the input is left untouched');
+});
+
+test('citedTimestamps and itemSources cover both source shapes', () => {
+  assert.deepEqual(itemSources({ source_ts: null }), []);
+  assert.deepEqual(itemSources({ sources: ['1.1'] }), ['1.1']);
+
+  const summary = {
+    ...emptySummary(),
+    topics: [{ title: 'A', sources: ['1.1', '2.2'] }],
+    action_items: [{ task: 'B', source_ts: '2.2' }, { task: 'C', source_ts: '3.3' }]
+  };
+  assert.deepEqual(citedTimestamps(summary), ['1.1', '2.2', '3.3']);
+  assert.deepEqual(citedTimestamps(null), []);
+});
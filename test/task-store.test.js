@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TaskStore, taskSimilarity, daysUntil } = require('../lib/task-store');
+const { MemoryStorageAdapter } = require('../lib/storage');
+
+const item = (task, extra = {}) => ({ task, owner: null, owner_id: null, due_date: null, status: 'open', source_ts: null, ...extra });
+
+test('taskSimilarity is the word overlap of two task texts', () => {
+  assert.equal(taskSimilarity('Send the report', 'send the REPORT!'), 1);
+  assert.equal(taskSimilarity('send report', 'send invoice'), 1 / 3);
+  assert.equal(taskSimilarity('', 'anything'), 0);
+});
+
+test('daysUntil counts whole calendar days', () => {
+  assert.equal(daysUntil('2026-10-20', '2026-10-19'), 1);
+  assert.equal(daysUntil('2026-11-02', '2026-10-30'), 3);
+  assert.equal(daysUntil('2026-10-18', '2026-10-19'), -1);
+});
+
+test('action items carried across summaries update the same task', async () => {
+  const store = new TaskStore(new MemoryStorageAdapter());
+  const first = await store.syncActionItems('T1', 'C1', [
+    item('Write the launch blog post', { source_ts: '1.1' }),
+    item('Already finished', { status: 'done' })
+  ], { validSourceTs: new Set(['1.1']) });
+
+  assert.equal(first.created.length, 1, 'items finished before they were tracked are skipped');
+  assert.equal(first.created[0].sourceTs, '1.1');
+
+  const second = await store.syncActionItems('T1', 'C1', [
+    item('Write the launch blog post draft', { owner: 'Ana', owner_id: 'U1', due_date: '2026-10-20' })
+  ]);
+  assert.equal(second.created.length, 0);
+  assert.equal(second.reassigned.length, 1);
+
+  const tasks = await store.list('T1');
+  assert.equal(tasks.length, 1);
+  assert.equal(tasks[0].task, 'Write the launch blog post draft');
+  assert.equal(tasks[0].ownerId, 'U1');
+  assert.equal(tasks[0].dueDate, '2026-10-20');
+
+  // Same text in another channel is a different task
+  await store.syncActionItems('T1', 'C2', [item('Write the launch blog post draft')]);
+  assert.equal((await store.list('T1')).length, 2);
+});
+
+test('invalid owner ids and source timestamps are not stored', async () => {
+  const store = new TaskStore(new MemoryStorageAdapter());
+  const { created } = await store.syncActionItems('T1', 'C1', [item('Review PR', { owner_id: 'Ana', source_ts: '9.9' })]);
+  assert.equal(created[0].ownerId, null);
+  assert.equal(created[0].sourceTs, null);
+});
+
+test('a task closed by hand stays closed while the summary still lists it', async () => {
+  const store = new TaskStore(new MemoryStorageAdapter());
+  const { created } = await store.syncActionItems('T1', 'C1', [item('Book the venue')]);
+  await store.close('T1', created[0].id, 'U1');
+
+  const changes = await store.syncActionItems('T1', 'C1', [item('Book the venue')]);
+  assert.equal(changes.created.length, 0);
+  assert.equal((await store.get('T1', created[0].id)).status, 'done');
+  assert.equal(await store.close('T1', 'missing', 'U1'), null);
+});
+
+test('a recurring task finished earlier gets a new task once the summary dropped it', async () => {
+  const store = new TaskStore(new MemoryStorageAdapter());
+  const { created } = await store.syncActionItems('T1', 'C1', [item('Send the weekly report')]);
+  const done = await store.syncActionItems('T1', 'C1', [item('Send the weekly report', { status: 'done' })]);
+  assert.deepEqual(done.closed.map(task => task.id), [created[0].id]);
+
+  await store.syncActionItems('T1', 'C1', []);
+  assert.equal((await store.get('T1', created[0].id)).inSummary, false);
+
+  const again = await store.syncActionItems('T1', 'C1', [item('Send the weekly report')]);
+  assert.equal(again.created.length, 1);
+  assert.notEqual(again.created[0].id, created[0].id);
+  assert.equal((await store.get('T1', created[0].id)).status, 'done');
+});
+
+test('dueReminders picks upcoming and overdue tasks once each', async () => {
+  const store = new TaskStore(new MemoryStorageAdapter());
+  await store.syncActionItems('T1', 'C1', [
+    item('Due tomorrow', { owner_id: 'U1', due_date: '2026-10-20' }),
+    item('Overdue', { owner_id: 'U1', due_date: '2026-10-15' }),
+    item('Due next month', { owner_id: 'U1', due_date: '2026-11-20' }),
+    item('No owner', { due_date: '2026-10-19' })
+  ]);
+
+  const reminders = await store.dueReminders('T1', '2026-10-19');
+  assert.deepEqual(reminders.map(({ task, kind }) => [task.task, kind]), [['Due tomorrow', 'upcoming'], ['Overdue', 'overdue']]);
+
+  for (const { task, kind } of reminders) {
+    await store.save(kind === 'overdue' ? { ...task, overdueNotified: true } : { ...task, remindedFor: task.dueDate });
+  }
+  assert.deepEqual(await store.dueReminders('T1', '2026-10-19'), []);
+  assert.deepEqual(await store.teamIds(), ['T1']);
+});
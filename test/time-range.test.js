@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimeRange, formatTimeRange, toSlackTs } = require('../lib/time-range');
+
+// Thursday, Oct 15 2026, 14:00 in New York
+const now = new Date('2026-10-15T18:00:00Z');
+const timeZone = 'America/New_York';
+
+test('toSlackTs formats seconds with microseconds', () => {
+  assert.equal(toSlackTs(new Date(1712345678123)), '1712345678.123000');
+});
+
+test('"last N units" counts back from now and runs up to now', () => {
+  const range = parseTimeRange('last 3 hours', { timeZone, now });
+  assert.equal(range.start.getTime(), now.getTime() - 3 * 60 * 60 * 1000);
+  assert.equal(range.latest, null);
+  assert.equal(range.allDay, false);
+
+  assert.equal(parseTimeRange('past week', { timeZone, now }).start.toISOString(), '2026-10-08T18:00:00.000Z');
+});
+
+test('day boundaries are local midnights in the timezone', () => {
+  const range = parseTimeRange('yesterday', { timeZone, now });
+  assert.equal(range.start.toISOString(), '2026-10-14T04:00:00.000Z');
+  assert.equal(range.end.toISOString(), '2026-10-15T04:00:00.000Z');
+  assert.equal(range.allDay, true);
+});
+
+test('"X to Y" includes the whole end day', () => {
+  const range = parseTimeRange('2026-10-01 to 2026-10-05', { timeZone: 'UTC', now });
+  assert.equal(range.start.toISOString(), '2026-10-01T00:00:00.000Z');
+  assert.equal(range.end.toISOString(), '2026-10-06T00:00:00.000Z');
+  assert.equal(range.oldest, toSlackTs(range.start));
+  assert.equal(range.latest, toSlackTs(range.end));
+});
+
+test('a range crossing a DST change keeps local midnights', () => {
+  const range = parseTimeRange('2026-10-31 to 2026-11-01', { timeZone, now: new Date('2026-11-10T12:00:00Z') });
+  assert.equal(range.start.toISOString(), '2026-10-31T04:00:00.000Z');
+  assert.equal(range.end.toISOString(), '2026-11-02T05:00:00.000Z');
+});
+
+test('"since" ranges run up to now; weekdays mean the most recent one', () => {
+  const range = parseTimeRange('since monday', { timeZone, now });
+  assert.equal(range.start.toISOString(), '2026-10-12T04:00:00.000Z');
+  assert.equal(range.end, null);
+  assert.equal(range.latest, null);
+
+  assert.equal(parseTimeRange('since thursday', { timeZone, now }).start.toISOString(), '2026-10-15T04:00:00.000Z');
+});
+
+test('month names without a year never land in the future', () => {
+  assert.equal(parseTimeRange('oct 1', { timeZone: 'UTC', now }).start.toISOString(), '2026-10-01T00:00:00.000Z');
+  assert.equal(parseTimeRange('1 december', { timeZone: 'UTC', now }).start.toISOString(), '2025-12-01T00:00:00.000Z');
+});
+
+test('text that is not a range, or an empty range, gives null', () => {
+  assert.equal(parseTimeRange('', { now }), null);
+  assert.equal(parseTimeRange('the release plan', { now }), null);
+  assert.equal(parseTimeRange('2026-02-30', { now }), null);
+  assert.equal(parseTimeRange('2026-10-05 to 2026-10-01', { now }), null);
+  assert.equal(parseTimeRange('since tomorrow', { now }), null);
+});
+
+test('formatTimeRange shows the last included day of an all-day range', () => {
+  const range = parseTimeRange('2026-10-01 to 2026-10-05', { timeZone: 'UTC', now });
+  assert.equal(formatTimeRange(range), 'Thu, Oct 1, 2026 – Mon, Oct 5, 2026');
+  assert.match(formatTimeRange(parseTimeRange('since yesterday', { timeZone: 'UTC', now })), /– now$/);
+});